@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * nucat - render the animated character to ASCII frames, no browser needed
+ *
+ * Loads an FBX, samples it, steps the mixer and the effects on a fixed
+ * timestep (CPU skinning) and prints each frame as text, or writes the
+ * frames to a text or JSON file.
+ *
+ *   nucat models/SLOW_QI.fbx --cols 100 --effects wave,hover
+ */
+
+import { parseArgs } from "node:util";
+import { writeFile } from "node:fs/promises";
+import * as THREE from "three";
+import { CONFIG, params } from "../src/config.js";
+import { setScene, setCamera } from "../src/state.js";
+import { loadFBXFile, loadFontFile } from "../src/loaders/nodeLoaders.js";
+import { installModel } from "../src/loaders/fbxLoader.js";
+import { initializeASCIIPointCloud } from "../src/ascii/index.js";
+import { getEffects, setEffectActive } from "../src/ascii/effects/index.js";
+import { GLYPH_ASSIGNMENTS } from "../src/ascii/glyphs.js";
+import { SAMPLERS, FILL_MODES } from "../src/ascii/sampling.js";
+import {
+  getClipNames,
+  getClipDuration,
+  playClip,
+} from "../src/core/animationClips.js";
+import { autoFrameCamera } from "../src/utils/camera.js";
+import { runFixedTimestep, wait } from "../src/export/fixedTimestep.js";
+import { TEXT_FORMATS, renderTextFrame } from "../src/export/textExport.js";
+
+const OUTPUT_FORMATS = [...TEXT_FORMATS, "json"];
+
+// Between frames in text output - a form feed line
+const FRAME_SEPARATOR = "\f\n";
+
+const USAGE = `Usage: nucat [model.fbx] [options]
+
+Options:
+  --cols <n>         Grid width in characters (${CONFIG.textExport.columns})
+  --rows <n>         Grid height (default: cols * ${CONFIG.textExport.cellAspect})
+  --fps <n>          Frames per second (${CONFIG.export.fps})
+  --start <s>        Start time in seconds (0)
+  --end <s>          End time in seconds (default: clip length)
+  --frames <n>       Number of frames, instead of --end (1 = a still)
+  --clip <name>      Clip to play (default: the first)
+  --effects <list>   Comma-separated effects: ${getEffects()
+    .map((e) => e.name)
+    .join(", ")}
+  --sampler <name>   ${SAMPLERS.join(", ")} (${CONFIG.defaults.sampler})
+  --points <n>       Point budget for blueNoise (${CONFIG.defaults.pointBudget})
+  --feature-blend <n>  Area (0) to features (1) for feature (${CONFIG.defaults.featureBlend})
+  --fill <mode>      ${FILL_MODES.join(", ")} (${CONFIG.defaults.fillMode})
+  --volume-density <n>  Volume points per 1000 cubic units (${CONFIG.defaults.volumeDensity})
+  --seed <n>         Random seed - same seed, same frames (${CONFIG.defaults.seed})
+  --glyphs <set>     Glyph set, e.g. " .:-=+*#%@" (default: "${params.character}")
+  --glyph-by <mode>  ${GLYPH_ASSIGNMENTS.join(", ")}
+  --format <type>    ${OUTPUT_FORMATS.join(", ")} (plain)
+  -o, --output <f>   Write to a file instead of stdout
+  --verbose          Log loading and sampling details to stderr
+  -h, --help         Show this help
+`;
+
+/**
+ * Parse and check the command line
+ */
+function parseOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      cols: { type: "string", default: String(CONFIG.textExport.columns) },
+      rows: { type: "string" },
+      fps: { type: "string", default: String(CONFIG.export.fps) },
+      start: { type: "string", default: "0" },
+      end: { type: "string" },
+      frames: { type: "string" },
+      clip: { type: "string" },
+      effects: { type: "string", default: "" },
+      sampler: { type: "string", default: CONFIG.defaults.sampler },
+      points: { type: "string", default: String(CONFIG.defaults.pointBudget) },
+      "feature-blend": {
+        type: "string",
+        default: String(CONFIG.defaults.featureBlend),
+      },
+      fill: { type: "string", default: CONFIG.defaults.fillMode },
+      "volume-density": {
+        type: "string",
+        default: String(CONFIG.defaults.volumeDensity),
+      },
+      seed: { type: "string", default: String(CONFIG.defaults.seed) },
+      glyphs: { type: "string" },
+      "glyph-by": { type: "string" },
+      format: { type: "string", default: "plain" },
+      output: { type: "string", short: "o" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const number = (name, min) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min) {
+      throw new Error(`--${name} must be a number >= ${min}`);
+    }
+    return value;
+  };
+
+  const options = {
+    help: values.help,
+    verbose: values.verbose,
+    model: positionals[0] || CONFIG.model.path,
+    cols: Math.round(number("cols", 1)),
+    rows: values.rows ? Math.round(number("rows", 1)) : 0,
+    fps: number("fps", 1),
+    start: number("start", 0),
+    end: values.end !== undefined ? number("end", 0) : null,
+    frames: values.frames ? Math.round(number("frames", 1)) : null,
+    clip: values.clip,
+    effects: values.effects.split(",").filter(Boolean),
+    sampler: values.sampler,
+    points: Math.round(number("points", 1)),
+    featureBlend: Math.min(1, number("feature-blend", 0)),
+    fill: values.fill,
+    volumeDensity: number("volume-density", 1),
+    seed: Math.round(number("seed", 0)),
+    glyphs: values.glyphs,
+    glyphBy: values["glyph-by"],
+    format: values.format,
+    output: values.output,
+  };
+
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  if (!SAMPLERS.includes(options.sampler)) {
+    throw new Error(`--sampler must be one of ${SAMPLERS.join(", ")}`);
+  }
+  if (!FILL_MODES.includes(options.fill)) {
+    throw new Error(`--fill must be one of ${FILL_MODES.join(", ")}`);
+  }
+  if (options.glyphBy && !GLYPH_ASSIGNMENTS.includes(options.glyphBy)) {
+    throw new Error(
+      `--glyph-by must be one of ${GLYPH_ASSIGNMENTS.join(", ")}`
+    );
+  }
+
+  const unknown = options.effects.filter(
+    (name) => !getEffects().some((e) => e.name === name)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown effect: ${unknown.join(", ")}`);
+  }
+
+  return options;
+}
+
+/**
+ * Load, sample and frame the model
+ */
+async function setup(options) {
+  // Glyph settings are read while the character geometry is built
+  if (options.glyphs) {
+    params.glyphMode = "set";
+    params.glyphSet = options.glyphs;
+  }
+  if (options.glyphBy) params.glyphAssignment = options.glyphBy;
+  params.sampler = options.sampler;
+  params.pointBudget = options.points;
+  params.featureBlend = options.featureBlend;
+  params.seed = options.seed;
+  params.fillMode = options.fill;
+  params.volumeDensity = options.volumeDensity;
+
+  // No WebGL here - skin on the CPU
+  params.gpuSkinning = false;
+
+  // Aspect that keeps terminal cells proportional
+  const rows =
+    options.rows ||
+    Math.max(1, Math.round(options.cols * CONFIG.textExport.cellAspect));
+  const camera = new THREE.PerspectiveCamera(
+    CONFIG.camera.fov,
+    (options.cols * CONFIG.textExport.cellAspect) / rows,
+    CONFIG.camera.near,
+    CONFIG.camera.far
+  );
+
+  setScene(new THREE.Scene());
+  setCamera(camera);
+
+  await loadFontFile();
+  const model = installModel(await loadFBXFile(options.model));
+
+  if (options.clip) {
+    if (!getClipNames().includes(options.clip)) {
+      throw new Error(
+        `No clip "${options.clip}" - available: ${getClipNames().join(", ") || "none"}`
+      );
+    }
+    playClip(options.clip, 0);
+  }
+
+  initializeASCIIPointCloud();
+  autoFrameCamera(model);
+
+  options.effects.forEach((name) => setEffectActive(name, true));
+
+  return rows;
+}
+
+/**
+ * Render the frames and write them out
+ */
+async function run(options) {
+  const rows = await setup(options);
+  const { cols, fps, start, format } = options;
+  const textFormat = format === "json" ? "plain" : format;
+
+  let end = options.end ?? start + (getClipDuration() || 1);
+  if (options.frames) end = start + options.frames / fps;
+
+  // Stream straight to an interactive terminal, in real time
+  const live = !options.output && format !== "json" && process.stdout.isTTY;
+  const frames = [];
+
+  await runFixedTimestep({
+    fps,
+    start,
+    end,
+    onFrame: async (frame, step) => {
+      const text = renderTextFrame({ format: textFormat, cols, rows });
+
+      if (live) {
+        process.stdout.write(`\x1b[H\x1b[2J${text}\n`);
+        await wait(step * 1000);
+      } else {
+        frames.push(text);
+      }
+    },
+  });
+
+  if (live) return;
+
+  // Sanity check - a playing clip has to move the model between frames
+  if (
+    getClipDuration() > 0 &&
+    frames.length > 1 &&
+    frames.every((text) => text === frames[0])
+  ) {
+    console.error(`⚠️ All ${frames.length} frames are identical`);
+  }
+
+  const output =
+    format === "json"
+      ? JSON.stringify({
+          fps,
+          cols,
+          rows,
+          start,
+          clip: params.currentClip,
+          effects: options.effects,
+          frames,
+        }) + "\n"
+      : frames.join(`\n${FRAME_SEPARATOR}`) + "\n";
+
+  if (options.output) {
+    await writeFile(options.output, output);
+    console.error(`🔤 Wrote ${frames.length} frames to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  const options = parseOptions();
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+  } else {
+    // Keep stdout for frames - library logs go to stderr, or nowhere
+    console.log = options.verbose ? console.error : () => {};
+    await run(options);
+  }
+} catch (error) {
+  console.error(`✖ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,327 @@
+/**
+ * Blue-noise surface sampling - Poisson-disk spacing for a point budget
+ *
+ * Throws area-uniform candidates over every triangle, then removes the most
+ * crowded one until the budget is left (weighted sample elimination, Yuksel
+ * 2015). Each point is a (face, barycentric) pair so it skins like the
+ * surface under it.
+ *
+ * Called by samplingCore.js inside the sampling worker - keep it free of
+ * three.js.
+ */
+
+const OVERSAMPLING = 5; // Candidates per kept point
+const ALPHA = 8; // Weight falloff exponent
+const BETA = 0.65; // Weight limiting - see Yuksel, section 4
+const GAMMA = 1.5;
+const MAX_GRID_CELLS = 1 << 22;
+
+/**
+ * Flatten every triangle of every mesh, with a cumulative area table
+ *
+ * @param {Array<{positions: Float32Array, index: ?ArrayLike<number>}>} meshes
+ */
+function buildFaceTable(meshes) {
+  let faceCount = 0;
+  meshes.forEach(({ positions, index }) => {
+    faceCount += Math.floor((index ? index.length : positions.length / 3) / 3);
+  });
+
+  const meshOf = new Uint32Array(faceCount);
+  const corners = new Uint32Array(faceCount * 3);
+  const cumulativeArea = new Float64Array(faceCount);
+  let totalArea = 0;
+  let face = 0;
+
+  meshes.forEach(({ positions, index }, meshIndex) => {
+    const count = Math.floor((index ? index.length : positions.length / 3) / 3);
+
+    for (let f = 0; f < count; f++, face++) {
+      const a = index ? index[f * 3] : f * 3;
+      const b = index ? index[f * 3 + 1] : f * 3 + 1;
+      const c = index ? index[f * 3 + 2] : f * 3 + 2;
+
+      const ux = positions[b * 3] - positions[a * 3];
+      const uy = positions[b * 3 + 1] - positions[a * 3 + 1];
+      const uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+      const vx = positions[c * 3] - positions[a * 3];
+      const vy = positions[c * 3 + 1] - positions[a * 3 + 1];
+      const vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+      const cx = uy * vz - uz * vy;
+      const cy = uz * vx - ux * vz;
+      const cz = ux * vy - uy * vx;
+
+      totalArea += Math.sqrt(cx * cx + cy * cy + cz * cz) * 0.5;
+      meshOf[face] = meshIndex;
+      corners[face * 3] = a;
+      corners[face * 3 + 1] = b;
+      corners[face * 3 + 2] = c;
+      cumulativeArea[face] = totalArea;
+    }
+  });
+
+  return { faceCount, meshOf, corners, cumulativeArea, totalArea };
+}
+
+/**
+ * First face whose cumulative area exceeds the target
+ */
+function findFace(cumulativeArea, target) {
+  let low = 0;
+  let high = cumulativeArea.length - 1;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cumulativeArea[mid] > target) high = mid;
+    else low = mid + 1;
+  }
+
+  return low;
+}
+
+/**
+ * Area-uniform candidates: face, barycentric weights and position
+ */
+function throwCandidates(meshes, table, count, random) {
+  const faces = new Uint32Array(count);
+  const barys = new Float32Array(count * 3);
+  const points = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const face = findFace(table.cumulativeArea, random() * table.totalArea);
+    const { positions } = meshes[table.meshOf[face]];
+
+    // Uniform point in a triangle
+    const r1 = Math.sqrt(random());
+    const r2 = random();
+    const w0 = 1 - r1;
+    const w1 = r1 * (1 - r2);
+    const w2 = r1 * r2;
+
+    faces[i] = face;
+    barys[i * 3] = w0;
+    barys[i * 3 + 1] = w1;
+    barys[i * 3 + 2] = w2;
+
+    for (let k = 0; k < 3; k++) {
+      points[i * 3 + k] =
+        positions[table.corners[face * 3] * 3 + k] * w0 +
+        positions[table.corners[face * 3 + 1] * 3 + k] * w1 +
+        positions[table.corners[face * 3 + 2] * 3 + k] * w2;
+    }
+  }
+
+  return { faces, barys, points };
+}
+
+/**
+ * Uniform grid over the candidates (counting sort into cells)
+ */
+function buildGrid(points, count, cellSize) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], points[i * 3 + k]);
+      max[k] = Math.max(max[k], points[i * 3 + k]);
+    }
+  }
+
+  // Coarser cells for huge or very thin bounds - neighbors stay correct,
+  // only more of them get tested
+  let size = cellSize;
+  let dims;
+  do {
+    dims = min.map((m, k) => Math.floor((max[k] - m) / size) + 1);
+    size *= 2;
+  } while (dims[0] * dims[1] * dims[2] > MAX_GRID_CELLS);
+  size /= 2;
+
+  const cellOf = new Uint32Array(count);
+  const cellStart = new Uint32Array(dims[0] * dims[1] * dims[2] + 1);
+
+  for (let i = 0; i < count; i++) {
+    const x = Math.floor((points[i * 3] - min[0]) / size);
+    const y = Math.floor((points[i * 3 + 1] - min[1]) / size);
+    const z = Math.floor((points[i * 3 + 2] - min[2]) / size);
+    cellOf[i] = (z * dims[1] + y) * dims[0] + x;
+    cellStart[cellOf[i] + 1]++;
+  }
+
+  for (let c = 1; c < cellStart.length; c++) cellStart[c] += cellStart[c - 1];
+
+  const items = new Uint32Array(count);
+  const fill = cellStart.slice(0, -1);
+  for (let i = 0; i < count; i++) items[fill[cellOf[i]]++] = i;
+
+  return { min, size, dims, cellStart, items };
+}
+
+/**
+ * Call visit(j) for every candidate in the 27 cells around point i
+ */
+function forEachNearby(grid, points, i, visit) {
+  const { min, size, dims, cellStart, items } = grid;
+  const x = Math.floor((points[i * 3] - min[0]) / size);
+  const y = Math.floor((points[i * 3 + 1] - min[1]) / size);
+  const z = Math.floor((points[i * 3 + 2] - min[2]) / size);
+
+  for (let dz = -1; dz <= 1; dz++) {
+    const cz = z + dz;
+    if (cz < 0 || cz >= dims[2]) continue;
+    for (let dy = -1; dy <= 1; dy++) {
+      const cy = y + dy;
+      if (cy < 0 || cy >= dims[1]) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const cx = x + dx;
+        if (cx < 0 || cx >= dims[0]) continue;
+
+        const cell = (cz * dims[1] + cy) * dims[0] + cx;
+        for (let s = cellStart[cell]; s < cellStart[cell + 1]; s++) {
+          if (items[s] !== i) visit(items[s]);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Max-heap of candidate indices by weight, with in-place decrease
+ */
+function createHeap(weights, count) {
+  const heap = new Uint32Array(count);
+  const position = new Int32Array(count);
+  let size = count;
+
+  const swap = (a, b) => {
+    const t = heap[a];
+    heap[a] = heap[b];
+    heap[b] = t;
+    position[heap[a]] = a;
+    position[heap[b]] = b;
+  };
+
+  const siftDown = (p) => {
+    for (;;) {
+      const l = p * 2 + 1;
+      const r = l + 1;
+      let largest = p;
+      if (l < size && weights[heap[l]] > weights[heap[largest]]) largest = l;
+      if (r < size && weights[heap[r]] > weights[heap[largest]]) largest = r;
+      if (largest === p) return;
+      swap(p, largest);
+      p = largest;
+    }
+  };
+
+  for (let i = 0; i < count; i++) {
+    heap[i] = i;
+    position[i] = i;
+  }
+  for (let p = (count >> 1) - 1; p >= 0; p--) siftDown(p);
+
+  return {
+    get size() {
+      return size;
+    },
+    items: heap,
+    pop() {
+      const top = heap[0];
+      swap(0, --size);
+      position[top] = -1;
+      siftDown(0);
+      return top;
+    },
+    // Weights only ever go down
+    decreased(i) {
+      if (position[i] >= 0) siftDown(position[i]);
+    },
+  };
+}
+
+/**
+ * Sample points with Poisson-disk spacing over the meshes' surfaces
+ *
+ * @param {Array<{positions: Float32Array, index: ?ArrayLike<number>}>} meshes
+ *   Vertex positions (xyz per vertex, one shared space) and optional index
+ * @param {number} count - Point budget
+ * @param {Function} [random] - Uniform [0, 1) generator
+ * @returns {{meshIndices: Uint32Array, corners: Uint32Array,
+ *   barys: Float32Array, count: number}} Mesh index, the face's three
+ *   vertex indices and barycentric weights for every point
+ */
+export function sampleBlueNoise(meshes, count, random = Math.random) {
+  const table = buildFaceTable(meshes);
+  const empty = {
+    meshIndices: new Uint32Array(0),
+    corners: new Uint32Array(0),
+    barys: new Float32Array(0),
+    count: 0,
+  };
+  if (count <= 0 || table.faceCount === 0 || !(table.totalArea > 0)) {
+    return empty;
+  }
+
+  const candidateCount = count * OVERSAMPLING;
+  const candidates = throwCandidates(meshes, table, candidateCount, random);
+  const { points } = candidates;
+
+  // Disk radius of `count` points packed on this area (2D, hexagonal)
+  const rMax = Math.sqrt(table.totalArea / (2 * Math.sqrt(3) * count));
+  const rMin = rMax * BETA * (1 - Math.pow(1 / OVERSAMPLING, GAMMA));
+  const reach = 2 * rMax;
+
+  const grid = buildGrid(points, candidateCount, reach);
+
+  // Neighbor lists within reach, with the weight each one contributes
+  const neighborStart = new Uint32Array(candidateCount + 1);
+  const neighbors = [];
+  const neighborWeights = [];
+
+  for (let i = 0; i < candidateCount; i++) {
+    forEachNearby(grid, points, i, (j) => {
+      const dx = points[i * 3] - points[j * 3];
+      const dy = points[i * 3 + 1] - points[j * 3 + 1];
+      const dz = points[i * 3 + 2] - points[j * 3 + 2];
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (d >= reach) return;
+
+      neighbors.push(j);
+      neighborWeights.push(Math.pow(1 - Math.max(d, rMin) / reach, ALPHA));
+    });
+    neighborStart[i + 1] = neighbors.length;
+  }
+
+  const weights = new Float64Array(candidateCount);
+  for (let i = 0; i < candidateCount; i++) {
+    for (let n = neighborStart[i]; n < neighborStart[i + 1]; n++) {
+      weights[i] += neighborWeights[n];
+    }
+  }
+
+  // Remove the most crowded candidate until the budget is left
+  const heap = createHeap(weights, candidateCount);
+  while (heap.size > count) {
+    const i = heap.pop();
+    for (let n = neighborStart[i]; n < neighborStart[i + 1]; n++) {
+      const j = neighbors[n];
+      weights[j] -= neighborWeights[n];
+      heap.decreased(j);
+    }
+  }
+
+  const meshIndices = new Uint32Array(count);
+  const corners = new Uint32Array(count * 3);
+  const barys = new Float32Array(count * 3);
+
+  for (let s = 0; s < count; s++) {
+    const i = heap.items[s];
+    const face = candidates.faces[i];
+    meshIndices[s] = table.meshOf[face];
+    corners.set(table.corners.subarray(face * 3, face * 3 + 3), s * 3);
+    barys.set(candidates.barys.subarray(i * 3, i * 3 + 3), s * 3);
+  }
+
+  return { meshIndices, corners, barys, count };
+}
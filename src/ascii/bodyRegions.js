@@ -0,0 +1,72 @@
+/**
+ * Body regions - groups bones by name so samples can be classified by the
+ * part of the body they follow (head, torso, arms, legs, tail)
+ */
+
+import { skinnedMeshes } from "../state.js";
+
+// Checked in order - first match wins
+const REGION_PATTERNS = [
+  { name: "tail", pattern: /tail/i },
+  { name: "head", pattern: /head|neck|eye|jaw|ear/i },
+  { name: "arms", pattern: /shoulder|arm|hand|clavicle/i },
+  { name: "legs", pattern: /leg|thigh|knee|foot|toe/i },
+  { name: "torso", pattern: /hips|spine|chest|pelvis|root/i },
+];
+
+export const BODY_REGIONS = ["head", "torso", "arms", "legs", "tail", "other"];
+
+/**
+ * Bone with the strongest influence on a sample (null if unskinned)
+ */
+export function getDominantBone(sample) {
+  const mesh = skinnedMeshes[sample.meshIndex];
+  if (!mesh.skeleton) return null;
+
+  if (sample.type === "bonePoint") {
+    return mesh.skeleton.bones[sample.boneIndex];
+  }
+
+  // Volume points carry their own weights, strongest first
+  if (sample.type === "volume") {
+    return sample.skinWeight[0] > 0
+      ? mesh.skeleton.bones[sample.skinIndex[0]]
+      : null;
+  }
+
+  const { skinIndex, skinWeight } = mesh.geometry.attributes;
+  if (!skinIndex || !skinWeight) return null;
+
+  const vertexIndex =
+    sample.vertexIndex ?? (sample.faceVertices || sample.edgeVertices)[0];
+
+  let best = 0;
+  for (let k = 1; k < 4; k++) {
+    if (
+      skinWeight.getComponent(vertexIndex, k) >
+      skinWeight.getComponent(vertexIndex, best)
+    ) {
+      best = k;
+    }
+  }
+
+  if (skinWeight.getComponent(vertexIndex, best) === 0) return null;
+
+  return mesh.skeleton.bones[skinIndex.getComponent(vertexIndex, best)];
+}
+
+/**
+ * Body region of a bone by name
+ */
+export function getBoneRegion(bone) {
+  if (!bone) return "other";
+  const match = REGION_PATTERNS.find(({ pattern }) => pattern.test(bone.name));
+  return match ? match.name : "other";
+}
+
+/**
+ * Index into BODY_REGIONS for a sample
+ */
+export function getSampleRegionIndex(sample) {
+  return BODY_REGIONS.indexOf(getBoneRegion(getDominantBone(sample)));
+}
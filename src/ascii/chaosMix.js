@@ -6,9 +6,38 @@
  * - Fibonacci sequence for organic timing
  * - Quantum-inspired probability blending
  * - Entropy that increases over time
+ *
+ * How fast, how wild and in which colors comes from the live chaos profile,
+ * params.chaosSettings (see chaosProfiles.js); how often each effect is
+ * picked and how strong it gets, from params.chaosEffects.
+ *
+ * Events fire at their scheduled chaos time, not at whichever frame notices
+ * them, so a run depends only on the seed, the settings timeline and what
+ * the music did (off-schedule events, entropy boosts) - every run is
+ * recorded (see chaosRecorder.js) and can be replayed exactly.
+ *
+ * With beatSync on, events are scheduled in beats on the tempo clock (see
+ * core/tempo.js) - Fibonacci numbers pick which beats - and land on them.
  */
 
 import { params } from "../config.js";
+import { effectTime } from "../state.js";
+import {
+  getEffects,
+  getDefaultChaosEffect,
+  setEffectActive,
+} from "./effects/index.js";
+import { getClipTime } from "../core/animationClips.js";
+import { getTempo, setTempo, getBeatAt, setBeatAt } from "../core/tempo.js";
+import { createRandom } from "../utils/random.js";
+import {
+  createChaosRecording,
+  recordChaosSettings,
+  recordChaosEvent,
+  recordChaosTrigger,
+  recordChaosEntropyBoost,
+  recordChaosCurves,
+} from "./chaosRecorder.js";
 
 // ═══════════════════════════════════════════════════════════════
 // MATHEMATICAL CONSTANTS
@@ -18,29 +47,44 @@ const PHI = 1.6180339887498948482; // Golden ratio
 const GOLDEN_ANGLE = 137.5077640500378546463; // degrees - for color harmony
 const FIBONACCI = [1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89, 144, 233, 377, 610];
 
+// Shortest gap between events, whatever a loaded profile asks for
+const MIN_EVENT_INTERVAL = 0.05;
+
 // ═══════════════════════════════════════════════════════════════
 // CHAOS STATE
 // ═══════════════════════════════════════════════════════════════
 
 let isRunning = false;
-let startTime = 0;
+let chaosTime = 0; // Seconds since start - advanced by processChaosMix(delta)
 let lastEventTime = 0;
+let nextEventTime = 0;
 let fibIndex = 0;
 let entropy = 0.1; // Starts low, increases over time
 let colorHue = 0;
 let cycleCount = 0;
+let random = null; // Seeded stream, restarted from params.seed on every start
+let entropyBoost = 0; // Added by the audio-reactive mode (music loudness)
+
+// Beat grid in chaos time - beats counted from origin at chaosBpm
+let onBeats = false; // Events scheduled in beats (beatSync when scheduled)
+let chaosBpm = 120;
+let beatOrigin = { time: 0, beat: 0 };
+let nextEventBeat = 0;
+
+// Recording of the last run - kept while replaying it, replaced by a new run
+let recording = null;
+let replay = null; // The recording being replayed, if any
+let replayStep = 0; // Next of replay.profiles to apply
+let triggerStep = 0; // Next of replay.triggers to fire
+let boostStep = 0; // Next of replay.entropyBoosts to apply
+let settingsJSON = ""; // Live settings as last seen, to spot changes
+let muted = false; // No callbacks or logs while a replay fast-forwards
 
 // Callback to update button visuals
 let onEffectChange = null;
 let onColorChange = null;
 let onParamsChange = null; // Updates GUI sliders
 
-// Effect names for cycling - ordered by subtlety
-const EFFECTS = ["hover", "wave", "spiral", "noise", "disperse", "spiralFlow"];
-
-// Max effects at once (prevents chaos overload)
-const MAX_ACTIVE_EFFECTS = 3;
-
 // ═══════════════════════════════════════════════════════════════
 // QUANTUM-INSPIRED PROBABILITY
 // ═══════════════════════════════════════════════════════════════
@@ -63,10 +107,10 @@ function quantumProbability(effectIndex, time, entropy) {
 /**
  * Fibonacci-based intensity oscillation
  */
-function fibonacciIntensity(time, baseIntensity) {
+function fibonacciIntensity(time, baseIntensity, swing) {
   const fibPhase = FIBONACCI[Math.floor(time) % FIBONACCI.length];
   const oscillation = Math.sin((time * Math.PI) / fibPhase);
-  return baseIntensity * (1 + oscillation * 0.5);
+  return baseIntensity * (1 + oscillation * swing);
 }
 
 /**
@@ -76,6 +120,142 @@ function goldenHue(time) {
   return (time * GOLDEN_ANGLE) % 360;
 }
 
+/**
+ * Seconds until the next event after event number fibIndex
+ */
+function getEventInterval() {
+  const { eventTiming, eventInterval } = params.chaosSettings;
+
+  const interval = Math.max(MIN_EVENT_INTERVAL, eventInterval);
+
+  if (eventTiming === "steady") return interval;
+  if (eventTiming === "random") return interval * (0.2 + random() * 1.6);
+  return FIBONACCI[fibIndex % FIBONACCI.length] * interval;
+}
+
+/**
+ * Beats until the next event after event number fibIndex - the event
+ * interval in whole beats, times a Fibonacci step
+ */
+function getEventBeats() {
+  const { eventTiming, eventInterval } = params.chaosSettings;
+
+  const beats = Math.max(1, Math.round((eventInterval * chaosBpm) / 60));
+
+  if (eventTiming === "steady") return beats;
+  if (eventTiming === "random") {
+    return Math.max(1, Math.round(beats * (0.2 + random() * 1.6)));
+  }
+  return FIBONACCI[fibIndex % FIBONACCI.length] * beats;
+}
+
+/**
+ * Chaos time of a beat on the grid
+ */
+function beatToTime(beat) {
+  return beatOrigin.time + ((beat - beatOrigin.beat) * 60) / chaosBpm;
+}
+
+/**
+ * Beat on the grid at a chaos time
+ */
+function timeToBeat(time) {
+  return beatOrigin.beat + ((time - beatOrigin.time) * chaosBpm) / 60;
+}
+
+/**
+ * Schedule the event after the last one
+ */
+function scheduleNextEvent() {
+  if (onBeats) {
+    nextEventBeat += getEventBeats();
+    nextEventTime = beatToTime(nextEventBeat);
+  } else {
+    nextEventTime = lastEventTime + getEventInterval();
+  }
+}
+
+/**
+ * Follow a tempo or beat sync change from a chaos time on - the grid keeps
+ * its beat count there, and the pending event moves with it
+ */
+function followTempo(time) {
+  const bpm = getTempo();
+  if (bpm !== chaosBpm) {
+    beatOrigin = { time, beat: timeToBeat(time) };
+    chaosBpm = bpm;
+    if (onBeats) nextEventTime = beatToTime(nextEventBeat);
+  }
+
+  if (params.chaosSettings.beatSync !== onBeats) {
+    // Reschedule counting from the change (from its beat when synced)
+    onBeats = params.chaosSettings.beatSync;
+    nextEventBeat = Math.floor(timeToBeat(time));
+    lastEventTime = time;
+    scheduleNextEvent();
+  }
+}
+
+/**
+ * Index of an effect picked with chance in proportion to its weight - -1 if
+ * every weight is 0
+ */
+function pickWeighted(effects) {
+  const weights = effects.map(({ name }) => params.chaosEffects[name].weight);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return -1;
+
+  let pick = random() * total;
+  const index = weights.findIndex((weight) => (pick -= weight) < 0);
+  // Rounding can leave the last sliver unclaimed
+  return index !== -1 ? index : weights.findLastIndex((weight) => weight > 0);
+}
+
+/**
+ * An intensity kept inside an effect's chaos range
+ */
+function clampIntensity(name, intensity) {
+  const { minIntensity, maxIntensity } = params.chaosEffects[name];
+  return Math.min(maxIntensity, Math.max(minIntensity, intensity));
+}
+
+/**
+ * Effect weights and intensity ranges that differ from the defaults
+ */
+function getChaosEffectOverrides() {
+  const overrides = {};
+  getEffects().forEach(({ name }) => {
+    const live = params.chaosEffects[name];
+    const defaults = getDefaultChaosEffect(name);
+    if (Object.keys(defaults).some((key) => live[key] !== defaults[key])) {
+      overrides[name] = { ...live };
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Put every effect's weight and intensity range back to its default, then
+ * apply overrides on top
+ */
+function applyChaosEffectOverrides(overrides) {
+  getEffects().forEach(({ name }) => {
+    Object.assign(
+      params.chaosEffects[name],
+      getDefaultChaosEffect(name),
+      overrides[name]
+    );
+  });
+}
+
+/**
+ * Entropy at a chaos time (caps at 1.0)
+ */
+function entropyAt(time) {
+  const { entropyStart, entropyRamp } = params.chaosSettings;
+  return Math.min(1.0, entropyStart + time * entropyRamp + entropyBoost);
+}
+
 /**
  * Convert HSL to hex color
  */
@@ -93,6 +273,134 @@ function hslToHex(h, s, l) {
   return `#${f(0)}${f(8)}${f(4)}`;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// CALLBACKS, RECORDING & REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Tell the GUI an effect changed (quiet while muted)
+ */
+function emitEffectChange(effectName, action) {
+  if (!muted && onEffectChange) onEffectChange(effectName, action);
+}
+
+/**
+ * Tell the GUI the effect sliders moved (quiet while muted)
+ */
+function emitParamsChange() {
+  if (!muted && onParamsChange) onParamsChange();
+}
+
+/**
+ * Tell the GUI the color changed (quiet while muted)
+ */
+function emitColorChange(color) {
+  if (!muted && onColorChange) onColorChange(color);
+}
+
+/**
+ * Console log (quiet while muted)
+ */
+function log(message) {
+  if (!muted) console.log(message);
+}
+
+/**
+ * Record a profile switch or tuning change since the last step - stamped
+ * with the last step's time, as events after it already see the change
+ */
+function recordSettingsChange() {
+  const json = getSettingsJSON();
+  if (json === settingsJSON) return;
+
+  settingsJSON = json;
+  recordChaosSettings(recording, chaosTime, {
+    profile: params.chaosProfile,
+    settings: params.chaosSettings,
+    bpm: getTempo(),
+    effects: getChaosEffectOverrides(),
+  });
+}
+
+/**
+ * Everything a run is recorded to follow, as JSON to spot changes
+ */
+function getSettingsJSON() {
+  return JSON.stringify([
+    params.chaosSettings,
+    getTempo(),
+    params.chaosEffects,
+  ]);
+}
+
+/**
+ * Apply the replay's profile and tempo changes from before a chaos time
+ *
+ * @returns {boolean} Whether there were any - they may move the next event
+ */
+function followReplay(time) {
+  const changes = replay.profiles;
+  const from = replayStep;
+  while (replayStep < changes.length && changes[replayStep].time < time) {
+    const change = changes[replayStep++];
+    Object.assign(params.chaosSettings, change.settings);
+    params.chaosProfile = change.profile;
+    if (change.effects) applyChaosEffectOverrides(change.effects);
+    if (change.bpm !== undefined && change.bpm !== getTempo()) {
+      // At the effect time the recorded run changed it
+      setTempo(change.bpm, effectTime - (chaosTime - change.time));
+    }
+    followTempo(change.time);
+  }
+  return replayStep > from;
+}
+
+/**
+ * Apply the replay's entropy boosts from before a chaos time
+ */
+function followReplayBoosts(time) {
+  const boosts = replay.entropyBoosts;
+  while (boostStep < boosts.length && boosts[boostStep].time < time) {
+    entropyBoost = boosts[boostStep++].boost;
+  }
+}
+
+/**
+ * Fire the replay's off-schedule events up to a chaos time - before it
+ * (inclusive false) or at it too
+ */
+function followReplayTriggers(time, inclusive) {
+  const triggers = replay.triggers;
+  while (
+    triggerStep < triggers.length &&
+    (triggers[triggerStep] < time ||
+      (inclusive && triggers[triggerStep] === time))
+  ) {
+    const triggerTime = triggers[triggerStep++];
+    followReplayBoosts(triggerTime);
+    fireEvent(triggerTime);
+  }
+}
+
+/**
+ * Sample color, bloom and intensities into the recording
+ */
+function recordCurves() {
+  const intensities = {};
+  getEffects().forEach(({ name }) => {
+    if (params.activeEffects[name]) {
+      intensities[name] = params.effectParams[name].intensity;
+    }
+  });
+
+  recordChaosCurves(recording, chaosTime, {
+    color: params.color,
+    bloomStrength: params.bloomStrength,
+    bloomRadius: params.bloomRadius,
+    intensities,
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // PUBLIC API
 // ═══════════════════════════════════════════════════════════════
@@ -111,29 +419,89 @@ export function initChaosMix(
 }
 
 /**
- * Start the chaos mix
+ * Start the chaos mix - a new, recorded run, or a replay of a recording
+ *
+ * A replay takes its seed, profile and settings changes from the recording
+ * and stops at its duration; the caller restores the scene it started on
+ * (see chaosReplay.js).
+ *
+ * @param {Object} [from] - Recording to replay (see chaosRecorder.js)
  */
-export function startChaosMix() {
+export function startChaosMix(from = null) {
+  replay = from;
+  replayStep = 0;
+  triggerStep = 0;
+  boostStep = 0;
+  if (replay) {
+    // The music's part comes from the recording
+    entropyBoost = 0;
+    Object.assign(params.chaosSettings, replay.settings);
+    params.chaosProfile = replay.profile;
+    applyChaosEffectOverrides(replay.effects);
+    if (replay.bpm !== null) setTempo(replay.bpm);
+    if (replay.startBeat !== null) setBeatAt(replay.startBeat);
+  } else {
+    recording = createChaosRecording({
+      seed: params.seed,
+      profile: params.chaosProfile,
+      settings: params.chaosSettings,
+      clip: params.currentClip || null,
+      clipTime: getClipTime(),
+      effectTime,
+      activeEffects: getEffects()
+        .map((e) => e.name)
+        .filter((name) => params.activeEffects[name]),
+      effectParams: params.effectParams,
+      bpm: getTempo(),
+      startBeat: getBeatAt(),
+      effects: getChaosEffectOverrides(),
+    });
+    // Music already playing into entropy counts from the start
+    if (entropyBoost !== 0) {
+      recordChaosEntropyBoost(recording, 0, entropyBoost);
+    }
+  }
+  settingsJSON = getSettingsJSON();
+
   isRunning = true;
-  startTime = performance.now() / 1000;
-  lastEventTime = startTime;
+  chaosTime = 0;
+  lastEventTime = 0;
   fibIndex = 0;
-  entropy = 0.2; // Start with some entropy
+  entropy = params.chaosSettings.entropyStart; // Start with some entropy
   cycleCount = 0;
-  colorHue = Math.random() * 360; // Random starting hue
-
-  // Immediately activate first effect so user sees something
-  const firstEffect = EFFECTS[Math.floor(Math.random() * 3)]; // hover, noise, or wave
-  params.activeEffects[firstEffect] = true;
-  params._focusedEffect = firstEffect;
-  params.effectParams[firstEffect].intensity = 10;
-  params.effectParams[firstEffect].speed = 1;
-
-  if (onEffectChange) {
-    onEffectChange(firstEffect, "activate");
+  random = createRandom(replay ? replay.seed : params.seed, "chaosMix");
+  onBeats = params.chaosSettings.beatSync;
+  chaosBpm = getTempo();
+  beatOrigin = { time: 0, beat: getBeatAt() };
+  nextEventBeat = Math.floor(beatOrigin.beat);
+  scheduleNextEvent();
+  colorHue = random() * 360; // Random starting hue
+
+  emitEffectChange(null, "start");
+
+  // Immediately activate a gentle opener so user sees something - any
+  // effect if every opener is weighted out, none if all of them are
+  const openers = getEffects().filter(
+    (e) => e.chaos.opener && params.chaosEffects[e.name].weight > 0
+  );
+  const candidates = openers.length > 0 ? openers : getEffects();
+  const first = candidates[pickWeighted(candidates)];
+  if (first) {
+    setEffectActive(first.name, true);
+    params._focusedEffect = first.name;
+    params.effectParams[first.name].intensity = clampIntensity(first.name, 10);
+    params.effectParams[first.name].speed = 1;
+    params.effectSpeed = 1;
+    if (!replay) recordChaosEvent(recording, 0, first.name, "activate");
+
+    emitEffectChange(first.name, "activate");
   }
 
-  console.log(`🌀 CHAOS MIX initiated with ${firstEffect}`);
+  log(
+    `🌀 CHAOS MIX ${replay ? "replaying" : "initiated"} with ${
+      first ? first.name : "no effects"
+    } (${params.chaosProfile})`
+  );
 }
 
 /**
@@ -150,11 +518,9 @@ export function stopChaosMix() {
   });
   params._focusedEffect = null;
 
-  if (onEffectChange) {
-    onEffectChange(null, "reset");
-  }
+  emitEffectChange(null, "reset");
 
-  console.log("🌀 CHAOS MIX fading out...");
+  log("🌀 CHAOS MIX fading out...");
 }
 
 /**
@@ -164,104 +530,235 @@ export function isChaosMixRunning() {
   return isRunning;
 }
 
+/**
+ * Whether the running chaos mix is a replay
+ */
+export function isChaosReplaying() {
+  return isRunning && replay !== null;
+}
+
+/**
+ * Seconds since the chaos mix started (chaos time)
+ */
+export function getChaosTime() {
+  return chaosTime;
+}
+
+/**
+ * Recording of the last run, or the one last replayed (null before any)
+ */
+export function getChaosRecording() {
+  return recording;
+}
+
+/**
+ * Make a loaded recording the one to replay and export
+ */
+export function setChaosRecording(loaded) {
+  recording = loaded;
+}
+
+/**
+ * Silence GUI callbacks and logs, e.g. while a replay fast-forwards
+ */
+export function setChaosMixMuted(value) {
+  muted = value;
+}
+
+/**
+ * Bring the GUI up to date in one go - after a muted fast-forward
+ */
+export function refreshChaosMix() {
+  if (!isRunning) {
+    emitEffectChange(null, "reset");
+    return;
+  }
+
+  emitEffectChange(null, "start");
+  emitColorChange(params.color);
+  emitParamsChange();
+}
+
+/**
+ * Raise entropy on top of the profile's ramp (0 for none) - recorded
+ * while a run is going, ignored during a replay
+ */
+export function setChaosEntropyBoost(boost) {
+  // A replay follows the recorded boosts instead
+  if (boost === entropyBoost || isChaosReplaying()) return;
+  if (isRunning) recordChaosEntropyBoost(recording, chaosTime, boost);
+  entropyBoost = boost;
+}
+
+/**
+ * Fire an event right now, off the schedule - e.g. on a beat in the music
+ * Recorded, and ignored during a replay (it fires the recorded ones)
+ */
+export function triggerChaosEvent() {
+  if (!isRunning || replay) return;
+
+  recordChaosTrigger(recording, chaosTime);
+  fireEvent(chaosTime);
+}
+
+/**
+ * Fire an off-schedule event at a chaos time
+ */
+function fireEvent(time) {
+  entropy = entropyAt(time);
+  triggerFibonacciEvent(time);
+  cycleCount++;
+}
+
 /**
  * Process chaos mix each frame
- * Call this in your animation loop
+ * Call this in your animation loop - runs on simulation time, so a
+ * fixed-timestep export evolves exactly like realtime playback
  */
 export function processChaosMix(delta) {
   if (!isRunning) return;
 
-  const now = performance.now() / 1000;
-  const elapsed = now - startTime;
-
-  // Entropy increases over time (caps at 1.0) - faster ramp up
-  entropy = Math.min(1.0, 0.2 + elapsed * 0.02);
+  // Settings changed since the last step apply from the last step on
+  if (!replay) {
+    recordSettingsChange();
+    followTempo(chaosTime);
+  } else {
+    // Off-schedule events came after the step they were fired in
+    followReplayTriggers(chaosTime, true);
+  }
 
-  // Check if it's time for a Fibonacci event
-  const nextEventTime =
-    lastEventTime + FIBONACCI[fibIndex % FIBONACCI.length] * 0.5; // Faster events
+  chaosTime += delta;
+  const elapsed = chaosTime;
+
+  // Every Fibonacci event due by now, each at its own scheduled time - a
+  // replay fires none past where the recorded run was stopped
+  const due =
+    replay && replay.duration > 0
+      ? Math.min(chaosTime, replay.duration)
+      : chaosTime;
+  while (due >= nextEventTime) {
+    // Changes before the event may have moved it
+    if (replay && followReplay(nextEventTime)) continue;
+    if (replay) {
+      followReplayTriggers(nextEventTime, false);
+      followReplayBoosts(nextEventTime);
+    }
 
-  if (now >= nextEventTime) {
-    triggerFibonacciEvent(elapsed);
-    lastEventTime = now;
+    entropy = entropyAt(nextEventTime);
+    triggerFibonacciEvent(nextEventTime);
+    lastEventTime = nextEventTime;
     fibIndex++;
     cycleCount++;
+    scheduleNextEvent();
   }
+  if (replay) {
+    followReplay(elapsed);
+    followReplayBoosts(elapsed);
+  }
+
+  // Entropy increases over time
+  entropy = entropyAt(elapsed);
 
   // Continuous evolution
   evolveEffects(elapsed, delta);
   evolveColor(elapsed);
   evolveBloom(elapsed);
+
+  if (!replay) {
+    recording.duration = chaosTime;
+    recordCurves();
+  } else if (replay.duration > 0 && chaosTime >= replay.duration) {
+    // The recorded run was stopped here - after the music's events in its
+    // last step (the seed's rounded duration can fall just short of them)
+    followReplayTriggers(Infinity, false);
+    stopChaosMix();
+  }
 }
 
 /**
  * Trigger event on Fibonacci timing
  */
 function triggerFibonacciEvent(elapsed) {
+  const effects = getEffects();
+
+  // Effects weighted out since they came on leave now
+  effects.forEach(({ name }) => {
+    if (params.activeEffects[name] && params.chaosEffects[name].weight <= 0) {
+      setEffectActive(name, false);
+      if (!replay) recordChaosEvent(recording, elapsed, name, "deactivate");
+      emitEffectChange(name, "deactivate");
+      log(`🌀 Chaos excluded: ${name}`);
+    }
+  });
+
+  // Pick ONE effect to toggle each event, by weight (none if all are 0)
+  const effectIndex = pickWeighted(effects);
+  if (effectIndex !== -1)
+    toggleEffect(effects[effectIndex], effectIndex, elapsed);
+
+  // Per-effect event hooks (disperse target oscillates, flow restarts)
+  effects.forEach((effect) => {
+    if (params.activeEffects[effect.name] && effect.chaos.onEvent) {
+      effect.chaos.onEvent(random);
+    }
+  });
+}
+
+/**
+ * Switch the picked effect on or off if its probability says so
+ */
+function toggleEffect(effect, effectIndex, elapsed) {
   // Count active effects
   const activeCount = Object.values(params.activeEffects).filter(
     (v) => v
   ).length;
 
-  // Pick ONE random effect to toggle each event
-  const effectIndex = Math.floor(Math.random() * EFFECTS.length);
-  const effectName = EFFECTS[effectIndex];
-  const prob = quantumProbability(effectIndex, elapsed, entropy);
-  const threshold = 0.4; // Fixed threshold
+  const {
+    maxActiveEffects,
+    activationThreshold,
+    deactivationThreshold,
+    effectPick,
+  } = params.chaosSettings;
+
+  const effectName = effect.name;
+  const prob =
+    effectPick === "random"
+      ? random() * entropy
+      : quantumProbability(effectIndex, elapsed, entropy);
 
   if (
-    prob > threshold &&
+    prob > activationThreshold &&
     !params.activeEffects[effectName] &&
-    activeCount < MAX_ACTIVE_EFFECTS
+    activeCount < maxActiveEffects
   ) {
     // Activate effect
-    params.activeEffects[effectName] = true;
+    setEffectActive(effectName, true);
     params._focusedEffect = effectName;
 
     // Set balanced intensity based on effect type
-    const baseIntensity =
-      effectName === "noise" ? 3 : effectName === "disperse" ? 8 : 10;
-    params.effectParams[effectName].intensity = baseIntensity + entropy * 5;
+    params.effectParams[effectName].intensity = clampIntensity(
+      effectName,
+      effect.chaos.intensity + entropy * 5
+    );
     params.effectParams[effectName].speed = 0.5 + entropy * 0.5;
-
-    // Sync to global params for GUI display
-    params.effectIntensity = params.effectParams[effectName].intensity;
     params.effectSpeed = params.effectParams[effectName].speed;
+    if (!replay) recordChaosEvent(recording, elapsed, effectName, "activate");
 
-    if (onEffectChange) {
-      onEffectChange(effectName, "activate");
-    }
-    if (onParamsChange) {
-      onParamsChange();
-    }
+    emitEffectChange(effectName, "activate");
+    emitParamsChange();
 
-    console.log(
-      `🌀 Chaos activated: ${effectName} (${activeCount + 1} active)`
-    );
+    log(`🌀 Chaos activated: ${effectName} (${activeCount + 1} active)`);
   } else if (
     params.activeEffects[effectName] &&
-    (prob < 0.3 || activeCount >= MAX_ACTIVE_EFFECTS)
+    (prob < deactivationThreshold || activeCount >= maxActiveEffects)
   ) {
     // Deactivate - more likely when many effects active
-    params.activeEffects[effectName] = false;
-
-    if (onEffectChange) {
-      onEffectChange(effectName, "deactivate");
-    }
-
-    console.log(
-      `🌀 Chaos deactivated: ${effectName} (${activeCount - 1} active)`
-    );
-  }
+    setEffectActive(effectName, false);
+    if (!replay) recordChaosEvent(recording, elapsed, effectName, "deactivate");
 
-  // Special: Disperse target oscillates
-  if (params.activeEffects.disperse) {
-    params._disperseTarget = Math.random() > 0.5 ? 1 : 0.5;
-  }
+    emitEffectChange(effectName, "deactivate");
 
-  // Special: Spiral flow
-  if (params.activeEffects.spiralFlow) {
-    params._spiralFlowActive = true;
+    log(`🌀 Chaos deactivated: ${effectName} (${activeCount - 1} active)`);
   }
 }
 
@@ -269,36 +766,50 @@ function triggerFibonacciEvent(elapsed) {
  * Continuous effect evolution
  */
 function evolveEffects(elapsed, delta) {
+  const {
+    intensityFloor,
+    intensityScale,
+    intensitySwing,
+    speedBase,
+    speedSwing,
+  } = params.chaosSettings;
+
   // Evolve intensity for all active effects using phi
-  Object.keys(params.effectParams).forEach((effectName, index) => {
+  getEffects().forEach((effect, index) => {
+    const effectName = effect.name;
     if (params.activeEffects[effectName]) {
-      // Noise gets lower intensity to not overpower
-      const maxIntensity =
-        effectName === "noise" ? 8 : effectName === "disperse" ? 15 : 20;
-      const baseIntensity = 3 + entropy * (maxIntensity - 3);
+      // Each effect keeps to its own range (noise stays low to not
+      // overpower) - entropy climbs toward its max, the swing stays inside
+      const { minIntensity, maxIntensity } = params.chaosEffects[effectName];
+      const cap = maxIntensity * intensityScale;
+      const floor = Math.max(minIntensity, intensityFloor);
+      const baseIntensity = floor + entropy * (cap - floor);
       const intensity = fibonacciIntensity(
         elapsed + index * PHI,
-        baseIntensity
+        baseIntensity,
+        intensitySwing
+      );
+      params.effectParams[effectName].intensity = clampIntensity(
+        effectName,
+        intensity
       );
-      params.effectParams[effectName].intensity = intensity;
 
       // Speed varies with golden ratio
-      const speed =
-        0.3 + Math.sin((elapsed * PHI) / (index + 1)) * 0.3 * entropy;
-      params.effectParams[effectName].speed = 0.3 + speed;
+      params.effectParams[effectName].speed =
+        speedBase +
+        Math.sin((elapsed * PHI) / (index + 1)) * speedSwing * entropy;
     }
   });
 
-  // Sync focused effect to global params for GUI display
-  if (params._focusedEffect && params.activeEffects[params._focusedEffect]) {
-    params.effectIntensity =
-      params.effectParams[params._focusedEffect].intensity;
-    params.effectSpeed = params.effectParams[params._focusedEffect].speed;
+  // Sync the focused effect's speed to the global one
+  const focused = params._focusedEffect;
+  if (focused && params.activeEffects[focused]) {
+    params.effectSpeed = params.effectParams[focused].speed;
   }
 
   // Update GUI sliders periodically (every ~10 frames)
-  if (Math.floor(elapsed * 60) % 10 === 0 && onParamsChange) {
-    onParamsChange();
+  if (Math.floor(elapsed * 60) % 10 === 0) {
+    emitParamsChange();
   }
 }
 
@@ -308,37 +819,69 @@ function evolveEffects(elapsed, delta) {
 function evolveBloom(elapsed) {
   const fibIndex = Math.floor(elapsed * 0.5) % FIBONACCI.length;
   const fibValue = FIBONACCI[fibIndex];
+  const { bloomStrengthMin, bloomStrengthMax, bloomRadiusMin, bloomRadiusMax } =
+    params.chaosSettings;
 
-  // Bloom strength oscillates with phi
+  // Bloom strength oscillates with phi, reaching higher with entropy
+  const strengthWave = (1 + Math.sin((elapsed * PHI) / fibValue)) / 2;
   params.bloomStrength =
-    0.5 + Math.sin((elapsed * PHI) / fibValue) * 0.5 * entropy + entropy * 0.5;
+    bloomStrengthMin +
+    (bloomStrengthMax - bloomStrengthMin) * entropy * strengthWave;
 
-  // Bloom radius varies subtly
-  params.bloomRadius = 0.3 + Math.cos(elapsed / PHI) * 0.2 * entropy;
+  // Bloom radius varies subtly around the middle of its range
+  params.bloomRadius =
+    (bloomRadiusMin + bloomRadiusMax) / 2 +
+    ((bloomRadiusMax - bloomRadiusMin) / 2) * Math.cos(elapsed / PHI) * entropy;
 }
 
 /**
  * Evolve color using golden angle
  */
 function evolveColor(elapsed) {
-  // Hue shifts by golden angle - faster
-  colorHue = goldenHue(elapsed * 0.3);
+  const {
+    hueSpeed,
+    hueMin,
+    hueMax,
+    saturationMin,
+    saturationMax,
+    lightnessMin,
+    lightnessMax,
+  } = params.chaosSettings;
+
+  // Hue shifts by golden angle, squeezed into the profile's hue band -
+  // stop k of a gradient is k golden angles further
+  const hueSpan = Math.max(0, hueMax - hueMin);
+  const hueAt = (k) =>
+    hueMin +
+    (((goldenHue(elapsed * hueSpeed) + k * GOLDEN_ANGLE) % 360) * hueSpan) /
+      360;
+  colorHue = hueAt(0);
 
   // Saturation pulses on Fibonacci rhythm
   const satIndex = Math.floor(elapsed) % FIBONACCI.length;
   const saturation =
-    80 + Math.sin((elapsed * Math.PI) / FIBONACCI[satIndex]) * 20;
+    (saturationMin + saturationMax) / 2 +
+    Math.sin((elapsed * Math.PI) / FIBONACCI[satIndex]) *
+      ((saturationMax - saturationMin) / 2);
 
   // Lightness based on entropy
-  const lightness = 55 + entropy * 10;
+  const lightness = lightnessMin + entropy * (lightnessMax - lightnessMin);
 
   const newColor = hslToHex(colorHue, saturation, lightness);
+  let changed = params.color !== newColor;
+  params.color = newColor;
+
+  // Gradient color modes follow the same hue walk, stops a golden angle apart
+  const stops = params.colorGradients[params.colorMode];
+  if (params.colorMode !== "flat" && stops) {
+    stops.forEach((stop, k) => {
+      stops[k] = hslToHex(hueAt(k), saturation, lightness);
+      changed = changed || stops[k] !== stop;
+    });
+  }
 
-  if (params.color !== newColor) {
-    params.color = newColor;
-    if (onColorChange) {
-      onColorChange(newColor);
-    }
+  if (changed) {
+    emitColorChange(newColor);
   }
 }
 
@@ -348,6 +891,7 @@ function evolveColor(elapsed) {
 export function getChaosState() {
   return {
     isRunning,
+    profile: params.chaosProfile,
     entropy: entropy.toFixed(2),
     cycleCount,
     colorHue: Math.round(colorHue),
@@ -0,0 +1,107 @@
+/**
+ * Chaos profiles - named personalities for the chaos mix
+ *
+ * Built-in profiles live in CONFIG.chaosProfiles; custom ones are saved in
+ * localStorage. Applying a profile copies it into params.chaosSettings,
+ * which chaosMix.js reads every frame - so a switch takes effect mid-run.
+ */
+
+import { CONFIG, params } from "../config.js";
+
+// How chaos events are spaced - Fibonacci steps, evenly, or at random
+export const CHAOS_EVENT_TIMINGS = ["fibonacci", "steady", "random"];
+
+// How each event picks its effect - phi interference, or pure chance
+export const CHAOS_EFFECT_PICKS = ["interference", "random"];
+
+const STORAGE_KEY = "nucat.chaosProfiles";
+
+/**
+ * Saved custom profiles by name ({} without localStorage)
+ */
+function loadCustomProfiles() {
+  if (typeof localStorage === "undefined") return {};
+
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Custom chaos profiles unreadable:", error);
+    return {};
+  }
+}
+
+/**
+ * Write the custom profiles back - false without localStorage
+ */
+function storeCustomProfiles(profiles) {
+  if (typeof localStorage === "undefined") return false;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    return true;
+  } catch (error) {
+    console.warn("Custom chaos profiles not saved:", error);
+    return false;
+  }
+}
+
+/**
+ * Built-in profile names, then custom ones
+ */
+export function getChaosProfileNames() {
+  return [
+    ...Object.keys(CONFIG.chaosProfiles),
+    ...Object.keys(loadCustomProfiles()),
+  ];
+}
+
+/**
+ * Whether a profile is a saved custom one (built-ins can't be deleted)
+ */
+export function isCustomChaosProfile(name) {
+  return !(name in CONFIG.chaosProfiles) && name in loadCustomProfiles();
+}
+
+/**
+ * Make a profile the live one
+ *
+ * @returns {boolean} false if there's no such profile
+ */
+export function applyChaosProfile(name) {
+  const profile = CONFIG.chaosProfiles[name] ?? loadCustomProfiles()[name];
+  if (!profile) return false;
+
+  // Older saves may lack newer keys - CLASSIC fills them in
+  Object.assign(params.chaosSettings, CONFIG.chaosProfiles.CLASSIC, profile);
+  params.chaosProfile = name;
+  return true;
+}
+
+/**
+ * Save the live settings as a custom profile, and select it
+ *
+ * @returns {boolean} false for a built-in name or without localStorage
+ */
+export function saveChaosProfile(name) {
+  if (!name || name in CONFIG.chaosProfiles) return false;
+
+  const profiles = loadCustomProfiles();
+  profiles[name] = { ...params.chaosSettings };
+  if (!storeCustomProfiles(profiles)) return false;
+
+  params.chaosProfile = name;
+  return true;
+}
+
+/**
+ * Delete a custom profile
+ *
+ * @returns {boolean} false if it isn't a custom profile
+ */
+export function deleteChaosProfile(name) {
+  if (!isCustomChaosProfile(name)) return false;
+
+  const profiles = loadCustomProfiles();
+  delete profiles[name];
+  return storeCustomProfiles(profiles);
+}
@@ -0,0 +1,285 @@
+/**
+ * Chaos recorder - a chaos mix run as plain data
+ *
+ * A recording holds what a replay needs (seed, starting profile, tempo,
+ * effect weighting and state, every later change to them, and what the
+ * music did to the run - off-schedule events and entropy boosts) plus what
+ * happened, for reading or plotting: each event, and every CURVE_INTERVAL seconds the color, bloom
+ * and effect intensities. All times are chaos time - seconds of simulation
+ * since the run started - so a replay can step through it at any rate.
+ *
+ * No browser APIs beyond btoa/atob - the URL seed decodes anywhere.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Bump when recordings change shape
+export const RECORDING_VERSION = 1;
+
+// Seconds between curve samples
+const CURVE_INTERVAL = 0.1;
+
+// Marks a URL seed carrying JSON instead of "<seed>_<PROFILE>"
+const JSON_SEED_PREFIX = "~";
+
+/**
+ * A new, empty recording
+ *
+ * @param {Object} start
+ * @param {number} start.seed - params.seed the run draws from
+ * @param {string} start.profile - Chaos profile name
+ * @param {Object} start.settings - Live chaos settings at the start
+ * @param {?string} [start.clip] - Playing clip, to replay under the same pose
+ * @param {number} [start.clipTime] - Its playhead
+ * @param {number} [start.effectTime] - Effect clock at the start
+ * @param {string[]} [start.activeEffects] - Effects already on
+ * @param {Object} [start.effectParams] - Effect parameters at the start
+ * @param {number} [start.bpm] - Tempo at the start (see core/tempo.js)
+ * @param {number} [start.startBeat] - Beat count on the tempo grid there
+ * @param {Object} [start.effects] - Effect weights and intensity ranges
+ *   that differ from the defaults (see params.chaosEffects)
+ */
+export function createChaosRecording({
+  seed,
+  profile,
+  settings,
+  clip = null,
+  clipTime = null,
+  effectTime = null,
+  activeEffects = [],
+  effectParams = {},
+  bpm = null,
+  startBeat = null,
+  effects = {},
+}) {
+  return {
+    version: RECORDING_VERSION,
+    seed,
+    profile,
+    settings: { ...settings },
+    clip,
+    clipTime,
+    effectTime,
+    activeEffects: [...activeEffects],
+    effectParams: structuredClone(effectParams),
+    bpm,
+    startBeat,
+    effects: structuredClone(effects),
+    duration: 0,
+    profiles: [],
+    triggers: [],
+    entropyBoosts: [],
+    events: [],
+    curves: [],
+  };
+}
+
+/**
+ * Note a profile switch, tuning, tempo or effect weighting change, in
+ * effect from time on
+ *
+ * @param {Object} change - { profile, settings, bpm, effects } as of then
+ */
+export function recordChaosSettings(recording, time, change) {
+  recording.profiles.push({
+    time,
+    ...change,
+    settings: { ...change.settings },
+    effects: structuredClone(change.effects),
+  });
+}
+
+/**
+ * Note an event fired off the schedule (see triggerChaosEvent)
+ */
+export function recordChaosTrigger(recording, time) {
+  recording.triggers.push(time);
+}
+
+/**
+ * Note a change of the entropy boost, in effect after time
+ */
+export function recordChaosEntropyBoost(recording, time, boost) {
+  recording.entropyBoosts.push({ time, boost });
+}
+
+/**
+ * Note an effect toggled by the chaos mix
+ */
+export function recordChaosEvent(recording, time, effect, action) {
+  recording.events.push({ time, effect, action });
+}
+
+/**
+ * Sample the curves, at most every CURVE_INTERVAL seconds
+ *
+ * @param {Object} sample - { color, bloomStrength, bloomRadius, intensities }
+ */
+export function recordChaosCurves(recording, time, sample) {
+  const last = recording.curves[recording.curves.length - 1];
+  if (last && time - last.time < CURVE_INTERVAL) return;
+
+  recording.curves.push({ time, ...sample });
+}
+
+/**
+ * Check an imported recording (JSON text) and fill in optional fields
+ *
+ * @throws {Error} If it isn't a chaos recording this version can replay
+ */
+export function parseChaosRecording(text) {
+  const data = JSON.parse(text);
+
+  if (!data || data.version !== RECORDING_VERSION) {
+    throw new Error(`Not a version ${RECORDING_VERSION} chaos recording`);
+  }
+  if (!Number.isFinite(data.seed) || typeof data.settings !== "object") {
+    throw new Error("Chaos recording has no seed or settings");
+  }
+
+  return {
+    ...createChaosRecording(data),
+    duration: Number(data.duration) || 0,
+    profiles: Array.isArray(data.profiles) ? data.profiles : [],
+    triggers: Array.isArray(data.triggers) ? data.triggers : [],
+    entropyBoosts: Array.isArray(data.entropyBoosts) ? data.entropyBoosts : [],
+    events: Array.isArray(data.events) ? data.events : [],
+    curves: Array.isArray(data.curves) ? data.curves : [],
+  };
+}
+
+/**
+ * Settings of a built-in profile, as applyChaosProfile fills them in
+ * (undefined for other names)
+ */
+function getBuiltInSettings(name) {
+  if (!(name in CONFIG.chaosProfiles)) return undefined;
+  return { ...CONFIG.chaosProfiles.CLASSIC, ...CONFIG.chaosProfiles[name] };
+}
+
+/**
+ * Whether a replay only needs the seed and a built-in profile name - runs
+ * on the beat also need the tempo
+ */
+function isPlainRun(recording) {
+  const builtIn = getBuiltInSettings(recording.profile);
+  return (
+    builtIn &&
+    !recording.settings.beatSync &&
+    Object.keys(recording.effects).length === 0 &&
+    recording.profiles.length === 0 &&
+    recording.triggers.length === 0 &&
+    recording.entropyBoosts.length === 0 &&
+    recording.activeEffects.length === 0 &&
+    Object.keys(builtIn).every(
+      (key) => builtIn[key] === recording.settings[key]
+    )
+  );
+}
+
+/**
+ * Settings changes with only the keys each one changed, and effect
+ * weighting only where it changed - a replay applies them on top of the
+ * settings before, so nothing is lost
+ */
+function getSettingsDiffs(recording) {
+  let previous = recording.settings;
+  let previousEffects = JSON.stringify(recording.effects);
+  return recording.profiles.map(({ time, profile, settings, bpm, effects }) => {
+    const changed = {};
+    Object.keys(settings).forEach((key) => {
+      if (settings[key] !== previous[key]) changed[key] = settings[key];
+    });
+    previous = settings;
+
+    const diff = { time, profile, settings: changed, bpm };
+    if (effects && JSON.stringify(effects) !== previousEffects) {
+      diff.effects = effects;
+      previousEffects = JSON.stringify(effects);
+    }
+    return diff;
+  });
+}
+
+/**
+ * base64url of a string (UTF-8)
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * String from base64url (UTF-8)
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (c) => c.charCodeAt(0))
+  );
+}
+
+/**
+ * Compact, URL-safe seed for a recording - "<seed>_<PROFILE>_<duration>"
+ * for a plain run on a built-in profile, base64url JSON otherwise. Events
+ * and curves are left out: the replay recreates them.
+ */
+export function encodeChaosSeed(recording) {
+  const duration = Number(recording.duration.toFixed(3));
+
+  if (isPlainRun(recording)) {
+    const parts = [recording.seed, recording.profile];
+    if (duration > 0) parts.push(duration);
+    return parts.join("_");
+  }
+
+  const { seed, profile, settings, activeEffects, effectParams } = recording;
+  const { bpm, startBeat, effects, triggers, entropyBoosts } = recording;
+  return (
+    JSON_SEED_PREFIX +
+    toBase64Url(
+      JSON.stringify({
+        seed,
+        profile,
+        settings,
+        activeEffects,
+        effectParams,
+        bpm,
+        startBeat,
+        effects,
+        profiles: getSettingsDiffs(recording),
+        triggers,
+        entropyBoosts,
+        duration,
+      })
+    )
+  );
+}
+
+/**
+ * Recording from a URL seed (see encodeChaosSeed)
+ *
+ * @throws {Error} If the seed can't be read
+ */
+export function decodeChaosSeed(text) {
+  if (text.startsWith(JSON_SEED_PREFIX)) {
+    const data = JSON.parse(fromBase64Url(text.slice(JSON_SEED_PREFIX.length)));
+    return parseChaosRecording(
+      JSON.stringify({ ...data, version: RECORDING_VERSION })
+    );
+  }
+
+  const [seed, profile, duration] = text.split("_");
+  const settings = getBuiltInSettings(profile);
+  if (!settings || !/^\d+$/.test(seed)) {
+    throw new Error(`Unknown chaos seed "${text}"`);
+  }
+
+  return {
+    ...createChaosRecording({ seed: Number(seed), profile, settings }),
+    duration: Number(duration) || 0,
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Chaos replay - play a recorded chaos mix run back, from its start or from
+ * any point on it
+ *
+ * A replay restores the scene the run started on (clip and playhead, effect
+ * clock, the effects that were on) and restarts the chaos mix from the
+ * recording. Seeking replays silently up to the target in small fixed
+ * steps - events fire at their scheduled times, so it lands on the same
+ * events, colors and bloom a straight run reaches.
+ */
+
+import { params } from "../config.js";
+import { setEffectTime } from "../state.js";
+import { stepEffects } from "../simulation.js";
+import { getEffects, setEffectActive } from "./effects/index.js";
+import { getClipNames, playClip, setClipTime } from "../core/animationClips.js";
+import {
+  startChaosMix,
+  getChaosRecording,
+  setChaosRecording,
+  setChaosMixMuted,
+  refreshChaosMix,
+} from "./chaosMix.js";
+import { encodeChaosSeed, decodeChaosSeed } from "./chaosRecorder.js";
+
+// Fast-forward step while seeking (seconds)
+const SEEK_STEP = 1 / 60;
+
+// Query parameter carrying a shared chaos seed
+const URL_PARAM = "chaos";
+
+/**
+ * Put effects, effect clock and clip back where the recorded run started
+ */
+function restoreStart(recording) {
+  params._isReturning = false;
+  params.effectType = "none";
+
+  getEffects().forEach((effect) => {
+    setEffectActive(effect.name, false);
+    if (effect.reset) effect.reset();
+    Object.assign(
+      params.effectParams[effect.name],
+      recording.effectParams[effect.name]
+    );
+  });
+  recording.activeEffects.forEach((name) => setEffectActive(name, true));
+
+  if (recording.effectTime !== null) setEffectTime(recording.effectTime);
+
+  if (
+    recording.clip &&
+    recording.clip !== params.currentClip &&
+    getClipNames().includes(recording.clip)
+  ) {
+    playClip(recording.clip, 0);
+  }
+}
+
+/**
+ * Replay a recording from a point on it
+ *
+ * @param {number} time - Chaos time to start at (seconds, 0 for the start)
+ * @param {Object} [recording] - Defaults to the last run or loaded recording
+ * @returns {boolean} false if there's nothing to replay
+ */
+export function seekChaosReplay(time, recording = getChaosRecording()) {
+  if (!recording) return false;
+
+  setChaosRecording(recording);
+
+  // Fast-forward as if playing, without telling the GUI every step
+  const wasPlaying = params.isPlaying;
+  params.isPlaying = true;
+  setChaosMixMuted(true);
+
+  try {
+    restoreStart(recording);
+    startChaosMix(recording);
+    for (let t = 0; t < time; t += SEEK_STEP) {
+      stepEffects(Math.min(SEEK_STEP, time - t));
+    }
+  } finally {
+    setChaosMixMuted(false);
+    params.isPlaying = wasPlaying;
+  }
+
+  // Pose the clip where the recorded run was at that time
+  if (recording.clipTime !== null) {
+    const advance = params.freezePose ? 0 : time * params.animationSpeed;
+    setClipTime(recording.clipTime + advance);
+  }
+
+  refreshChaosMix();
+  console.log(
+    `⏯ Chaos replay from ${time.toFixed(2)}s (seed ${recording.seed})`
+  );
+  return true;
+}
+
+/**
+ * Replay a recording from its start
+ *
+ * @param {Object} [recording] - Defaults to the last run or loaded recording
+ * @returns {boolean} false if there's nothing to replay
+ */
+export function replayChaos(recording = getChaosRecording()) {
+  return seekChaosReplay(0, recording);
+}
+
+/**
+ * Link to this page that replays a recording (see encodeChaosSeed)
+ */
+export function getChaosShareLink(recording = getChaosRecording()) {
+  const url = new URL(location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set(URL_PARAM, encodeChaosSeed(recording));
+  return url.toString();
+}
+
+/**
+ * Recording shared in the page URL (?chaos=...), null if there's none or
+ * it can't be read
+ */
+export function getSharedChaosRecording() {
+  const seed = new URLSearchParams(location.search).get(URL_PARAM);
+  if (!seed) return null;
+
+  try {
+    return decodeChaosSeed(seed);
+  } catch (error) {
+    console.warn("Shared chaos seed ignored:", error.message);
+    return null;
+  }
+}
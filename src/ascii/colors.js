@@ -0,0 +1,226 @@
+/**
+ * Per-instance colors - each character gets its color from a gradient
+ * through `instanceColor`, picked by height, bone group, normal, speed or
+ * sample type - or from the model's own texture. "flat" keeps the single
+ * material color (params.color).
+ */
+
+import * as THREE from "three";
+import { params } from "../config.js";
+import { instancedMesh, sampledVertexIndices } from "../state.js";
+import { SAMPLE_TYPES } from "./sampling.js";
+import { BODY_REGIONS, getSampleRegionIndex } from "./bodyRegions.js";
+import { getSampleTextureColor } from "./textures.js";
+
+export const COLOR_MODES = [
+  "flat",
+  "height",
+  "boneGroup",
+  "normal",
+  "velocity",
+  "sampleType",
+  "texture",
+];
+
+// Reused per frame
+const _color = new THREE.Color();
+const _stopColors = [];
+let previousPositions = null;
+
+/**
+ * Whether characters are colored per instance
+ */
+export function usesInstanceColors() {
+  return params.colorMode !== "flat";
+}
+
+/**
+ * Whether the current mode needs this frame's particle positions
+ */
+export function colorsNeedPositions() {
+  return (
+    params.colorMode === "height" ||
+    params.colorMode === "velocity" ||
+    params.colorMode === "normal"
+  );
+}
+
+/**
+ * Whether the current mode needs this frame's particle normals
+ */
+export function colorsNeedNormals() {
+  return params.colorMode === "normal";
+}
+
+/**
+ * Gradient stops (hex strings) of the current mode
+ */
+export function getGradientStops() {
+  return params.colorGradients[params.colorMode] || [params.color];
+}
+
+/**
+ * Color at t in [0, 1] along evenly spaced stops
+ */
+export function sampleGradient(t, target) {
+  const count = _stopColors.length;
+  if (count === 1) return target.copy(_stopColors[0]);
+
+  const scaled = THREE.MathUtils.clamp(t, 0, 1) * (count - 1);
+  const index = Math.min(Math.floor(scaled), count - 2);
+  return target.lerpColors(
+    _stopColors[index],
+    _stopColors[index + 1],
+    scaled - index
+  );
+}
+
+/**
+ * Parse the current stops once per update
+ */
+function prepareStops() {
+  const stops = getGradientStops();
+  _stopColors.length = stops.length;
+  stops.forEach((hex, i) => {
+    _stopColors[i] = (_stopColors[i] || new THREE.Color()).set(hex);
+  });
+}
+
+/**
+ * Set up instanceColor on the mesh (or remove it for flat color) and fill it
+ * Material color and emissive go white so the instance color shows through
+ */
+export function applyColorMode(mesh = instancedMesh) {
+  if (!mesh) return;
+
+  previousPositions = null;
+
+  if (!usesInstanceColors()) {
+    if (mesh.instanceColor) {
+      mesh.instanceColor = null;
+    }
+    mesh.material.color.set(params.color);
+    mesh.material.emissive.set(params.color);
+    return;
+  }
+
+  if (!mesh.instanceColor) {
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(
+      new Float32Array(mesh.count * 3),
+      3
+    );
+  }
+  mesh.material.color.set(0xffffff);
+  mesh.material.emissive.set(0xffffff);
+
+  assignInstanceColors(mesh);
+}
+
+/**
+ * Fill instance colors for position-independent modes
+ * Height, normal and velocity are refreshed every frame by updateInstanceColors()
+ */
+export function assignInstanceColors(mesh = instancedMesh) {
+  if (!mesh?.instanceColor) return;
+
+  prepareStops();
+
+  const categories =
+    params.colorMode === "boneGroup"
+      ? BODY_REGIONS.length
+      : params.colorMode === "sampleType"
+        ? SAMPLE_TYPES.length
+        : 0;
+
+  if (params.colorMode === "texture") {
+    // Texel under each sample, times the material color
+    sampledVertexIndices.forEach((sample, i) => {
+      getSampleTextureColor(sample, _color);
+      mesh.setColorAt(i, _color);
+    });
+  } else if (categories > 0) {
+    sampledVertexIndices.forEach((sample, i) => {
+      const index =
+        params.colorMode === "boneGroup"
+          ? getSampleRegionIndex(sample)
+          : SAMPLE_TYPES.indexOf(sample.type);
+      sampleGradient(index / (categories - 1), _color);
+      mesh.setColorAt(i, _color);
+    });
+  } else {
+    // Middle of the gradient until the first frame is in
+    sampleGradient(0.5, _color);
+    for (let i = 0; i < mesh.count; i++) mesh.setColorAt(i, _color);
+  }
+
+  mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Per-frame colors for position-dependent modes
+ *
+ * @param {Float32Array} positions - Particle positions (mesh space), 3 per instance
+ * @param {Float32Array} [normals] - Particle normals, when colorsNeedNormals()
+ * @param {number} [delta] - Seconds since the last update - velocity heat
+ *   holds while it's 0 (paused)
+ */
+export function updateInstanceColors(positions, normals, delta = 0) {
+  if (!instancedMesh?.instanceColor || !colorsNeedPositions()) return;
+
+  prepareStops();
+  const count = instancedMesh.count;
+
+  if (params.colorMode === "height") {
+    // Vertical gradient across the current model bounds
+    let bottom = Infinity;
+    let top = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const y = positions[i * 3 + 1];
+      if (y < bottom) bottom = y;
+      if (y > top) top = y;
+    }
+
+    const range = top - bottom || 1;
+    for (let i = 0; i < count; i++) {
+      sampleGradient((positions[i * 3 + 1] - bottom) / range, _color);
+      instancedMesh.setColorAt(i, _color);
+    }
+  } else if (params.colorMode === "normal") {
+    // Downward-facing surfaces take the first stop, upward-facing the last
+    for (let i = 0; i < count; i++) {
+      sampleGradient(normals[i * 3 + 1] * 0.5 + 0.5, _color);
+      instancedMesh.setColorAt(i, _color);
+    }
+  } else {
+    // Heat from speed since the last step (units per second)
+    if (!previousPositions || previousPositions.length !== positions.length) {
+      previousPositions = Float32Array.from(positions);
+    }
+
+    if (delta > 0) {
+      for (let i = 0; i < count; i++) {
+        const dx = positions[i * 3] - previousPositions[i * 3];
+        const dy = positions[i * 3 + 1] - previousPositions[i * 3 + 1];
+        const dz = positions[i * 3 + 2] - previousPositions[i * 3 + 2];
+        const speed = Math.sqrt(dx * dx + dy * dy + dz * dz) / delta;
+        sampleGradient(speed / params.heatRange, _color);
+        instancedMesh.setColorAt(i, _color);
+      }
+    }
+
+    previousPositions.set(positions);
+  }
+
+  instancedMesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Shader patch so the glow follows the instance color too
+ * (MeshStandardMaterial only tints the diffuse color by default)
+ */
+export function patchInstanceColor(shader) {
+  shader.fragmentShader = shader.fragmentShader.replace(
+    "#include <emissivemap_fragment>",
+    "#include <emissivemap_fragment>\n#ifdef USE_COLOR\ntotalEmissiveRadiance *= vColor;\n#endif"
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * DISPERSE - Explosion scatter along a random direction per character
+ */
+
+import { params } from "../../config.js";
+import { disperseDirections } from "../../state.js";
+import { registerEffect } from "./registry.js";
+
+registerEffect({
+  name: "disperse",
+  label: "DISPERSE",
+  color: { bright: "#f97316", dim: "#5c2d0a" }, // Orange
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+  },
+  chaos: {
+    intensity: 8,
+    maxIntensity: 15,
+    // Disperse target oscillates on every chaos event
+    onEvent(random) {
+      params._disperseTarget = random() > 0.5 ? 1 : 0.5;
+    },
+  },
+
+  onActivate() {
+    params._disperseTarget = 1;
+  },
+
+  onDeactivate() {
+    params._disperseTarget = 0;
+  },
+
+  // Ease the disperse amount toward its target (2% per frame at 60 fps)
+  update(delta, isActive) {
+    const target = params._disperseTarget ?? (isActive ? 1 : 0);
+    params.disperseAmount +=
+      (target - params.disperseAmount) *
+      Math.min(1, 0.02 * params.effectSpeed * delta * 60);
+  },
+
+  fade(rate) {
+    params.disperseAmount *= rate;
+    return params.disperseAmount;
+  },
+
+  reset() {
+    params.disperseAmount = 0;
+  },
+
+  apply({ position, instanceIndex, params: p }) {
+    const dir = disperseDirections[instanceIndex];
+    if (!dir) return;
+
+    const distance = params.disperseAmount * p.intensity * 10;
+    position.x += dir.x * distance;
+    position.y += dir.y * distance;
+    position.z += dir.z * distance;
+  },
+});
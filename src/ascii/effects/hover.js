@@ -0,0 +1,24 @@
+/**
+ * HOVER - Gentle floating
+ */
+
+import { registerEffect } from "./registry.js";
+
+registerEffect({
+  name: "hover",
+  label: "HOVER",
+  color: { bright: "#3b82f6", dim: "#1e3a5f" }, // Blue
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+  },
+  chaos: { opener: true },
+
+  period: Math.PI, // sin(time * 2) - y and z drift against it
+
+  apply({ position, phase, time, params: p }) {
+    position.x += Math.sin(time * 2 + phase) * p.intensity * 0.5;
+    position.y += Math.sin(time * 3 + phase * 1.3) * p.intensity * 0.3;
+    position.z += Math.cos(time * 2.5 + phase * 0.7) * p.intensity * 0.4;
+  },
+});
@@ -0,0 +1,26 @@
+/**
+ * Character effects - registers the built-in effects
+ *
+ * To add an effect, create a module that calls registerEffect() and import
+ * it here. Import order is button order and apply order.
+ */
+
+import "./hover.js";
+import "./disperse.js";
+import "./noise.js";
+import "./wave.js";
+import "./spiral.js";
+import "./spiralFlow.js";
+
+export {
+  registerEffect,
+  getEffects,
+  getEffect,
+  getDefaultParams,
+  getDefaultChaosEffect,
+  setEffectActive,
+  isEffectApplied,
+  effectsNeedPositions,
+  updateEffects,
+  applyEffects,
+} from "./registry.js";
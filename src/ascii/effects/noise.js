@@ -0,0 +1,26 @@
+/**
+ * NOISE - Chaotic jitter
+ */
+
+import { registerEffect } from "./registry.js";
+
+registerEffect({
+  name: "noise",
+  label: "NOISE",
+  color: { bright: "#eab308", dim: "#5c4a0a" }, // Yellow
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+  },
+  // Lower intensity so it doesn't overpower the mix
+  chaos: { intensity: 3, maxIntensity: 8 },
+
+  period: Math.PI, // All three jitters line up again
+
+  apply({ position, instanceIndex, time, params: p }) {
+    const noiseScale = p.intensity * 0.5;
+    position.x += Math.sin(time * 10 + instanceIndex * 100) * noiseScale;
+    position.y += Math.cos(time * 12 + instanceIndex * 73) * noiseScale;
+    position.z += Math.sin(time * 8 + instanceIndex * 47) * noiseScale;
+  },
+});
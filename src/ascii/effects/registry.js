@@ -0,0 +1,189 @@
+/**
+ * Effect registry - every character effect is one registered module
+ *
+ * An effect declares its name, button label/colors, a parameter schema and an
+ * apply(ctx) function. GUI buttons and sliders, chaos mix and the mystique
+ * fade all read from here, so a new effect ships as a single file.
+ */
+
+import { params } from "../../config.js";
+import { effectTime } from "../../state.js";
+import { getBeatAt, getDivisionBeats } from "../../core/tempo.js";
+
+// Registered effects in registration order (also GUI and apply order)
+const effects = [];
+
+// Effects applying this frame, and the clock each runs on - refreshed
+// once per frame by updateEffects()
+let activeList = [];
+let activeTimes = [];
+
+// Reused for every apply() call
+const ctx = {
+  instanceIndex: 0,
+  position: null,
+  phase: 0,
+  time: 0,
+  params: null,
+};
+
+const DEFAULT_COLOR = { bright: "#64748b", dim: "#1e293b" };
+
+/**
+ * Register an effect
+ *
+ * @param {Object} effect
+ * @param {string} effect.name - Key used in params.activeEffects / effectParams
+ * @param {string} effect.label - Button label
+ * @param {Object} effect.params - Schema: { key: { value, min, max, step, label } }
+ * @param {Function} effect.apply - apply(ctx) offsets ctx.position in place
+ * @param {boolean} [effect.usesPosition] - apply() reads ctx.position, not
+ *   just offsets it - the GPU skinning path then skins the samples on the
+ *   CPU while the effect is on
+ * @param {number} [effect.period] - ctx.time of one base oscillation - lets
+ *   the tempo lock it to a note division (see core/tempo.js)
+ * @param {Object} [effect.color] - Button colors { bright, dim }
+ * @param {Object} [effect.chaos] - Chaos mix hints { intensity, minIntensity,
+ *   maxIntensity, weight, opener, onEvent }
+ *   - min/maxIntensity and weight (0-100) are defaults for params.chaosEffects
+ *   - onEvent(random) gets the chaos mix's seeded random (see utils/random.js)
+ * @param {Function} [effect.update] - update(delta, isActive) once per frame
+ * @param {Function} [effect.onActivate] - Called when toggled on
+ * @param {Function} [effect.onDeactivate] - Called when toggled off
+ * @param {Function} [effect.fade] - fade(rate) during RETURN, returns what's left to fade
+ * @param {Function} [effect.reset] - Called once the RETURN fade completes
+ */
+export function registerEffect(effect) {
+  if (effects.some((e) => e.name === effect.name)) {
+    throw new Error(`Effect "${effect.name}" is already registered`);
+  }
+
+  const registered = {
+    color: DEFAULT_COLOR,
+    ...effect,
+    chaos: {
+      intensity: 10,
+      minIntensity: 0,
+      maxIntensity: 20,
+      weight: 100,
+      opener: false,
+      ...effect.chaos,
+    },
+  };
+  effects.push(registered);
+
+  // Runtime state lives in params so the GUI can bind to it
+  params.activeEffects[effect.name] = false;
+  params.effectParams[effect.name] = getDefaultParams(effect.name);
+  params.chaosEffects[effect.name] = getDefaultChaosEffect(effect.name);
+  if (effect.period) params.effectSync[effect.name] = "off";
+
+  return registered;
+}
+
+/**
+ * All registered effects
+ */
+export function getEffects() {
+  return effects;
+}
+
+/**
+ * Registered effect by name (undefined if unknown)
+ */
+export function getEffect(name) {
+  return effects.find((e) => e.name === name);
+}
+
+/**
+ * Default parameter values from an effect's schema
+ */
+export function getDefaultParams(name) {
+  const effect = getEffect(name);
+  const defaults = {};
+  Object.entries(effect.params).forEach(([key, schema]) => {
+    defaults[key] = schema.value;
+  });
+  return defaults;
+}
+
+/**
+ * Default chaos mix weight and intensity range from an effect's chaos hints
+ */
+export function getDefaultChaosEffect(name) {
+  const { weight, minIntensity, maxIntensity } = getEffect(name).chaos;
+  return { weight, minIntensity, maxIntensity };
+}
+
+/**
+ * Toggle an effect and run its activation hooks
+ */
+export function setEffectActive(name, active) {
+  const effect = getEffect(name);
+  if (!effect) return;
+
+  params.activeEffects[name] = active;
+  if (active && effect.onActivate) effect.onActivate();
+  if (!active && effect.onDeactivate) effect.onDeactivate();
+}
+
+/**
+ * Whether an effect applies this frame (toggle button or legacy dropdown)
+ */
+export function isEffectApplied(name) {
+  return params.activeEffects[name] || params.effectType === name;
+}
+
+/**
+ * An effect's clock - effect time at its speed, or with its oscillation
+ * locked to a note division: one period per division, on the beat
+ */
+function getEffectClock(effect) {
+  const beats = getDivisionBeats(params.effectSync[effect.name]);
+  if (!effect.period || !beats) {
+    return effectTime * params.effectParams[effect.name].speed;
+  }
+  return (getBeatAt() / beats) * effect.period;
+}
+
+/**
+ * Per-frame effect bookkeeping - call once per frame before applyEffects()
+ */
+export function updateEffects(delta) {
+  activeList = [];
+  activeTimes = [];
+  effects.forEach((effect) => {
+    const applied = isEffectApplied(effect.name);
+    if (effect.update) effect.update(delta, applied);
+    if (applied) {
+      activeList.push(effect);
+      activeTimes.push(getEffectClock(effect));
+    }
+  });
+}
+
+/**
+ * Whether an effect applying this frame reads the character position
+ */
+export function effectsNeedPositions() {
+  return activeList.some((effect) => effect.usesPosition);
+}
+
+/**
+ * Apply visual effects to character position - supports layering multiple effects
+ * Each effect uses its own stored parameters
+ */
+export function applyEffects(instanceIndex, position) {
+  if (activeList.length === 0) return;
+
+  ctx.instanceIndex = instanceIndex;
+  ctx.position = position;
+  ctx.phase = instanceIndex * 0.1;
+
+  for (let i = 0; i < activeList.length; i++) {
+    const effect = activeList[i];
+    ctx.params = params.effectParams[effect.name];
+    ctx.time = activeTimes[i];
+    effect.apply(ctx);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * SPIRAL - Rotational motion
+ */
+
+import { registerEffect } from "./registry.js";
+
+registerEffect({
+  name: "spiral",
+  label: "SPIRAL",
+  color: { bright: "#a855f7", dim: "#4a2270" }, // Purple
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+  },
+  chaos: { opener: true },
+
+  period: Math.PI, // One turn
+
+  apply({ position, phase, time, params: p }) {
+    const angle = time * 2 + phase;
+    const radius = p.intensity * 0.5;
+    position.x += Math.cos(angle) * radius;
+    position.z += Math.sin(angle) * radius;
+  },
+});
@@ -0,0 +1,122 @@
+/**
+ * FLOW - Characters flow out in waves, spiral around, return
+ * Bottom of the body leaves first, then middle, then top
+ */
+
+import { params } from "../../config.js";
+import { modelCenter } from "../../state.js";
+import { registerEffect } from "./registry.js";
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+registerEffect({
+  name: "spiralFlow",
+  label: "FLOW",
+  color: { bright: "#ec4899", dim: "#5c1a3a" }, // Magenta
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+    flowSpeed: { value: 1.0, min: 0.1, max: 3, step: 0.1, label: "Flow Speed" },
+    waves: { value: 5, min: 1, max: 10, step: 1, label: "Wave Groups" },
+  },
+  chaos: {
+    onEvent() {
+      params._spiralFlowActive = true;
+    },
+  },
+
+  onActivate() {
+    params._spiralFlowActive = true;
+    params.spiralFlowProgress = 0;
+  },
+
+  onDeactivate() {
+    params._spiralFlowActive = false;
+  },
+
+  // Advance the flow cycle while running, fade it out otherwise
+  update(delta, isActive) {
+    if (params._spiralFlowActive || isActive) {
+      params.spiralFlowProgress +=
+        delta * params.effectParams.spiralFlow.flowSpeed;
+      if (params.spiralFlowProgress > 5.0) {
+        params.spiralFlowProgress = 0;
+      }
+    } else {
+      // Smooth fade out - 5% per 60 fps frame, whatever the step size
+      params.spiralFlowProgress *= Math.pow(0.95, delta * 60);
+    }
+  },
+
+  fade(rate) {
+    params.spiralFlowProgress *= rate;
+    return params.spiralFlowProgress;
+  },
+
+  reset() {
+    params._spiralFlowActive = false;
+    params.spiralFlowProgress = 0;
+  },
+
+  period: (Math.PI * 2) / 3, // One turn of the spiral
+  usesPosition: true, // Waves leave by height, outward from the center
+
+  apply({ position, instanceIndex, time, params: p }) {
+    const { spiralFlowProgress } = params;
+    const intensity = p.intensity;
+    const waves = p.waves;
+
+    if (spiralFlowProgress <= 0) return;
+
+    const center = modelCenter || { x: 0, y: 50, z: 0 };
+
+    // Characters at BOTTOM flow out first, then middle, then top
+    const normalizedY = (position.y + 50) / 250;
+    const waveIndex = Math.floor(normalizedY * waves);
+    const wavePhase = waveIndex / waves;
+
+    // Add randomness for organic feel
+    const randomOffset = ((instanceIndex % 100) / 100) * 0.3;
+
+    // Calculate when this character should start moving
+    const charStartTime = wavePhase * 0.5 + randomOffset * 0.2;
+    const charEndTime = charStartTime + 0.5;
+
+    // Progress for this character
+    let charProgress = 0;
+    if (spiralFlowProgress > charStartTime) {
+      if (spiralFlowProgress < charEndTime) {
+        charProgress =
+          (spiralFlowProgress - charStartTime) / (charEndTime - charStartTime);
+      } else if (spiralFlowProgress < charEndTime + 0.3) {
+        charProgress = 1 - (spiralFlowProgress - charEndTime) / 0.3;
+      } else {
+        charProgress = 0;
+      }
+    }
+
+    if (charProgress <= 0) return;
+
+    const smoothProgress = easeInOutCubic(Math.min(charProgress, 1));
+
+    const spiralRadius = intensity * 3 * smoothProgress;
+    const spiralHeight = intensity * 2 * smoothProgress;
+
+    const angleOffset = instanceIndex * 0.01 + wavePhase * Math.PI * 2;
+    const spiralAngle = time * 3 + angleOffset + smoothProgress * Math.PI * 4;
+
+    const dirX = position.x - center.x;
+    const dirZ = position.z - center.z;
+    const dirLen = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+
+    const outwardDist = intensity * 2 * smoothProgress;
+
+    position.x +=
+      (dirX / dirLen) * outwardDist + Math.cos(spiralAngle) * spiralRadius;
+    position.y += Math.sin(smoothProgress * Math.PI) * spiralHeight;
+    position.z +=
+      (dirZ / dirLen) * outwardDist + Math.sin(spiralAngle) * spiralRadius;
+  },
+});
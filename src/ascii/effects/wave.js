@@ -0,0 +1,24 @@
+/**
+ * WAVE - Smooth oscillation
+ */
+
+import { registerEffect } from "./registry.js";
+
+registerEffect({
+  name: "wave",
+  label: "WAVE",
+  color: { bright: "#06b6d4", dim: "#0a4a54" }, // Cyan
+  params: {
+    intensity: { value: 5.0, min: 0, max: 300, step: 1, label: "Intensity" },
+    speed: { value: 1.0, min: 0.1, max: 5, step: 0.1, label: "Effect Speed" },
+  },
+  chaos: { opener: true },
+
+  period: Math.PI, // sin(time * 2)
+  usesPosition: true, // Phase follows height
+
+  apply({ position, time, params: p }) {
+    const waveOffset = Math.sin(time * 2 + position.y * 0.05) * p.intensity;
+    position.x += waveOffset;
+  },
+});
@@ -2,19 +2,18 @@
  * ASCII character geometry creation
  */
 
+import * as THREE from "three";
 import { TextGeometry } from "three/addons/geometries/TextGeometry.js";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
 import { params } from "../config.js";
 import { font, currentGeometry, setCurrentGeometry } from "../state.js";
+import { getGlyphs, isGlyphSetMode } from "./glyphs.js";
 
 /**
- * Create the geometry for a single ASCII character using TextGeometry
+ * Centered TextGeometry for one glyph
  */
-export function createCharacterGeometry() {
-  if (currentGeometry) {
-    currentGeometry.dispose();
-  }
-
-  const geometry = new TextGeometry(params.character, {
+function createGlyphGeometry(glyph) {
+  const geometry = new TextGeometry(glyph, {
     font: font,
     size: params.characterSize,
     depth: params.characterSize * 0.3,
@@ -26,10 +25,42 @@ export function createCharacterGeometry() {
   geometry.computeBoundingBox();
   geometry.center();
 
+  return geometry;
+}
+
+/**
+ * Create the geometry for the ASCII characters using TextGeometry
+ * In glyph set mode every glyph is merged into one geometry and tagged with
+ * a `glyphIndex` vertex attribute the shader uses to pick the visible one
+ */
+export function createCharacterGeometry() {
+  if (currentGeometry) {
+    currentGeometry.dispose();
+  }
+
+  let geometry;
+
+  if (isGlyphSetMode()) {
+    const parts = getGlyphs().map((glyph, index) => {
+      const part = createGlyphGeometry(glyph);
+      const count = part.attributes.position.count;
+      part.setAttribute(
+        "glyphIndex",
+        new THREE.BufferAttribute(new Float32Array(count).fill(index), 1)
+      );
+      return part;
+    });
+
+    geometry = mergeGeometries(parts);
+    parts.forEach((part) => part.dispose());
+  } else {
+    geometry = createGlyphGeometry(params.character);
+  }
+
   setCurrentGeometry(geometry);
 
   console.log(
-    `Created ASCII character geometry: "${params.character}" with size: ${params.characterSize}`
+    `Created ASCII character geometry: "${getGlyphs().join("")}" with size: ${params.characterSize}`
   );
 
   return geometry;
@@ -0,0 +1,194 @@
+/**
+ * Glyph sets - several characters in one draw call
+ *
+ * In glyph set mode the character geometry holds every glyph of the set,
+ * each vertex tagged with its glyph index. Every instance carries the glyph
+ * it shows in the `instanceGlyph` attribute; the vertex shader collapses the
+ * other glyphs to a point so they never rasterize.
+ */
+
+import * as THREE from "three";
+import { params } from "../config.js";
+import { camera, instancedMesh, sampledVertexIndices } from "../state.js";
+import { SAMPLE_TYPES } from "./sampling.js";
+import { getSampleRegionIndex } from "./bodyRegions.js";
+import { computeLuminance, luminanceNeedsNormals } from "./luminance.js";
+import { createRandom } from "../utils/random.js";
+
+// How instances pick their glyph
+export const GLYPH_ASSIGNMENTS = [
+  "random",
+  "sampleType",
+  "boneRegion",
+  "depth",
+  "luminance",
+  "string",
+];
+
+// Reused for depth assignment
+const _cameraLocal = new THREE.Vector3();
+const _inverseWorld = new THREE.Matrix4();
+let values = new Float32Array(0);
+
+/**
+ * Whether several glyphs are in use
+ */
+export function isGlyphSetMode() {
+  return params.glyphMode === "set" && getGlyphs().length > 1;
+}
+
+/**
+ * Unique glyphs the character geometry is built from, in order
+ */
+export function getGlyphs() {
+  if (params.glyphMode !== "set") return [params.character];
+
+  const glyphs = [...new Set(Array.from(params.glyphSet))];
+  return glyphs.length > 0 ? glyphs : [params.character];
+}
+
+/**
+ * Character shown by an instance
+ */
+export function getInstanceGlyph(instanceIndex) {
+  const glyphs = getGlyphs();
+  const attribute = instancedMesh?.geometry.getAttribute("instanceGlyph");
+  if (!attribute) return glyphs[0];
+  return glyphs[attribute.getX(instanceIndex)] ?? glyphs[0];
+}
+
+/**
+ * Shader patch hiding every glyph except the instance's own
+ */
+export function patchGlyphSet(shader) {
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      "#include <common>",
+      "#include <common>\nattribute float glyphIndex;\nattribute float instanceGlyph;"
+    )
+    .replace(
+      "#include <begin_vertex>",
+      "#include <begin_vertex>\nif ( abs( glyphIndex - instanceGlyph ) > 0.5 ) transformed = vec3( 0.0 );"
+    );
+}
+
+/**
+ * Add the per-instance glyph attribute and fill it for the current mode
+ */
+export function setGlyphAttribute(geometry, instanceCount) {
+  geometry.setAttribute(
+    "instanceGlyph",
+    new THREE.InstancedBufferAttribute(new Float32Array(instanceCount), 1)
+  );
+  assignGlyphs(geometry);
+}
+
+/**
+ * Fill instance glyphs for position-independent modes
+ * Depth and luminance modes are refreshed every frame by updateGlyphs()
+ */
+export function assignGlyphs(geometry = instancedMesh?.geometry) {
+  const attribute = geometry?.getAttribute("instanceGlyph");
+  if (!attribute) return;
+
+  const glyphs = getGlyphs();
+  const count = glyphs.length;
+  const array = attribute.array;
+
+  if (params.glyphAssignment === "string") {
+    // Spell the glyph set across the body, in order
+    const text = Array.from(params.glyphSet);
+    for (let i = 0; i < array.length; i++) {
+      array[i] = glyphs.indexOf(text[i % text.length]);
+    }
+  } else if (params.glyphAssignment === "sampleType") {
+    sampledVertexIndices.forEach((sample, i) => {
+      array[i] = SAMPLE_TYPES.indexOf(sample.type) % count;
+    });
+  } else if (params.glyphAssignment === "boneRegion") {
+    sampledVertexIndices.forEach((sample, i) => {
+      array[i] = getSampleRegionIndex(sample) % count;
+    });
+  } else {
+    const random = createRandom(params.seed, "glyphs");
+    for (let i = 0; i < array.length; i++) {
+      array[i] = Math.floor(random() * count);
+    }
+  }
+
+  attribute.needsUpdate = true;
+}
+
+/**
+ * Whether glyph assignment needs this frame's particle positions
+ */
+export function glyphsNeedPositions() {
+  return (
+    isGlyphSetMode() &&
+    (params.glyphAssignment === "depth" ||
+      params.glyphAssignment === "luminance")
+  );
+}
+
+/**
+ * Whether glyph assignment also needs this frame's particle normals
+ */
+export function glyphsNeedNormals() {
+  return (
+    isGlyphSetMode() &&
+    params.glyphAssignment === "luminance" &&
+    luminanceNeedsNormals()
+  );
+}
+
+/**
+ * Per-frame glyph update
+ * - depth: nearest characters get the first glyph of the set, farthest the last
+ * - luminance: the set is a density ramp, darkest first - brighter particles
+ *   pick denser glyphs
+ *
+ * @param {Float32Array} positions - Particle positions (mesh space), 3 per instance
+ * @param {Float32Array} [normals] - Particle normals, when glyphsNeedNormals()
+ */
+export function updateGlyphs(positions, normals) {
+  if (!glyphsNeedPositions()) return;
+
+  const attribute = instancedMesh.geometry.getAttribute("instanceGlyph");
+  const array = attribute.array;
+  const count = array.length;
+  const last = getGlyphs().length - 1;
+
+  if (values.length !== count) values = new Float32Array(count);
+
+  if (params.glyphAssignment === "luminance") {
+    computeLuminance(positions, normals, values);
+    for (let i = 0; i < count; i++) {
+      array[i] = Math.min(last, Math.round(values[i] * last));
+    }
+    attribute.needsUpdate = true;
+    return;
+  }
+
+  // Camera in the instanced mesh's space (it may sit inside the cube)
+  _inverseWorld.copy(instancedMesh.matrixWorld).invert();
+  _cameraLocal.copy(camera.position).applyMatrix4(_inverseWorld);
+
+  let near = Infinity;
+  let far = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const dx = positions[i * 3] - _cameraLocal.x;
+    const dy = positions[i * 3 + 1] - _cameraLocal.y;
+    const dz = positions[i * 3 + 2] - _cameraLocal.z;
+    const depth = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    values[i] = depth;
+    if (depth < near) near = depth;
+    if (depth > far) far = depth;
+  }
+
+  const range = far - near || 1;
+  for (let i = 0; i < count; i++) {
+    array[i] = Math.round(((values[i] - near) / range) * last);
+  }
+
+  attribute.needsUpdate = true;
+}
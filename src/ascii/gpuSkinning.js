@@ -0,0 +1,176 @@
+/**
+ * GPU skinning of sampled points
+ *
+ * Uploads the skin table as float textures and patches the instanced
+ * material so each instance skins its three source vertices in the vertex
+ * shader. The CPU only refreshes the bone palette texture per frame.
+ */
+
+import * as THREE from "three";
+import { createBonePalette, updateBonePalette } from "./skinTable.js";
+
+const SHADER_PARS = /* glsl */ `
+uniform highp sampler2D nucatBindPositions;
+uniform highp sampler2D nucatSkinIndices;
+uniform highp sampler2D nucatSkinWeights;
+uniform highp sampler2D nucatBoneTexture;
+
+attribute vec3 sourceIndex;
+attribute vec3 sourceWeight;
+
+vec4 nucatTexel( highp sampler2D tex, const in float i ) {
+
+	int size = textureSize( tex, 0 ).x;
+	int j = int( i );
+	return texelFetch( tex, ivec2( j % size, j / size ), 0 );
+
+}
+
+mat4 nucatBoneMatrix( const in float i ) {
+
+	int size = textureSize( nucatBoneTexture, 0 ).x;
+	int j = int( i ) * 4;
+	int x = j % size;
+	int y = j / size;
+	vec4 v1 = texelFetch( nucatBoneTexture, ivec2( x, y ), 0 );
+	vec4 v2 = texelFetch( nucatBoneTexture, ivec2( x + 1, y ), 0 );
+	vec4 v3 = texelFetch( nucatBoneTexture, ivec2( x + 2, y ), 0 );
+	vec4 v4 = texelFetch( nucatBoneTexture, ivec2( x + 3, y ), 0 );
+
+	return mat4( v1, v2, v3, v4 );
+
+}
+
+vec3 nucatSkinVertex( const in float i ) {
+
+	vec4 position = vec4( nucatTexel( nucatBindPositions, i ).xyz, 1.0 );
+	vec4 skinIndex = nucatTexel( nucatSkinIndices, i );
+	vec4 skinWeight = nucatTexel( nucatSkinWeights, i );
+
+	vec4 skinned = nucatBoneMatrix( skinIndex.x ) * position * skinWeight.x;
+	skinned += nucatBoneMatrix( skinIndex.y ) * position * skinWeight.y;
+	skinned += nucatBoneMatrix( skinIndex.z ) * position * skinWeight.z;
+	skinned += nucatBoneMatrix( skinIndex.w ) * position * skinWeight.w;
+
+	return skinned.xyz;
+
+}
+
+vec3 nucatSamplePosition() {
+
+	vec3 position = nucatSkinVertex( sourceIndex.x ) * sourceWeight.x;
+	if ( sourceWeight.y != 0.0 ) position += nucatSkinVertex( sourceIndex.y ) * sourceWeight.y;
+	if ( sourceWeight.z != 0.0 ) position += nucatSkinVertex( sourceIndex.z ) * sourceWeight.z;
+
+	return position;
+
+}
+`;
+
+/**
+ * Pack a per-vertex array (itemSize 3 or 4) into a square RGBA float texture
+ */
+function createVertexTexture(data, itemSize, count) {
+  const size = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const texels = new Float32Array(size * size * 4);
+
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < itemSize; k++) {
+      texels[i * 4 + k] = data[i * itemSize + k];
+    }
+  }
+
+  const texture = new THREE.DataTexture(
+    texels,
+    size,
+    size,
+    THREE.RGBAFormat,
+    THREE.FloatType
+  );
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Create GPU skinning resources for a skin table
+ */
+export function createGPUSkinning(table) {
+  const palette = createBonePalette(table);
+  const boneTexture = new THREE.DataTexture(
+    palette.matrices,
+    palette.size,
+    palette.size,
+    THREE.RGBAFormat,
+    THREE.FloatType
+  );
+
+  return {
+    table,
+    palette,
+    boneTexture,
+    bindPositions: createVertexTexture(table.positions, 3, table.vertexCount),
+    skinIndices: createVertexTexture(table.skinIndices, 4, table.vertexCount),
+    skinWeights: createVertexTexture(table.skinWeights, 4, table.vertexCount),
+  };
+}
+
+/**
+ * Refresh the bone palette texture from the current skeleton pose
+ */
+export function updateGPUSkinning(gpuSkinning, meshes) {
+  updateBonePalette(gpuSkinning.table, gpuSkinning.palette, meshes);
+  gpuSkinning.boneTexture.needsUpdate = true;
+}
+
+/**
+ * Release GPU skinning textures
+ */
+export function disposeGPUSkinning(gpuSkinning) {
+  gpuSkinning.boneTexture.dispose();
+  gpuSkinning.bindPositions.dispose();
+  gpuSkinning.skinIndices.dispose();
+  gpuSkinning.skinWeights.dispose();
+}
+
+/**
+ * Add per-instance skinning attributes to the character geometry
+ */
+export function setSkinningAttributes(geometry, table) {
+  geometry.setAttribute(
+    "sourceIndex",
+    new THREE.InstancedBufferAttribute(table.sourceIndices, 3)
+  );
+  geometry.setAttribute(
+    "sourceWeight",
+    new THREE.InstancedBufferAttribute(table.sourceWeights, 3)
+  );
+}
+
+/**
+ * Remove per-instance skinning attributes (CPU path)
+ */
+export function clearSkinningAttributes(geometry) {
+  geometry.deleteAttribute("sourceIndex");
+  geometry.deleteAttribute("sourceWeight");
+}
+
+/**
+ * Shader patch that offsets each instance by its GPU-skinned sample position
+ * The instance matrix then only carries rotation and effect offsets
+ */
+export function patchGPUSkinning(shader, gpuSkinning) {
+  shader.uniforms.nucatBindPositions = { value: gpuSkinning.bindPositions };
+  shader.uniforms.nucatSkinIndices = { value: gpuSkinning.skinIndices };
+  shader.uniforms.nucatSkinWeights = { value: gpuSkinning.skinWeights };
+  shader.uniforms.nucatBoneTexture = { value: gpuSkinning.boneTexture };
+
+  shader.vertexShader = shader.vertexShader
+    .replace("#include <common>", `#include <common>\n${SHADER_PARS}`)
+    .replace(
+      "#include <project_vertex>",
+      THREE.ShaderChunk.project_vertex.replace(
+        "mvPosition = modelViewMatrix * mvPosition;",
+        "mvPosition.xyz += nucatSamplePosition();\nmvPosition = modelViewMatrix * mvPosition;"
+      )
+    );
+}
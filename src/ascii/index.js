@@ -2,7 +2,11 @@
  * Initialize ASCII point cloud from skinned mesh
  */
 
-import { sampleVertices, sampleSkeletonBones } from "./sampling.js";
+import {
+  sampleVertices,
+  sampleVerticesAsync,
+  sampleSkeletonBones,
+} from "./sampling.js";
 import { createCharacterGeometry } from "./geometry.js";
 import { createInstancedMesh } from "./instancedMesh.js";
 
@@ -23,8 +27,44 @@ export function initializeASCIIPointCloud() {
   createInstancedMesh();
 }
 
+/**
+ * Same as initializeASCIIPointCloud, but sampling in the worker (or from
+ * the sample cache) so the page stays responsive
+ *
+ * @param {Object} [options] - See sampleVerticesAsync
+ * @returns {Promise<boolean>} false if a newer sampling run replaced this one
+ */
+export async function loadASCIIPointCloud(options) {
+  if (!(await sampleVerticesAsync(options))) return false;
+
+  sampleSkeletonBones();
+  createCharacterGeometry();
+  createInstancedMesh();
+  return true;
+}
+
 // Re-export for convenience
-export { sampleVertices, sampleSkeletonBones } from "./sampling.js";
+export {
+  sampleVertices,
+  sampleVerticesAsync,
+  sampleSkeletonBones,
+} from "./sampling.js";
 export { createCharacterGeometry } from "./geometry.js";
-export { createInstancedMesh, updateASCIIPositions } from "./instancedMesh.js";
-export { getSkinnedVertexPosition } from "./skinning.js";
+export {
+  createInstancedMesh,
+  removeInstancedMesh,
+  updateASCIIPositions,
+  getSamplePosition,
+  updateSamplePositions,
+  getParticlePositions,
+} from "./instancedMesh.js";
+export { getGlyphs, getInstanceGlyph, assignGlyphs } from "./glyphs.js";
+export { getSkinnedVertexPosition, getBonePointPosition } from "./skinning.js";
+export { buildSkinTable } from "./skinTable.js";
+export {
+  createSkinCache,
+  updateSkinCache,
+  updateSkinCacheNormals,
+  resolveCachedPosition,
+  resolveCachedNormal,
+} from "./skinCache.js";
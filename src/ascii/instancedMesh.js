@@ -17,41 +17,113 @@ import {
   tempQuaternion,
   tempScale,
   tempNormal,
-  effectTime,
-  disperseDirections,
   setDisperseDirections,
-  modelCenter,
+  skinCache,
+  setSkinTable,
+  setSkinCache,
 } from "../state.js";
-import { getSkinnedVertexPosition } from "./skinning.js";
+import { buildSkinTable } from "./skinTable.js";
+import { createRandom } from "../utils/random.js";
+import {
+  createSkinCache,
+  updateSkinCache,
+  updateSkinCacheNormals,
+  resolveCachedPosition,
+  resolveCachedNormal,
+} from "./skinCache.js";
+import {
+  createGPUSkinning,
+  updateGPUSkinning,
+  disposeGPUSkinning,
+  setSkinningAttributes,
+  clearSkinningAttributes,
+} from "./gpuSkinning.js";
+import { createParticleMaterial } from "./particleMaterial.js";
+import {
+  applyColorMode,
+  colorsNeedPositions,
+  colorsNeedNormals,
+  updateInstanceColors,
+} from "./colors.js";
+import {
+  isGlyphSetMode,
+  setGlyphAttribute,
+  glyphsNeedPositions,
+  glyphsNeedNormals,
+  updateGlyphs,
+} from "./glyphs.js";
+import { applyEffects, effectsNeedPositions } from "./effects/index.js";
 import {
   isModelIncubated,
   reattachInstancedMesh,
 } from "../core/holographicCube.js";
 
+// GPU skinning resources for the current instanced mesh (null on the CPU path)
+let gpuSkinning = null;
+
+// Final character positions this frame (mesh space, 3 per instance)
+// Always filled on the CPU path; on the GPU path only when a feature asks
+let particlePositions = new Float32Array(0);
+
+// Skinned surface normals this frame (zero for bone points), only filled
+// when a feature shades per particle
+let particleNormals = new Float32Array(0);
+
+// Reused for character rotation
+const _billboardRotation = new THREE.Quaternion();
+const _cameraDirection = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _forward = new THREE.Vector3(0, 0, 1);
+const _skinned = new THREE.Vector3();
+
 /**
- * Create the InstancedMesh for efficient multi-character rendering
+ * Tear down the instanced mesh and its GPU skinning - until the next
+ * createInstancedMesh() there are no characters to update
  */
-export function createInstancedMesh() {
-  // Remove existing instanced mesh if present
+export function removeInstancedMesh() {
   if (instancedMesh) {
     // Remove from wherever it currently is (scene or cubeGroup)
     if (instancedMesh.parent) {
       instancedMesh.parent.remove(instancedMesh);
     }
     instancedMesh.dispose();
+    instancedMesh.material.dispose();
+    setInstancedMesh(null);
   }
 
-  // Create material with emissive properties for glow
-  const material = new THREE.MeshStandardMaterial({
-    color: new THREE.Color(params.color),
-    emissive: new THREE.Color(params.color),
-    emissiveIntensity: params.emissiveIntensity,
-    metalness: 0.8,
-    roughness: 0.2,
-  });
+  if (gpuSkinning) {
+    disposeGPUSkinning(gpuSkinning);
+    gpuSkinning = null;
+  }
+}
+
+/**
+ * Create the InstancedMesh for efficient multi-character rendering
+ */
+export function createInstancedMesh() {
+  // Remove existing instanced mesh if present
+  removeInstancedMesh();
+
+  // Flatten sample descriptors for GPU skinning
+  const table = buildSkinTable(skinnedMeshes, sampledVertexIndices);
+  const cache = createSkinCache(table);
+  setSkinTable(table);
+  setSkinCache(cache);
+
+  if (params.gpuSkinning) {
+    gpuSkinning = createGPUSkinning(table);
+    setSkinningAttributes(currentGeometry, table);
+  } else {
+    clearSkinningAttributes(currentGeometry);
+  }
+
+  const glyphSet = isGlyphSetMode();
+  const material = createParticleMaterial({ gpuSkinning, glyphSet });
 
   // Create instanced mesh with sampled vertex count
   const instanceCount = sampledVertexIndices.length;
+  particlePositions = new Float32Array(instanceCount * 3);
+  particleNormals = new Float32Array(instanceCount * 3);
   const mesh = new THREE.InstancedMesh(
     currentGeometry,
     material,
@@ -59,6 +131,10 @@ export function createInstancedMesh() {
   );
   mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 
+  // Instance matrices only hold offsets when skinned on the GPU,
+  // so their bounds say nothing about where the characters are
+  mesh.frustumCulled = !params.gpuSkinning;
+
   // Initialize all instances with identity matrices
   for (let i = 0; i < instanceCount; i++) {
     tempMatrix.identity();
@@ -76,251 +152,219 @@ export function createInstancedMesh() {
     reattachInstancedMesh(mesh);
   }
 
+  // Which glyph each instance shows
+  if (glyphSet) {
+    setGlyphAttribute(currentGeometry, instanceCount);
+  } else {
+    currentGeometry.deleteAttribute("instanceGlyph");
+  }
+
+  // Flat material color or per-instance colors
+  applyColorMode(mesh);
+
   // Generate random disperse directions for each character
+  const random = createRandom(params.seed, "disperse");
   const directions = [];
   for (let i = 0; i < instanceCount; i++) {
     directions.push(
       new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2
+        (random() - 0.5) * 2,
+        (random() - 0.5) * 2,
+        (random() - 0.5) * 2
       ).normalize()
     );
   }
   setDisperseDirections(directions);
 
-  console.log(`Created InstancedMesh with ${instanceCount} instances`);
+  console.log(
+    `Created InstancedMesh with ${instanceCount} instances (${
+      params.gpuSkinning ? "GPU" : "CPU"
+    } skinning)`
+  );
+  console.log(
+    `Skin cache: ${cache.stats.evaluations} vertex skins per frame, ${cache.stats.saved} saved`
+  );
 
   return mesh;
 }
 
 /**
- * Update ASCII character positions based on current skeleton pose
+ * Skin the current pose into the cache so every sample can be resolved
+ * Done each frame on the CPU path; call it before getSamplePosition() when
+ * skinning runs on the GPU
  */
-export function updateASCIIPositions() {
-  if (!instancedMesh || skinnedMeshes.length === 0) return;
+export function updateSamplePositions() {
+  if (!skinCache) return;
+  updateSkinCache(skinCache, skinnedMeshes);
+}
 
-  sampledVertexIndices.forEach((sample, instanceIndex) => {
-    const mesh = skinnedMeshes[sample.meshIndex];
-    const geometry = mesh.geometry;
-
-    // Handle different sample types
-    if (sample.type === "faceCenter") {
-      const [i0, i1, i2] = sample.faceVertices;
-      const p0 = new THREE.Vector3();
-      const p1 = new THREE.Vector3();
-      const p2 = new THREE.Vector3();
-
-      getSkinnedVertexPosition(i0, mesh, p0);
-      getSkinnedVertexPosition(i1, mesh, p1);
-      getSkinnedVertexPosition(i2, mesh, p2);
-
-      tempPosition.set(
-        (p0.x + p1.x + p2.x) / 3,
-        (p0.y + p1.y + p2.y) / 3,
-        (p0.z + p1.z + p2.z) / 3
-      );
-    } else if (sample.type === "edgePoint") {
-      const [a, b] = sample.edgeVertices;
-      const t = sample.t;
-      const pA = new THREE.Vector3();
-      const pB = new THREE.Vector3();
-
-      getSkinnedVertexPosition(a, mesh, pA);
-      getSkinnedVertexPosition(b, mesh, pB);
-
-      tempPosition.lerpVectors(pA, pB, t);
-    } else if (sample.type === "interior") {
-      const [i0, i1, i2] = sample.faceVertices;
-      const [u, v, w] = sample.bary;
-      const p0 = new THREE.Vector3();
-      const p1 = new THREE.Vector3();
-      const p2 = new THREE.Vector3();
-
-      getSkinnedVertexPosition(i0, mesh, p0);
-      getSkinnedVertexPosition(i1, mesh, p1);
-      getSkinnedVertexPosition(i2, mesh, p2);
-
-      tempPosition.set(
-        p0.x * u + p1.x * v + p2.x * w,
-        p0.y * u + p1.y * v + p2.y * w,
-        p0.z * u + p1.z * v + p2.z * w
-      );
-    } else if (sample.type === "edgeMidpoint") {
-      const [a, b] = sample.edgeVertices;
-      const pA = new THREE.Vector3();
-      const pB = new THREE.Vector3();
-
-      getSkinnedVertexPosition(a, mesh, pA);
-      getSkinnedVertexPosition(b, mesh, pB);
-
-      tempPosition.set((pA.x + pB.x) / 2, (pA.y + pB.y) / 2, (pA.z + pB.z) / 2);
-    } else {
-      getSkinnedVertexPosition(sample.vertexIndex, mesh, tempPosition);
-    }
+/**
+ * CPU-skinned world position of a sample, as of the last cache update
+ */
+export function getSamplePosition(instanceIndex, target) {
+  return resolveCachedPosition(skinCache, instanceIndex, target);
+}
 
-    // Handle rotation based on billboard mode
-    if (params.billboardMode) {
-      const cameraDirection = new THREE.Vector3();
-      camera.getWorldDirection(cameraDirection);
-      cameraDirection.negate();
+/**
+ * Final character positions of the current frame, effects included
+ * (mesh space, 3 floats per instance)
+ */
+export function getParticlePositions() {
+  // The GPU path only keeps them up to date when a per-frame feature needs
+  // them - otherwise resolve them now
+  if (gpuSkinning && !needsParticlePositions()) resolveGPUParticlePositions();
+  return particlePositions;
+}
 
-      const angle = Math.atan2(cameraDirection.x, cameraDirection.z);
-      tempQuaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
-    } else {
-      const normalAttr = geometry.attributes.normal;
-      if (normalAttr && sample.type === "vertex") {
-        tempNormal.fromBufferAttribute(normalAttr, sample.vertexIndex);
-        tempQuaternion.setFromUnitVectors(
-          new THREE.Vector3(0, 0, 1),
-          tempNormal.normalize()
-        );
-      } else {
-        tempQuaternion.identity();
-      }
-    }
+/**
+ * Skinned positions plus the effect offsets already in the instance matrices
+ */
+function resolveGPUParticlePositions() {
+  updateSkinCache(skinCache, skinnedMeshes);
+
+  for (let i = 0; i < sampledVertexIndices.length; i++) {
+    resolveCachedPosition(skinCache, i, _skinned);
+    instancedMesh.getMatrixAt(i, tempMatrix);
+    tempPosition.setFromMatrixPosition(tempMatrix);
+    _skinned.add(tempPosition).toArray(particlePositions, i * 3);
+  }
+}
 
-    // Apply effects to position
-    applyEffects(instanceIndex, tempPosition);
+/**
+ * Skin sample normals for this frame into particleNormals
+ * Call after the skin cache has been updated
+ */
+function updateParticleNormals() {
+  updateSkinCacheNormals(skinCache);
 
-    tempScale.setScalar(1);
-    tempMatrix.compose(tempPosition, tempQuaternion, tempScale);
-    instancedMesh.setMatrixAt(instanceIndex, tempMatrix);
-  });
+  for (let i = 0; i < sampledVertexIndices.length; i++) {
+    resolveCachedNormal(skinCache, i, tempNormal);
+    tempNormal.toArray(particleNormals, i * 3);
+  }
+}
 
-  instancedMesh.instanceMatrix.needsUpdate = true;
+/**
+ * Whether anything reads particle positions on the CPU this frame
+ */
+function needsParticlePositions() {
+  return glyphsNeedPositions() || colorsNeedPositions();
 }
 
 /**
- * Apply visual effects to character position - supports layering multiple effects
- * Each effect uses its own stored parameters
+ * Per-frame features driven by particle positions and normals
+ *
+ * @param {number} delta - Seconds since the last update (0 while paused)
  */
-function applyEffects(instanceIndex, position) {
-  const { activeEffects, effectParams, disperseAmount } = params;
-
-  // Check if any effects are active
-  const hasActiveEffect = Object.values(activeEffects).some((v) => v);
-  if (!hasActiveEffect && params.effectType === "none") return;
-
-  const phase = instanceIndex * 0.1;
-
-  // Apply hover effect with its own params
-  if (activeEffects.hover || params.effectType === "hover") {
-    const p = effectParams.hover;
-    const time = effectTime * p.speed;
-    position.x += Math.sin(time * 2 + phase) * p.intensity * 0.5;
-    position.y += Math.sin(time * 3 + phase * 1.3) * p.intensity * 0.3;
-    position.z += Math.cos(time * 2.5 + phase * 0.7) * p.intensity * 0.4;
-  }
+function updateParticleFeatures(delta) {
+  if (glyphsNeedNormals() || colorsNeedNormals()) updateParticleNormals();
+  updateGlyphs(particlePositions, particleNormals);
+  updateInstanceColors(particlePositions, particleNormals, delta);
+}
+
+/**
+ * Billboard rotation shared by all characters this frame
+ */
+function updateBillboardRotation() {
+  camera.getWorldDirection(_cameraDirection);
+  _cameraDirection.negate();
 
-  // Apply disperse effect with its own params
-  if (activeEffects.disperse || params.effectType === "disperse") {
-    const p = effectParams.disperse;
-    if (disperseDirections[instanceIndex]) {
-      const dir = disperseDirections[instanceIndex];
-      const distance = disperseAmount * p.intensity * 10;
-      position.x += dir.x * distance;
-      position.y += dir.y * distance;
-      position.z += dir.z * distance;
+  const angle = Math.atan2(_cameraDirection.x, _cameraDirection.z);
+  _billboardRotation.setFromAxisAngle(_up, angle);
+}
+
+/**
+ * Character rotation for a sample based on billboard mode
+ */
+function getSampleRotation(sample, target) {
+  if (params.billboardMode) {
+    target.copy(_billboardRotation);
+  } else {
+    const normalAttr =
+      skinnedMeshes[sample.meshIndex].geometry.attributes.normal;
+    if (normalAttr && sample.type === "vertex") {
+      tempNormal.fromBufferAttribute(normalAttr, sample.vertexIndex);
+      target.setFromUnitVectors(_forward, tempNormal.normalize());
+    } else {
+      target.identity();
     }
   }
 
-  // Apply noise effect with its own params
-  if (activeEffects.noise || params.effectType === "noise") {
-    const p = effectParams.noise;
-    const time = effectTime * p.speed;
-    const noiseScale = p.intensity * 0.5;
-    position.x += Math.sin(time * 10 + instanceIndex * 100) * noiseScale;
-    position.y += Math.cos(time * 12 + instanceIndex * 73) * noiseScale;
-    position.z += Math.sin(time * 8 + instanceIndex * 47) * noiseScale;
-  }
+  return target;
+}
 
-  // Apply wave effect with its own params
-  if (activeEffects.wave || params.effectType === "wave") {
-    const p = effectParams.wave;
-    const time = effectTime * p.speed;
-    const waveOffset = Math.sin(time * 2 + position.y * 0.05) * p.intensity;
-    position.x += waveOffset;
-  }
+/**
+ * Update ASCII character positions based on current skeleton pose
+ *
+ * @param {number} [delta] - Seconds since the last update (0 while paused)
+ */
+export function updateASCIIPositions(delta = 0) {
+  if (!instancedMesh || skinnedMeshes.length === 0) return;
 
-  // Apply spiral effect with its own params
-  if (activeEffects.spiral || params.effectType === "spiral") {
-    const p = effectParams.spiral;
-    const time = effectTime * p.speed;
-    const angle = time * 2 + phase;
-    const radius = p.intensity * 0.5;
-    position.x += Math.cos(angle) * radius;
-    position.z += Math.sin(angle) * radius;
-  }
+  updateBillboardRotation();
 
-  // Apply spiralFlow effect with its own params
-  if (activeEffects.spiralFlow || params.effectType === "spiralFlow") {
-    const p = effectParams.spiralFlow;
-    const time = effectTime * p.speed;
-    applySpiralFlowEffect(instanceIndex, position, time, p);
+  if (gpuSkinning) {
+    updateGPUOffsets(delta);
+    return;
   }
-}
 
-function easeInOutCubic(t) {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  // Skin each referenced vertex once, then resolve every sample from it
+  updateSkinCache(skinCache, skinnedMeshes);
+
+  tempScale.setScalar(1);
+
+  sampledVertexIndices.forEach((sample, instanceIndex) => {
+    resolveCachedPosition(skinCache, instanceIndex, tempPosition);
+    getSampleRotation(sample, tempQuaternion);
+
+    // Apply effects to position
+    applyEffects(instanceIndex, tempPosition);
+    tempPosition.toArray(particlePositions, instanceIndex * 3);
+
+    tempMatrix.compose(tempPosition, tempQuaternion, tempScale);
+    instancedMesh.setMatrixAt(instanceIndex, tempMatrix);
+  });
+
+  instancedMesh.instanceMatrix.needsUpdate = true;
+  updateParticleFeatures(delta);
 }
 
 /**
- * Spiral Flow Effect - Characters flow out in waves, spiral around, return
+ * GPU path - skinning happens in the vertex shader, so the instance matrix
+ * only carries the character rotation and the effect offset
  */
-function applySpiralFlowEffect(instanceIndex, position, time, effectParam) {
-  const { spiralFlowProgress } = params;
-  const intensity = effectParam.intensity;
-  const waves = effectParam.waves;
-
-  if (spiralFlowProgress <= 0) return;
-
-  const center = modelCenter || { x: 0, y: 50, z: 0 };
-
-  // Characters at BOTTOM flow out first, then middle, then top
-  const normalizedY = (position.y + 50) / 250;
-  const waveIndex = Math.floor(normalizedY * waves);
-  const wavePhase = waveIndex / waves;
-
-  // Add randomness for organic feel
-  const randomOffset = ((instanceIndex % 100) / 100) * 0.3;
-
-  // Calculate when this character should start moving
-  const charStartTime = wavePhase * 0.5 + randomOffset * 0.2;
-  const charEndTime = charStartTime + 0.5;
-
-  // Progress for this character
-  let charProgress = 0;
-  if (spiralFlowProgress > charStartTime) {
-    if (spiralFlowProgress < charEndTime) {
-      charProgress =
-        (spiralFlowProgress - charStartTime) / (charEndTime - charStartTime);
-    } else if (spiralFlowProgress < charEndTime + 0.3) {
-      charProgress = 1 - (spiralFlowProgress - charEndTime) / 0.3;
-    } else {
-      charProgress = 0;
-    }
-  }
+function updateGPUOffsets(delta) {
+  updateGPUSkinning(gpuSkinning, skinnedMeshes);
 
-  if (charProgress <= 0) return;
+  // Skinned positions are only needed on the CPU when something reads
+  // them - a feature, or an effect that depends on where the character is
+  const needsPositions = needsParticlePositions();
+  const needsSkinning = needsPositions || effectsNeedPositions();
+  if (needsSkinning) updateSkinCache(skinCache, skinnedMeshes);
 
-  const smoothProgress = easeInOutCubic(Math.min(charProgress, 1));
+  tempScale.setScalar(1);
+  _skinned.set(0, 0, 0);
 
-  const spiralRadius = intensity * 3 * smoothProgress;
-  const spiralHeight = intensity * 2 * smoothProgress;
+  sampledVertexIndices.forEach((sample, instanceIndex) => {
+    getSampleRotation(sample, tempQuaternion);
+
+    // Effect offset from the current skinned position (from the origin
+    // when no effect reads it)
+    if (needsSkinning) {
+      resolveCachedPosition(skinCache, instanceIndex, _skinned);
+    }
+    tempPosition.copy(_skinned);
+    applyEffects(instanceIndex, tempPosition);
+    tempPosition.sub(_skinned);
 
-  const angleOffset = instanceIndex * 0.01 + wavePhase * Math.PI * 2;
-  const spiralAngle = time * 3 + angleOffset + smoothProgress * Math.PI * 4;
+    tempMatrix.compose(tempPosition, tempQuaternion, tempScale);
+    instancedMesh.setMatrixAt(instanceIndex, tempMatrix);
 
-  const dirX = position.x - center.x;
-  const dirZ = position.z - center.z;
-  const dirLen = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+    if (needsPositions) {
+      _skinned.add(tempPosition).toArray(particlePositions, instanceIndex * 3);
+    }
+  });
 
-  const outwardDist = intensity * 2 * smoothProgress;
+  instancedMesh.instanceMatrix.needsUpdate = true;
 
-  position.x +=
-    (dirX / dirLen) * outwardDist + Math.cos(spiralAngle) * spiralRadius;
-  position.y += Math.sin(smoothProgress * Math.PI) * spiralHeight;
-  position.z +=
-    (dirZ / dirLen) * outwardDist + Math.sin(spiralAngle) * spiralRadius;
+  if (needsPositions) updateParticleFeatures(delta);
 }
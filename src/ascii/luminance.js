@@ -0,0 +1,143 @@
+/**
+ * Luminance - per-particle brightness that picks glyphs from the ASCII
+ * density ramp (the glyph set, darkest first: " .:-=+*#%@")
+ *
+ * Sources:
+ * - lighting: Lambert term from the scene lights (core/lighting.js)
+ * - depth:    nearer particles are brighter
+ * - facing:   surface normal relative to the camera
+ */
+
+import * as THREE from "three";
+import { params } from "../config.js";
+import { camera, instancedMesh } from "../state.js";
+import { getSceneLights } from "../core/lighting.js";
+
+export const LUMINANCE_SOURCES = ["lighting", "depth", "facing"];
+
+// Reused per frame
+const _inverseWorld = new THREE.Matrix4();
+const _cameraLocal = new THREE.Vector3();
+const _lightPosition = new THREE.Vector3();
+const _targetPosition = new THREE.Vector3();
+let lightDirections = new Float32Array(0);
+let lightWeights = new Float32Array(0);
+
+/**
+ * Whether the current source needs particle normals
+ */
+export function luminanceNeedsNormals() {
+  return params.luminanceSource !== "depth";
+}
+
+/**
+ * Perceived brightness of a light, scaled by its intensity
+ */
+function getLightWeight(light) {
+  const { r, g, b } = light.color;
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) * light.intensity;
+}
+
+/**
+ * Directional lights as mesh-space directions plus their weights
+ * Returns the ambient term and the brightest possible total
+ */
+function prepareLights() {
+  const lights = getSceneLights();
+  if (lightWeights.length !== lights.length) {
+    lightDirections = new Float32Array(lights.length * 3);
+    lightWeights = new Float32Array(lights.length);
+  }
+
+  let ambient = 0;
+  let total = 0;
+
+  lights.forEach((light, i) => {
+    lightWeights[i] = 0;
+
+    if (light.isAmbientLight || light.isHemisphereLight) {
+      ambient += getLightWeight(light);
+    } else if (light.isDirectionalLight) {
+      light.getWorldPosition(_lightPosition);
+      light.target.getWorldPosition(_targetPosition);
+      _lightPosition
+        .sub(_targetPosition)
+        .transformDirection(_inverseWorld)
+        .toArray(lightDirections, i * 3);
+      lightWeights[i] = getLightWeight(light);
+    }
+
+    total += getLightWeight(light);
+  });
+
+  return { ambient, total: total || 1 };
+}
+
+/**
+ * Brightness in [0, 1] for every particle
+ *
+ * @param {Float32Array} positions - Particle positions (mesh space)
+ * @param {Float32Array} normals - Particle normals (mesh space), zero if none
+ * @param {Float32Array} out - Receives one value per particle
+ */
+export function computeLuminance(positions, normals, out) {
+  const count = out.length;
+
+  // Work in the instanced mesh's space (it may sit inside the cube)
+  _inverseWorld.copy(instancedMesh.matrixWorld).invert();
+  _cameraLocal.copy(camera.position).applyMatrix4(_inverseWorld);
+
+  if (params.luminanceSource === "depth") {
+    let near = Infinity;
+    let far = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const dx = positions[i * 3] - _cameraLocal.x;
+      const dy = positions[i * 3 + 1] - _cameraLocal.y;
+      const dz = positions[i * 3 + 2] - _cameraLocal.z;
+      const depth = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      out[i] = depth;
+      if (depth < near) near = depth;
+      if (depth > far) far = depth;
+    }
+
+    const range = far - near || 1;
+    for (let i = 0; i < count; i++) out[i] = 1 - (out[i] - near) / range;
+    return out;
+  }
+
+  const lighting = params.luminanceSource === "lighting";
+  const { ambient, total } = lighting ? prepareLights() : {};
+
+  for (let i = 0; i < count; i++) {
+    const nx = normals[i * 3];
+    const ny = normals[i * 3 + 1];
+    const nz = normals[i * 3 + 2];
+
+    // Bone points have no surface - treat them as fully lit
+    if (nx === 0 && ny === 0 && nz === 0) {
+      out[i] = 1;
+      continue;
+    }
+
+    if (lighting) {
+      let light = ambient;
+      for (let l = 0; l < lightWeights.length; l++) {
+        if (lightWeights[l] === 0) continue;
+        const dot =
+          nx * lightDirections[l * 3] +
+          ny * lightDirections[l * 3 + 1] +
+          nz * lightDirections[l * 3 + 2];
+        if (dot > 0) light += dot * lightWeights[l];
+      }
+      out[i] = light / total;
+    } else {
+      const dx = _cameraLocal.x - positions[i * 3];
+      const dy = _cameraLocal.y - positions[i * 3 + 1];
+      const dz = _cameraLocal.z - positions[i * 3 + 2];
+      const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+      out[i] = Math.max(0, (nx * dx + ny * dy + nz * dz) / length);
+    }
+  }
+
+  return out;
+}
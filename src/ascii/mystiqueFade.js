@@ -3,16 +3,18 @@
  *
  * Controls how effects gracefully dissolve back to the default state.
  * Adjust FADE_RATE for faster/slower transitions.
+ * Intensities reset to each effect's schema default once faded.
  */
 
 import { params } from "../config.js";
+import { getEffects, getDefaultParams } from "./effects/index.js";
 
 // ═══════════════════════════════════════════════════════════════
 // MYSTIQUE SETTINGS - Tweak these to control the fade feel
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Fade rate per frame (0.99 = slow, 0.95 = fast)
+ * Fade rate per frame at 60 fps (0.99 = slow, 0.95 = fast)
  * Current: 0.992 = ~5-8 seconds to fully fade
  */
 const FADE_RATE = 0.992;
@@ -23,41 +25,33 @@ const FADE_RATE = 0.992;
  */
 const FADE_THRESHOLD = 0.05;
 
-/**
- * Default intensity to reset to after fade completes
- */
-const DEFAULT_INTENSITY = 5.0;
-
 // ═══════════════════════════════════════════════════════════════
 
 /**
  * Process the mystique fade each frame
  * Call this in your animation loop when params._isReturning is true
  *
+ * @param {number} delta - Seconds since the last step
  * @returns {boolean} - true if fade is complete, false if still fading
  */
-export function processMystiqueFade() {
+export function processMystiqueFade(delta) {
   if (!params._isReturning) return false;
 
-  // Fade global intensity
-  params.effectIntensity *= FADE_RATE;
-
-  // Fade all per-effect intensities
-  Object.keys(params.effectParams).forEach((effectName) => {
-    params.effectParams[effectName].intensity *= FADE_RATE;
-  });
+  // Same fade per second whatever the step size
+  const rate = Math.pow(FADE_RATE, delta * 60);
 
-  // Fade disperse amount back to 0
-  params.disperseAmount *= FADE_RATE;
+  // Fade every registered effect - its intensity plus any state of its own
+  // (disperse amount, flow progress)
+  let allFaded = true;
+  getEffects().forEach((effect) => {
+    const effectParams = params.effectParams[effect.name];
+    effectParams.intensity *= rate;
+    if (effectParams.intensity >= FADE_THRESHOLD) allFaded = false;
 
-  // Fade spiral flow progress
-  params.spiralFlowProgress *= FADE_RATE;
-
-  // Check if all effects have faded enough
-  const allFaded =
-    params.effectIntensity < FADE_THRESHOLD &&
-    params.disperseAmount < FADE_THRESHOLD &&
-    params.spiralFlowProgress < FADE_THRESHOLD;
+    if (effect.fade && effect.fade(rate) >= FADE_THRESHOLD) {
+      allFaded = false;
+    }
+  });
 
   if (allFaded) {
     completeFade();
@@ -71,25 +65,18 @@ export function processMystiqueFade() {
  * Complete the fade - reset everything to defaults
  */
 function completeFade() {
-  params.effectIntensity = 0;
   params.effectType = "none";
 
-  // Turn off all active effects
-  Object.keys(params.activeEffects).forEach((key) => {
-    params.activeEffects[key] = false;
+  // Turn off all active effects and reset intensities for next use
+  getEffects().forEach((effect) => {
+    params.activeEffects[effect.name] = false;
+    params.effectParams[effect.name].intensity = getDefaultParams(
+      effect.name
+    ).intensity;
+    if (effect.reset) effect.reset();
   });
 
   params._isReturning = false;
-  params._spiralFlowActive = false;
-  params.disperseAmount = 0;
-  params.spiralFlowProgress = 0;
-
-  // Reset intensities for next use
-  params.effectIntensity = DEFAULT_INTENSITY;
-  Object.keys(params.effectParams).forEach((effectName) => {
-    params.effectParams[effectName].intensity = DEFAULT_INTENSITY;
-  });
-
   params._focusedEffect = null;
 
   // Reset button colors
@@ -105,6 +92,5 @@ export function getFadeSettings() {
   return {
     fadeRate: FADE_RATE,
     threshold: FADE_THRESHOLD,
-    defaultIntensity: DEFAULT_INTENSITY,
   };
 }
@@ -0,0 +1,52 @@
+/**
+ * Particle material - MeshStandardMaterial plus the shader patches the
+ * current render mode needs (GPU skinning, glyph sets, instance colors)
+ */
+
+import * as THREE from "three";
+import { params } from "../config.js";
+import { patchGPUSkinning } from "./gpuSkinning.js";
+import { patchGlyphSet } from "./glyphs.js";
+import { patchInstanceColor } from "./colors.js";
+
+/**
+ * Create the material for the instanced characters
+ *
+ * @param {Object} options
+ * @param {Object} [options.gpuSkinning] - GPU skinning resources, if enabled
+ * @param {boolean} [options.glyphSet] - Whether the geometry holds several glyphs
+ */
+export function createParticleMaterial({
+  gpuSkinning = null,
+  glyphSet = false,
+}) {
+  // Create material with emissive properties for glow
+  const material = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(params.color),
+    emissive: new THREE.Color(params.color),
+    emissiveIntensity: params.emissiveIntensity,
+    metalness: 0.8,
+    roughness: 0.2,
+  });
+
+  // Harmless without instanceColor, so always on - switching color modes
+  // then never needs a new material
+  const patches = [{ key: "instance-color", apply: patchInstanceColor }];
+  if (gpuSkinning) {
+    patches.push({
+      key: "gpu-skinning",
+      apply: (shader) => patchGPUSkinning(shader, gpuSkinning),
+    });
+  }
+  if (glyphSet) {
+    patches.push({ key: "glyph-set", apply: patchGlyphSet });
+  }
+
+  material.onBeforeCompile = (shader) => {
+    patches.forEach((patch) => patch.apply(shader));
+  };
+  const cacheKey = patches.map((patch) => patch.key).join("|");
+  material.customProgramCacheKey = () => cacheKey;
+
+  return material;
+}
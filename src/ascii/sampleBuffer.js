@@ -0,0 +1,178 @@
+/**
+ * Sample buffer - sample descriptors packed into typed arrays
+ *
+ * The sampling worker hands these back (transferred, not copied) and the
+ * sample cache stores them as is. Surface samples keep their vertices and
+ * blend weights; volume samples keep their mesh-local position in the
+ * weights and their skin in volumeSkin.
+ *
+ * The worker packs these too, so nothing here may import three.js.
+ */
+
+// Every sample descriptor type, in a fixed order for debug views
+export const SAMPLE_TYPES = [
+  "vertex",
+  "faceCenter",
+  "edgePoint",
+  "interior",
+  "bonePoint",
+  "edgeMidpoint",
+  "volume",
+];
+
+const VERTEX = SAMPLE_TYPES.indexOf("vertex");
+const FACE_CENTER = SAMPLE_TYPES.indexOf("faceCenter");
+const EDGE_POINT = SAMPLE_TYPES.indexOf("edgePoint");
+const INTERIOR = SAMPLE_TYPES.indexOf("interior");
+const EDGE_MIDPOINT = SAMPLE_TYPES.indexOf("edgeMidpoint");
+const VOLUME = SAMPLE_TYPES.indexOf("volume");
+
+/**
+ * Empty buffer with room for `capacity` samples
+ */
+export function createSampleBuffer(capacity) {
+  return {
+    count: 0,
+    volumeCount: 0,
+    types: new Uint8Array(capacity),
+    meshIndices: new Uint16Array(capacity),
+    vertices: new Uint32Array(capacity * 3),
+    weights: new Float32Array(capacity * 3),
+    volumeSkin: new Float32Array(0), // 4 bone indices + 4 weights each
+  };
+}
+
+/**
+ * Whether the buffer is full
+ */
+export function isSampleBufferFull(buffer) {
+  return buffer.count >= buffer.types.length;
+}
+
+/**
+ * Append a surface sample - up to three vertices and their weights
+ */
+export function pushSurfaceSample(buffer, type, meshIndex, vertices, weights) {
+  const s = buffer.count++;
+  buffer.types[s] = SAMPLE_TYPES.indexOf(type);
+  buffer.meshIndices[s] = meshIndex;
+  for (let k = 0; k < vertices.length; k++) {
+    buffer.vertices[s * 3 + k] = vertices[k];
+    buffer.weights[s * 3 + k] = weights[k];
+  }
+}
+
+/**
+ * Append volume points from fillVolume(), with positions in mesh-local
+ * space
+ */
+export function pushVolumeSamples(buffer, volume) {
+  const count = Math.min(volume.count, buffer.types.length - buffer.count);
+  const start = buffer.count;
+
+  buffer.types.fill(VOLUME, start, start + count);
+  buffer.meshIndices.set(volume.meshIndices.subarray(0, count), start);
+  buffer.weights.set(volume.positions.subarray(0, count * 3), start * 3);
+
+  const skin = new Float32Array(count * 8);
+  for (let i = 0; i < count; i++) {
+    skin.set(volume.skinIndices.subarray(i * 4, i * 4 + 4), i * 8);
+    skin.set(volume.skinWeights.subarray(i * 4, i * 4 + 4), i * 8 + 4);
+  }
+  buffer.volumeSkin = skin;
+  buffer.volumeCount = count;
+  buffer.count += count;
+}
+
+/**
+ * Copy trimmed to the samples actually written
+ */
+export function compactSampleBuffer(buffer) {
+  const { count } = buffer;
+  return {
+    count,
+    volumeCount: buffer.volumeCount,
+    types: buffer.types.slice(0, count),
+    meshIndices: buffer.meshIndices.slice(0, count),
+    vertices: buffer.vertices.slice(0, count * 3),
+    weights: buffer.weights.slice(0, count * 3),
+    volumeSkin: buffer.volumeSkin.slice(),
+  };
+}
+
+/**
+ * The buffer's ArrayBuffers, for postMessage transfer
+ */
+export function getSampleBufferTransferables(buffer) {
+  return [
+    buffer.types.buffer,
+    buffer.meshIndices.buffer,
+    buffer.vertices.buffer,
+    buffer.weights.buffer,
+    buffer.volumeSkin.buffer,
+  ];
+}
+
+/**
+ * Sample descriptors (as used by sampling.js and the skin table)
+ */
+export function unpackSamples(buffer) {
+  const { types, meshIndices, vertices, weights, volumeSkin } = buffer;
+  const samples = new Array(buffer.count);
+  let volumeIndex = 0;
+
+  for (let s = 0; s < buffer.count; s++) {
+    const meshIndex = meshIndices[s];
+    const v = s * 3;
+
+    switch (types[s]) {
+      case VERTEX:
+        samples[s] = { meshIndex, vertexIndex: vertices[v], type: "vertex" };
+        break;
+      case FACE_CENTER:
+        samples[s] = {
+          meshIndex,
+          type: "faceCenter",
+          faceVertices: [vertices[v], vertices[v + 1], vertices[v + 2]],
+        };
+        break;
+      case INTERIOR:
+        samples[s] = {
+          meshIndex,
+          type: "interior",
+          faceVertices: [vertices[v], vertices[v + 1], vertices[v + 2]],
+          bary: [weights[v], weights[v + 1], weights[v + 2]],
+        };
+        break;
+      case EDGE_POINT:
+        samples[s] = {
+          meshIndex,
+          type: "edgePoint",
+          edgeVertices: [vertices[v], vertices[v + 1]],
+          t: weights[v + 1],
+        };
+        break;
+      case EDGE_MIDPOINT:
+        samples[s] = {
+          meshIndex,
+          type: "edgeMidpoint",
+          edgeVertices: [vertices[v], vertices[v + 1]],
+        };
+        break;
+      case VOLUME: {
+        const skin = volumeSkin.subarray(volumeIndex * 8, volumeIndex * 8 + 8);
+        volumeIndex++;
+        samples[s] = {
+          meshIndex,
+          type: "volume",
+          position: [weights[v], weights[v + 1], weights[v + 2]],
+          skinIndex: Array.from(skin.subarray(0, 4)),
+          skinWeight: Array.from(skin.subarray(4, 8)),
+        };
+        break;
+      }
+    }
+  }
+
+  return samples;
+}
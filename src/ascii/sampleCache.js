@@ -0,0 +1,140 @@
+/**
+ * Sample cache - sample buffers in IndexedDB, keyed by a hash of the model's
+ * bind-pose geometry plus the sampler settings
+ *
+ * Reloading the page, or going back to a density sampled before, skips
+ * sampling entirely. Without IndexedDB (headless, private windows) every
+ * lookup misses and nothing is stored.
+ */
+
+const DB_NAME = "nucat";
+const DB_VERSION = 1;
+const STORE = "samples";
+const MAX_ENTRIES = 32; // Oldest entries are dropped beyond this
+
+// Bump when the samplers produce different output for the same input
+const CACHE_VERSION = 2;
+
+let database = null;
+
+/**
+ * Promise for an IndexedDB request
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create, the first time) the cache database - null if there's
+ * no IndexedDB
+ */
+function openDatabase() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  database ??= new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, {
+        keyPath: "key",
+      });
+      store.createIndex("savedAt", "savedAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("Sample cache unavailable:", request.error);
+      resolve(null);
+    };
+  });
+
+  return database;
+}
+
+/**
+ * Bytes of a typed array (or plain number array)
+ */
+function toBytes(array) {
+  const typed = ArrayBuffer.isView(array) ? array : Float64Array.from(array);
+  return new Uint8Array(typed.buffer, typed.byteOffset, typed.byteLength);
+}
+
+/**
+ * Cache key for a sampling job - SHA-256 of the geometry, world matrices
+ * and bone segments, then the settings
+ *
+ * @param {Object} job - Sampling job (see computeSamples)
+ * @returns {Promise<string>} "<model hash>/<settings JSON>"
+ */
+export async function getSampleCacheKey({ meshes, segments, settings }) {
+  const parts = [new TextEncoder().encode(JSON.stringify(segments))];
+  meshes.forEach(({ positions, index, matrixWorld }) => {
+    parts.push(toBytes(positions), toBytes(matrixWorld));
+    if (index) parts.push(toBytes(index));
+  });
+
+  const bytes = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  const hash = Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+  return `${hash}/${JSON.stringify({ ...settings, version: CACHE_VERSION })}`;
+}
+
+/**
+ * Cached sample buffer for a key (null on a miss)
+ */
+export async function getCachedSamples(key) {
+  try {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    const entry = await promisify(
+      db.transaction(STORE).objectStore(STORE).get(key)
+    );
+    return entry ? entry.buffer : null;
+  } catch (error) {
+    console.warn("Sample cache read failed:", error);
+    return null;
+  }
+}
+
+/**
+ * Store a sample buffer, dropping the oldest entries beyond MAX_ENTRIES
+ */
+export async function putCachedSamples(key, buffer) {
+  try {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const transaction = db.transaction(STORE, "readwrite");
+    const store = transaction.objectStore(STORE);
+    store.put({ key, savedAt: Date.now(), buffer });
+
+    let excess = (await promisify(store.count())) - MAX_ENTRIES;
+    if (excess > 0) {
+      const cursor = store.index("savedAt").openCursor();
+      cursor.onsuccess = () => {
+        if (!cursor.result || excess-- <= 0) return;
+        cursor.result.delete();
+        cursor.result.continue();
+      };
+    }
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.warn("Sample cache write failed:", error);
+  }
+}
@@ -1,26 +1,125 @@
 /**
  * Vertex sampling from skinned meshes
+ *
+ * Surface and volume samples come from the sampling core (samplingCore.js),
+ * in the sampling worker with results cached per model and settings, or
+ * synchronously headless. Bone fill and texture thinning run here.
  */
 
 import * as THREE from "three";
 import { CONFIG, params } from "../config.js";
 import {
+  camera,
   skinnedMeshes,
   sampledVertexIndices,
-  vertexWeights,
-  vertexBoneIndices,
   setSampledVertexIndices,
-  setVertexWeights,
-  setVertexBoneIndices,
   pushSampledVertex,
-  pushVertexWeight,
-  pushVertexBoneIndex,
 } from "../state.js";
+import { computeSamples } from "./samplingCore.js";
+import { unpackSamples } from "./sampleBuffer.js";
+import { runSamplingJob } from "./samplingJobs.js";
+import {
+  getSampleCacheKey,
+  getCachedSamples,
+  putCachedSamples,
+} from "./sampleCache.js";
+import { getSampleTextureDensity } from "./textures.js";
+import { getJointBindPosition } from "./skinTable.js";
+import { createRandom } from "../utils/random.js";
+
+// Surface samplers - legacy stride + templates, the same refined by surface
+// features, or a blue-noise point budget
+export const SAMPLERS = ["legacy", "feature", "blueNoise"];
+
+// What gets filled - the surface, the inside of the body, or both
+export const FILL_MODES = ["shell", "volume", "both"];
+
+export { SAMPLE_TYPES } from "./sampleBuffer.js";
+
+/**
+ * Whether a bone name matches a fill pattern - "/regex/flags", or else a
+ * case-insensitive substring
+ */
+function matchesBonePattern(name, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (!regex) return name.toLowerCase().includes(pattern.toLowerCase());
+
+  try {
+    return new RegExp(regex[1], regex[2]).test(name);
+  } catch {
+    console.warn(`Invalid bone pattern: ${pattern}`);
+    return false;
+  }
+}
+
+/**
+ * Whether a bone is filled - picked by name or matching a pattern
+ */
+export function isBoneFilled(bone) {
+  const { patterns, bones } = params.boneFill;
+  return (
+    bones.includes(bone.name) ||
+    patterns.some(
+      (pattern) => pattern && matchesBonePattern(bone.name, pattern)
+    )
+  );
+}
+
+/**
+ * Unique bone names of every skinned mesh, in skeleton order
+ */
+export function getBoneNames() {
+  const names = new Set();
+  skinnedMeshes.forEach((mesh) => {
+    if (mesh.skeleton) mesh.skeleton.bones.forEach((b) => names.add(b.name));
+  });
+  return [...names];
+}
+
+// Called with the bone names when the skeleton changes (GUI bone picker)
+let onBonesChange = null;
+let lastBoneNames = "";
+
+/**
+ * Register a callback for skeleton changes
+ */
+export function setOnBonesChange(callback) {
+  onBonesChange = callback;
+}
+
+/**
+ * Random offset perpendicular to an axis, uniform over a disc
+ */
+function radialOffset(axis, radius, target, random) {
+  target
+    .setFromSphericalCoords(
+      1,
+      Math.acos(2 * random() - 1),
+      2 * Math.PI * random()
+    )
+    .addScaledVector(axis, -target.dot(axis));
+  if (target.lengthSq() === 0) return target;
+  return target.setLength(radius * Math.sqrt(random()));
+}
 
 /**
- * Sample points along TAIL bones ONLY - fills the tail gap
+ * Sample points along the bones picked in params.boneFill - fills thin
+ * appendages (tails, ears, fingers) the surface sampling misses
+ *
+ * Each filled bone gets points along the segment from its parent joint to
+ * its own, spaced by pointsPerUnit and optionally jittered around the axis.
  */
 export function sampleSkeletonBones() {
+  const { pointsPerUnit, jitter } = params.boneFill;
+  const parentJoint = new THREE.Vector3();
+  const joint = new THREE.Vector3();
+  const axis = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  const random = createRandom(params.seed, "boneFill");
+
+  // Meshes often share one skeleton - fill each bone once
+  const visited = new Set();
+  const filledNames = [];
   let totalBonePoints = 0;
 
   skinnedMeshes.forEach((mesh, meshIndex) => {
@@ -28,292 +127,268 @@ export function sampleSkeletonBones() {
 
     const bones = mesh.skeleton.bones;
 
-    // Find ONLY tail bones
-    const tailBones = bones.filter((bone) =>
-      bone.name.toLowerCase().includes("tail")
-    );
+    bones.forEach((bone, boneIndex) => {
+      if (visited.has(bone) || !isBoneFilled(bone)) return;
+      const parentBoneIndex = bones.indexOf(bone.parent);
+      if (parentBoneIndex < 0) return;
 
-    console.log(
-      `Found ${tailBones.length} TAIL bones:`,
-      tailBones.map((b) => b.name)
-    );
+      visited.add(bone);
+      filledNames.push(bone.name);
 
-    // For each tail bone, add points along its length
-    tailBones.forEach((bone) => {
-      const boneIndex = bones.indexOf(bone);
-      if (!bone.parent || !bone.parent.isBone) return;
+      getJointBindPosition(mesh, parentBoneIndex, parentJoint);
+      getJointBindPosition(mesh, boneIndex, joint);
+      axis.subVectors(joint, parentJoint);
+      const length = axis.length();
+      axis.normalize();
 
-      const parentBoneIndex = bones.indexOf(bone.parent);
+      const segments = Math.max(1, Math.ceil(length * pointsPerUnit));
 
-      const pointsPerBone = 20;
+      // A filled parent already put a point on the shared joint
+      const parent = bone.parent;
+      const parentFilled =
+        isBoneFilled(parent) && bones.indexOf(parent.parent) >= 0;
 
-      for (let i = 0; i <= pointsPerBone; i++) {
+      for (let i = parentFilled ? 1 : 0; i <= segments; i++) {
         if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters)
           return;
 
-        const t = i / pointsPerBone;
-        pushSampledVertex({
+        const sample = {
           meshIndex,
           type: "bonePoint",
           boneIndex,
           parentBoneIndex,
-          t,
-        });
+          t: i / segments,
+        };
 
-        pushVertexWeight(new THREE.Vector4(1, 0, 0, 0));
-        pushVertexBoneIndex(new THREE.Vector4(boneIndex, 0, 0, 0));
+        // Mesh-local bind-space offset from the axis
+        if (jitter > 0) {
+          sample.offset = radialOffset(axis, jitter, offset, random).toArray();
+        }
+
+        pushSampledVertex(sample);
 
         totalBonePoints++;
       }
     });
   });
 
-  console.log(`TAIL bone points added: ${totalBonePoints}`);
+  console.log(`Filled ${filledNames.length} bones:`, filledNames);
+  console.log(`Bone points added: ${totalBonePoints}`);
+
+  const names = getBoneNames();
+  if (onBonesChange && names.join("\n") !== lastBoneNames) {
+    onBonesChange(names);
+  }
+  lastBoneNames = names.join("\n");
 }
 
 /**
- * Sample vertices, face centers, edge points, AND interior points from skinned meshes
+ * The array itself, or a copy when it's a view into a larger buffer (glTF)
+ * - posting a view to the worker would clone the whole buffer
  */
-export function sampleVertices() {
-  // Reset arrays
-  setSampledVertexIndices([]);
-  setVertexWeights([]);
-  setVertexBoneIndices([]);
+function ownArray(array) {
+  return array.byteLength === array.buffer.byteLength ? array : array.slice();
+}
+
+/**
+ * Mesh-local positions as a flat xyz array (the attribute's own array when
+ * it already is one)
+ */
+function getPositionArray(attribute) {
+  if (
+    attribute.array instanceof Float32Array &&
+    attribute.itemSize === 3 &&
+    !attribute.isInterleavedBufferAttribute
+  ) {
+    return ownArray(attribute.array);
+  }
+
+  const positions = new Float32Array(attribute.count * 3);
+  for (let i = 0; i < attribute.count; i++) {
+    positions[i * 3] = attribute.getX(i);
+    positions[i * 3 + 1] = attribute.getY(i);
+    positions[i * 3 + 2] = attribute.getZ(i);
+  }
+  return positions;
+}
 
-  let totalVertices = 0;
-  let totalFaceCenters = 0;
-  let totalEdgePoints = 0;
-  let totalInteriorPoints = 0;
-  let totalAdaptivePoints = 0;
+/**
+ * World-space bone segments at bind pose, for the volume fill - parent
+ * joint to joint, moved by the parent; roots add their joint
+ */
+function getBoneSegments() {
+  const joint = new THREE.Vector3();
+  const parentJoint = new THREE.Vector3();
+  const segments = [];
 
   skinnedMeshes.forEach((mesh, meshIndex) => {
-    const geometry = mesh.geometry;
-    const positionAttr = geometry.attributes.position;
-    const skinIndexAttr = geometry.attributes.skinIndex;
-    const skinWeightAttr = geometry.attributes.skinWeight;
-    const indexAttr = geometry.index;
-
-    const vertexCount = positionAttr.count;
-    totalVertices += vertexCount;
-
-    console.log(
-      `Mesh ${meshIndex} (${mesh.name}): ${vertexCount} total vertices`
-    );
-
-    // Helper to add a sample point with bone weights
-    const addSample = (sample, boneIdx, boneWeight) => {
-      if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters)
-        return false;
-      pushSampledVertex(sample);
-      if (skinWeightAttr && skinIndexAttr && boneIdx && boneWeight) {
-        pushVertexWeight(boneWeight);
-        pushVertexBoneIndex(boneIdx);
-      }
-      return true;
-    };
-
-    // Helper to get vertex position
-    const getPos = (idx) =>
-      new THREE.Vector3(
-        positionAttr.getX(idx),
-        positionAttr.getY(idx),
-        positionAttr.getZ(idx)
-      );
+    if (!mesh.skeleton) return;
 
-    // Helper to calculate triangle area
-    const triangleArea = (p0, p1, p2) => {
-      const v0 = new THREE.Vector3().subVectors(p1, p0);
-      const v1 = new THREE.Vector3().subVectors(p2, p0);
-      return v0.cross(v1).length() * 0.5;
-    };
+    const bones = mesh.skeleton.bones;
 
-    // Sample every Nth vertex based on sampling density
-    for (let i = 0; i < vertexCount; i += params.samplingDensity) {
-      if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters) break;
-      addSample(
-        { meshIndex, vertexIndex: i, type: "vertex" },
-        skinIndexAttr
-          ? new THREE.Vector4(
-              skinIndexAttr.getX(i),
-              skinIndexAttr.getY(i),
-              skinIndexAttr.getZ(i),
-              skinIndexAttr.getW(i)
-            )
-          : null,
-        skinWeightAttr
-          ? new THREE.Vector4(
-              skinWeightAttr.getX(i),
-              skinWeightAttr.getY(i),
-              skinWeightAttr.getZ(i),
-              skinWeightAttr.getW(i)
-            )
-          : null
+    bones.forEach((bone, boneIndex) => {
+      getJointBindPosition(mesh, boneIndex, joint).applyMatrix4(
+        mesh.matrixWorld
       );
-    }
+      const parentBoneIndex = bones.indexOf(bone.parent);
 
-    // Track unique edges to avoid duplicates
-    const edgeSet = new Set();
-
-    // ADAPTIVE SAMPLING: Sample more points in larger triangles
-    if (indexAttr) {
-      const faceCount = indexAttr.count / 3;
-
-      // First pass: calculate average triangle area
-      let totalArea = 0;
-      let maxArea = 0;
-      for (let f = 0; f < faceCount; f++) {
-        const p0 = getPos(indexAttr.getX(f * 3));
-        const p1 = getPos(indexAttr.getX(f * 3 + 1));
-        const p2 = getPos(indexAttr.getX(f * 3 + 2));
-        const area = triangleArea(p0, p1, p2);
-        totalArea += area;
-        maxArea = Math.max(maxArea, area);
+      if (parentBoneIndex < 0) {
+        segments.push({
+          meshIndex,
+          boneIndex,
+          start: joint.toArray(),
+          end: joint.toArray(),
+        });
+        return;
       }
-      const avgArea = totalArea / faceCount;
-      const largeThreshold = avgArea * 2;
-
-      console.log(
-        `Mesh ${meshIndex}: avg triangle area = ${avgArea.toFixed(
-          4
-        )}, max = ${maxArea.toFixed(4)}, threshold = ${largeThreshold.toFixed(
-          4
-        )}`
-      );
 
-      for (let f = 0; f < faceCount; f += params.samplingDensity) {
-        if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters) break;
-
-        const i0 = indexAttr.getX(f * 3);
-        const i1 = indexAttr.getX(f * 3 + 1);
-        const i2 = indexAttr.getX(f * 3 + 2);
-
-        // Get bone data for vertices
-        const getBoneData = (idx) => ({
-          weight: skinWeightAttr
-            ? new THREE.Vector4(
-                skinWeightAttr.getX(idx),
-                skinWeightAttr.getY(idx),
-                skinWeightAttr.getZ(idx),
-                skinWeightAttr.getW(idx)
-              )
-            : null,
-          index: skinIndexAttr
-            ? new THREE.Vector4(
-                skinIndexAttr.getX(idx),
-                skinIndexAttr.getY(idx),
-                skinIndexAttr.getZ(idx),
-                skinIndexAttr.getW(idx)
-              )
-            : null,
-        });
+      getJointBindPosition(mesh, parentBoneIndex, parentJoint).applyMatrix4(
+        mesh.matrixWorld
+      );
+      segments.push({
+        meshIndex,
+        boneIndex: parentBoneIndex,
+        start: parentJoint.toArray(),
+        end: joint.toArray(),
+      });
+    });
+  });
 
-        const b0 = getBoneData(i0);
-
-        // Calculate this triangle's area
-        const p0 = getPos(i0);
-        const p1 = getPos(i1);
-        const p2 = getPos(i2);
-        const area = triangleArea(p0, p1, p2);
-        const isLargeTriangle = area > largeThreshold;
-
-        // Add face center
-        addSample(
-          { meshIndex, type: "faceCenter", faceVertices: [i0, i1, i2] },
-          b0.index,
-          b0.weight
-        );
-        totalFaceCenters++;
-
-        // Base interior points
-        let barycentricPoints = [
-          [0.5, 0.25, 0.25],
-          [0.25, 0.5, 0.25],
-          [0.25, 0.25, 0.5],
-          [0.6, 0.2, 0.2],
-          [0.2, 0.6, 0.2],
-          [0.2, 0.2, 0.6],
-        ];
-
-        // For large triangles, add more interior points
-        if (isLargeTriangle) {
-          const subdivisions = Math.min(10, Math.ceil(area / avgArea) + 3);
-          barycentricPoints = [];
-          for (let i = 0; i <= subdivisions; i++) {
-            for (let j = 0; j <= subdivisions - i; j++) {
-              const k = subdivisions - i - j;
-              if (i + j + k === subdivisions) {
-                const u = i / subdivisions;
-                const v = j / subdivisions;
-                const w = k / subdivisions;
-                if (
-                  (u === 1 || v === 1 || w === 1) &&
-                  (u === 0 || v === 0 || w === 0)
-                )
-                  continue;
-                barycentricPoints.push([u, v, w]);
-              }
-            }
-          }
-          totalAdaptivePoints += barycentricPoints.length;
-        }
+  return segments;
+}
 
-        for (const bary of barycentricPoints) {
-          if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters)
-            break;
-          addSample(
-            { meshIndex, type: "interior", faceVertices: [i0, i1, i2], bary },
-            b0.index,
-            b0.weight
-          );
-          totalInteriorPoints++;
-        }
+/**
+ * Settings the samples depend on - only the ones the fill mode and sampler
+ * use, so unrelated changes still hit the sample cache
+ */
+function getSamplingSettings() {
+  const shell = params.fillMode !== "volume";
+  const volume = params.fillMode !== "shell";
+  const feature = shell && params.sampler === "feature";
+  const silhouette = feature && params.silhouetteBoost > 0 && camera;
+
+  return {
+    fillMode: params.fillMode,
+    sampler: shell ? params.sampler : null,
+    samplingDensity:
+      shell && params.sampler !== "blueNoise" ? params.samplingDensity : null,
+    pointBudget:
+      shell && params.sampler === "blueNoise" ? params.pointBudget : null,
+    featureBlend: feature ? params.featureBlend : null,
+    silhouetteBoost: silhouette ? params.silhouetteBoost : null,
+    // Silhouettes are seen from where the camera is now
+    viewPoint: silhouette
+      ? camera.getWorldPosition(new THREE.Vector3()).toArray()
+      : null,
+    volumeDensity: volume ? params.volumeDensity : null,
+    // Only the blue-noise sampler and the volume fill draw random numbers
+    seed:
+      (shell && params.sampler === "blueNoise") || volume ? params.seed : null,
+    maxPoints: CONFIG.defaults.maxCharacters,
+  };
+}
 
-        // Edge points
-        const edgeTs = isLargeTriangle
-          ? [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]
-          : [0.25, 0.5, 0.75];
-
-        const edgePairs = [
-          [i0, i1],
-          [i1, i2],
-          [i2, i0],
-        ];
-
-        for (const [a, b] of edgePairs) {
-          const edgeKey = `${Math.min(a, b)}-${Math.max(a, b)}`;
-          if (!edgeSet.has(edgeKey)) {
-            edgeSet.add(edgeKey);
-
-            const ba = getBoneData(a);
-            for (const t of edgeTs) {
-              if (sampledVertexIndices.length >= CONFIG.defaults.maxCharacters)
-                break;
-              addSample(
-                { meshIndex, type: "edgePoint", edgeVertices: [a, b], t },
-                ba.index,
-                ba.weight
-              );
-              totalEdgePoints++;
-            }
-          }
-        }
-      }
-    }
+/**
+ * Everything the sampling core needs, as plain data (see samplingCore.js)
+ */
+function createSamplingJob() {
+  const meshes = skinnedMeshes.map((mesh) => {
+    mesh.updateWorldMatrix(true, false);
+
+    return {
+      name: mesh.name,
+      positions: getPositionArray(mesh.geometry.attributes.position),
+      index: mesh.geometry.index ? ownArray(mesh.geometry.index.array) : null,
+      matrixWorld: mesh.matrixWorld.toArray(),
+      inverseMatrixWorld: new THREE.Matrix4()
+        .copy(mesh.matrixWorld)
+        .invert()
+        .toArray(),
+    };
   });
 
-  console.log(`\n=== VERTEX SAMPLING SUMMARY ===`);
-  console.log(`Total vertices available: ${totalVertices}`);
-  console.log(
-    `Vertices sampled: ${Math.floor(totalVertices / params.samplingDensity)}`
+  const settings = getSamplingSettings();
+  const segments = settings.volumeDensity !== null ? getBoneSegments() : [];
+
+  return { meshes, segments, settings };
+}
+
+/**
+ * Drop surface points where the map is dark (or transparent) - each is kept
+ * with probability 1 - textureBias * (1 - brightness or alpha)
+ */
+function thinByTexture() {
+  const before = sampledVertexIndices.length;
+  const random = createRandom(params.seed, "textureDensity");
+
+  setSampledVertexIndices(
+    sampledVertexIndices.filter(
+      (sample) =>
+        random() <
+        1 -
+          params.textureBias *
+            (1 - getSampleTextureDensity(sample, params.textureDensity))
+    )
   );
-  console.log(`Face centers added: ${totalFaceCenters}`);
-  console.log(`Edge points added: ${totalEdgePoints}`);
-  console.log(`Interior points added: ${totalInteriorPoints}`);
+
   console.log(
-    `Adaptive extra points (large triangles): ${totalAdaptivePoints}`
+    `Texture density (${params.textureDensity}): kept ${sampledVertexIndices.length} of ${before} points`
   );
-  console.log(`Sampling density: every ${params.samplingDensity}`);
-  console.log(`FINAL TOTAL POINTS: ${sampledVertexIndices.length}`);
-  console.log(`Max characters limit: ${CONFIG.defaults.maxCharacters}`);
-  console.log(`================================\n`);
+}
+
+/**
+ * Make a sample buffer the current samples
+ */
+function applySamples(buffer) {
+  setSampledVertexIndices(unpackSamples(buffer));
+
+  // Texels live on the main thread - and may still be loading
+  if (params.textureDensity !== "off") thinByTexture();
+}
+
+// Bumped by every sampling run - a newer run makes older async ones stale
+let samplingRun = 0;
+
+/**
+ * Sample the characters - the surface (shell), the inside (volume) or both,
+ * per params.fillMode - right here, on this thread
+ */
+export function sampleVertices() {
+  samplingRun++;
+  applySamples(computeSamples(createSamplingJob()));
+}
+
+/**
+ * Sample the characters in the sampling worker, or take the samples from
+ * the cache when this model was sampled with these settings before
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the fraction done
+ *   (not called on a cache hit)
+ * @returns {Promise<boolean>} false if a newer run replaced this one
+ */
+export async function sampleVerticesAsync({ onProgress } = {}) {
+  const run = ++samplingRun;
+  const job = createSamplingJob();
+
+  const key = await getSampleCacheKey(job);
+  let buffer = await getCachedSamples(key);
+  if (run !== samplingRun) return false;
+
+  if (buffer) {
+    console.log(`⚡ ${buffer.count} samples from the cache`);
+  } else {
+    try {
+      buffer = await runSamplingJob(job, onProgress);
+    } catch (error) {
+      if (error.name === "AbortError") return false;
+      throw error;
+    }
+    if (run !== samplingRun) return false;
+
+    putCachedSamples(key, buffer);
+  }
+
+  applySamples(buffer);
+  return true;
 }
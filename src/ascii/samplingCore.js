@@ -0,0 +1,413 @@
+/**
+ * Sampling core - turns bind-pose mesh data into a packed sample buffer
+ *
+ * Runs the legacy stride sampler, the blue-noise sampler and the volume
+ * fill on plain arrays, so the same code runs in the sampling worker and,
+ * headless, on the main thread. sampling.js builds the job and unpacks the
+ * result.
+ *
+ * The worker has no import map - this file and everything it imports stay
+ * free of three.js.
+ */
+
+import { sampleBlueNoise } from "./blueNoise.js";
+import { fillVolume } from "./volumeFill.js";
+import { computeSurfaceFeatures } from "./surfaceFeatures.js";
+import { createRandom } from "../utils/random.js";
+import {
+  createSampleBuffer,
+  isSampleBufferFull,
+  pushSurfaceSample,
+  pushVolumeSamples,
+  compactSampleBuffer,
+} from "./sampleBuffer.js";
+
+// Progress is reported about this often, in faces
+const PROGRESS_STEP = 4096;
+
+// Interior points of every face, and of large faces per subdivision count
+const BASE_BARYCENTRICS = [
+  [0.5, 0.25, 0.25],
+  [0.25, 0.5, 0.25],
+  [0.25, 0.25, 0.5],
+  [0.6, 0.2, 0.2],
+  [0.2, 0.6, 0.2],
+  [0.2, 0.2, 0.6],
+];
+const SPARSE_BARYCENTRICS = BASE_BARYCENTRICS.slice(0, 3);
+const subdividedBarycentrics = new Map();
+
+// Points along each edge - detailed, plain and (feature sampler) flat faces
+const DENSE_EDGE_TS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const EDGE_TS = [0.25, 0.5, 0.75];
+const SPARSE_EDGE_TS = [0.5];
+
+/**
+ * Barycentric grid of a subdivided face, without its corners
+ */
+function getSubdividedBarycentrics(subdivisions) {
+  if (subdividedBarycentrics.has(subdivisions)) {
+    return subdividedBarycentrics.get(subdivisions);
+  }
+
+  const points = [];
+  for (let i = 0; i <= subdivisions; i++) {
+    for (let j = 0; j <= subdivisions - i; j++) {
+      const k = subdivisions - i - j;
+      const u = i / subdivisions;
+      const v = j / subdivisions;
+      const w = k / subdivisions;
+      if ((u === 1 || v === 1 || w === 1) && (u === 0 || v === 0 || w === 0))
+        continue;
+      points.push([u, v, w]);
+    }
+  }
+
+  subdividedBarycentrics.set(subdivisions, points);
+  return points;
+}
+
+/**
+ * Area of triangle (a, b, c) from flat xyz positions
+ */
+function triangleArea(positions, a, b, c) {
+  const ux = positions[b * 3] - positions[a * 3];
+  const uy = positions[b * 3 + 1] - positions[a * 3 + 1];
+  const uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+  const vx = positions[c * 3] - positions[a * 3];
+  const vy = positions[c * 3 + 1] - positions[a * 3 + 1];
+  const vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  return Math.sqrt(cx * cx + cy * cy + cz * cz) * 0.5;
+}
+
+/**
+ * Positions transformed by a column-major 4x4 matrix
+ */
+function transformPositions(positions, m) {
+  const result = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    result[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    result[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    result[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+  }
+  return result;
+}
+
+/**
+ * Legacy sampling - every Nth vertex, then per Nth face its center,
+ * interior points (more on large faces) and points along its edges
+ *
+ * The feature sampler is the same, but faces are refined by a blend of
+ * their area and their surface features (see surfaceFeatures.js): creases,
+ * curved spots and silhouette edges get more points, flat faces fewer.
+ */
+function sampleLegacySurface(meshes, settings, buffer, onProgress) {
+  const { samplingDensity } = settings;
+  const featureBlend =
+    settings.sampler === "feature" ? settings.featureBlend : 0;
+
+  let totalVertices = 0;
+  let totalFaceCenters = 0;
+  let totalEdgePoints = 0;
+  let totalInteriorPoints = 0;
+  let totalAdaptivePoints = 0;
+  let totalSparseFaces = 0;
+
+  meshes.forEach(({ name, positions, index }, meshIndex) => {
+    const vertexCount = positions.length / 3;
+    totalVertices += vertexCount;
+
+    console.log(`Mesh ${meshIndex} (${name}): ${vertexCount} total vertices`);
+
+    // Sample every Nth vertex based on sampling density
+    for (let i = 0; i < vertexCount; i += samplingDensity) {
+      if (isSampleBufferFull(buffer)) break;
+      pushSurfaceSample(buffer, "vertex", meshIndex, [i], [1]);
+    }
+
+    if (!index) return;
+
+    // ADAPTIVE SAMPLING: Sample more points in larger triangles
+    const faceCount = index.length / 3;
+
+    // First pass: calculate average triangle area
+    let totalArea = 0;
+    let maxArea = 0;
+    for (let f = 0; f < faceCount; f++) {
+      const area = triangleArea(
+        positions,
+        index[f * 3],
+        index[f * 3 + 1],
+        index[f * 3 + 2]
+      );
+      totalArea += area;
+      maxArea = Math.max(maxArea, area);
+    }
+    const avgArea = totalArea / faceCount;
+    const largeThreshold = avgArea * 2;
+
+    console.log(
+      `Mesh ${meshIndex}: avg triangle area = ${avgArea.toFixed(
+        4
+      )}, max = ${maxArea.toFixed(4)}, threshold = ${largeThreshold.toFixed(4)}`
+    );
+
+    // FEATURE SAMPLING: creases, curvature and silhouettes, relative to the
+    // average face (1 = average)
+    let features = null;
+    let featureScale = 0;
+    if (featureBlend > 0) {
+      const viewPoint = settings.viewPoint
+        ? transformPositions(
+            settings.viewPoint,
+            meshes[meshIndex].inverseMatrixWorld
+          )
+        : null;
+      features = computeSurfaceFeatures(
+        positions,
+        index,
+        viewPoint,
+        settings.silhouetteBoost
+      );
+
+      const totalFeature = features.faceFeatures.reduce((sum, f) => sum + f, 0);
+      featureScale = totalFeature > 0 ? faceCount / totalFeature : 0;
+
+      console.log(
+        `Mesh ${meshIndex}: avg face feature = ${(
+          totalFeature / faceCount
+        ).toFixed(4)}, blend = ${featureBlend}`
+      );
+    }
+
+    // Unique edges, keyed by their sorted vertex pair
+    const edgeSet = new Set();
+
+    for (let f = 0; f < faceCount; f += samplingDensity) {
+      if (isSampleBufferFull(buffer)) break;
+      if (f % PROGRESS_STEP < samplingDensity) {
+        onProgress((meshIndex + f / faceCount) / meshes.length);
+      }
+
+      const i0 = index[f * 3];
+      const i1 = index[f * 3 + 1];
+      const i2 = index[f * 3 + 2];
+      const face = [i0, i1, i2];
+
+      const area = triangleArea(positions, i0, i1, i2);
+      let importance = area / avgArea;
+      let isLargeTriangle = area > largeThreshold;
+      let isSparse = false;
+
+      if (features) {
+        const feature = featureScale
+          ? features.faceFeatures[f] * featureScale
+          : 1;
+        importance = (1 - featureBlend) * importance + featureBlend * feature;
+        isLargeTriangle = importance > 2;
+        isSparse = featureBlend * (1 - feature) > 0.5;
+        if (isSparse) totalSparseFaces++;
+      }
+
+      // Face center
+      pushSurfaceSample(buffer, "faceCenter", meshIndex, face, [
+        1 / 3,
+        1 / 3,
+        1 / 3,
+      ]);
+      totalFaceCenters++;
+
+      // For large triangles, add more interior points
+      let barycentricPoints = isSparse
+        ? SPARSE_BARYCENTRICS
+        : BASE_BARYCENTRICS;
+      if (isLargeTriangle) {
+        const subdivisions = Math.min(10, Math.ceil(importance) + 3);
+        barycentricPoints = getSubdividedBarycentrics(subdivisions);
+        totalAdaptivePoints += barycentricPoints.length;
+      }
+
+      for (const bary of barycentricPoints) {
+        if (isSampleBufferFull(buffer)) break;
+        pushSurfaceSample(buffer, "interior", meshIndex, face, bary);
+        totalInteriorPoints++;
+      }
+
+      // Edge points - sharp feature edges get the dense run on their own
+      const faceEdgeTs = isLargeTriangle
+        ? DENSE_EDGE_TS
+        : isSparse
+          ? SPARSE_EDGE_TS
+          : EDGE_TS;
+
+      for (let k = 0; k < 3; k++) {
+        const a = face[k];
+        const b = face[(k + 1) % 3];
+        const edgeKey = Math.min(a, b) * vertexCount + Math.max(a, b);
+        if (edgeSet.has(edgeKey)) continue;
+        edgeSet.add(edgeKey);
+
+        const isSharpEdge =
+          features &&
+          featureBlend * features.edgeFeatures[f * 3 + k] * featureScale > 2;
+        const edgeTs = isSharpEdge ? DENSE_EDGE_TS : faceEdgeTs;
+
+        for (const t of edgeTs) {
+          if (isSampleBufferFull(buffer)) break;
+          pushSurfaceSample(buffer, "edgePoint", meshIndex, [a, b], [1 - t, t]);
+          totalEdgePoints++;
+        }
+      }
+    }
+  });
+
+  console.log(`\n=== VERTEX SAMPLING SUMMARY ===`);
+  console.log(`Total vertices available: ${totalVertices}`);
+  console.log(
+    `Vertices sampled: ${Math.floor(totalVertices / samplingDensity)}`
+  );
+  console.log(`Face centers added: ${totalFaceCenters}`);
+  console.log(`Edge points added: ${totalEdgePoints}`);
+  console.log(`Interior points added: ${totalInteriorPoints}`);
+  console.log(
+    `Adaptive extra points (large triangles): ${totalAdaptivePoints}`
+  );
+  if (featureBlend > 0) {
+    console.log(`Feature blend: ${featureBlend}`);
+    console.log(`Flat faces thinned: ${totalSparseFaces}`);
+  }
+  console.log(`Sampling density: every ${samplingDensity}`);
+  console.log(`FINAL TOTAL POINTS: ${buffer.count}`);
+  console.log(`Max characters limit: ${buffer.types.length}`);
+  console.log(`================================\n`);
+}
+
+/**
+ * Blue-noise sampling - pointBudget points spread area-uniformly over all
+ * meshes, each stored as an interior (face, bary) sample
+ */
+function sampleBlueNoiseSurface(worldMeshes, { pointBudget, seed }, buffer) {
+  const budget = Math.min(pointBudget, buffer.types.length - buffer.count);
+  const { meshIndices, corners, barys, count } = sampleBlueNoise(
+    worldMeshes,
+    budget,
+    createRandom(seed, "blueNoise")
+  );
+
+  for (let s = 0; s < count; s++) {
+    pushSurfaceSample(
+      buffer,
+      "interior",
+      meshIndices[s],
+      corners.subarray(s * 3, s * 3 + 3),
+      barys.subarray(s * 3, s * 3 + 3)
+    );
+  }
+
+  console.log(`\n=== BLUE-NOISE SAMPLING ===`);
+  console.log(`Point budget: ${budget}`);
+  console.log(`FINAL TOTAL POINTS: ${buffer.count}`);
+  console.log(`===========================\n`);
+}
+
+/**
+ * Volume fill - points inside the closed meshes, spaced for volumeDensity,
+ * each skinned to its nearest bone segments
+ */
+function sampleVolume(
+  meshes,
+  worldMeshes,
+  segments,
+  { volumeDensity, seed },
+  buffer,
+  onProgress
+) {
+  const spacing = Math.cbrt(1000 / volumeDensity);
+  const budget = buffer.types.length - buffer.count;
+  const volume = fillVolume(
+    worldMeshes,
+    segments,
+    spacing,
+    budget,
+    createRandom(seed, "volumeFill"),
+    onProgress
+  );
+
+  // Back to each mesh's local space, where the skin table works
+  for (let s = 0; s < volume.count; s++) {
+    const local = transformPositions(
+      volume.positions.subarray(s * 3, s * 3 + 3),
+      meshes[volume.meshIndices[s]].inverseMatrixWorld
+    );
+    volume.positions.set(local, s * 3);
+  }
+  pushVolumeSamples(buffer, volume);
+
+  console.log(`\n=== VOLUME FILL ===`);
+  console.log(`Density: ${volumeDensity} per 1000 units³`);
+  console.log(`Grid spacing: ${spacing.toFixed(2)}`);
+  console.log(`Volume points added: ${volume.count}`);
+  console.log(`FINAL TOTAL POINTS: ${buffer.count}`);
+  console.log(`===================\n`);
+}
+
+/**
+ * Sample the meshes - the surface (shell), the inside (volume) or both
+ *
+ * @param {Object} job
+ * @param {Array<{name: string, positions: Float32Array,
+ *   index: ?Uint32Array, matrixWorld: number[],
+ *   inverseMatrixWorld: number[]}>} job.meshes - Bind-pose geometry in
+ *   mesh-local space, with the mesh's world matrix and its inverse
+ * @param {Object[]} job.segments - World-space bone segments for the
+ *   volume fill (see fillVolume)
+ * @param {Object} job.settings - sampler, samplingDensity, pointBudget,
+ *   featureBlend, silhouetteBoost, viewPoint (world camera position, or
+ *   null), fillMode, volumeDensity, seed and maxPoints
+ * @param {Function} [onProgress] - Called with the fraction done, 0 to 1
+ * @returns {Object} Compact sample buffer (see sampleBuffer.js)
+ */
+export function computeSamples(
+  { meshes, segments, settings },
+  onProgress = () => {}
+) {
+  const buffer = createSampleBuffer(settings.maxPoints);
+  const shell = settings.fillMode !== "volume";
+  const volume = settings.fillMode !== "shell";
+  const shellShare = shell && volume ? 0.5 : 1;
+
+  // One shared space, so areas and volumes compare across meshes
+  const worldMeshes =
+    settings.sampler === "blueNoise" || volume
+      ? meshes.map(({ positions, index, matrixWorld }) => ({
+          positions: transformPositions(positions, matrixWorld),
+          index,
+        }))
+      : null;
+
+  if (shell) {
+    if (settings.sampler === "blueNoise") {
+      sampleBlueNoiseSurface(worldMeshes, settings, buffer);
+    } else {
+      sampleLegacySurface(meshes, settings, buffer, (p) =>
+        onProgress(p * shellShare)
+      );
+    }
+    onProgress(shellShare);
+  }
+
+  if (volume) {
+    sampleVolume(meshes, worldMeshes, segments, settings, buffer, (p) =>
+      onProgress(1 - shellShare + p * shellShare)
+    );
+  }
+
+  onProgress(1);
+  return compactSampleBuffer(buffer);
+}
@@ -0,0 +1,93 @@
+/**
+ * Sampling jobs - hands sampling to the worker (samplingWorker.js)
+ *
+ * One job runs at a time: a new job terminates the worker mid-job and
+ * rejects the old one with an AbortError, so dragging a slider never
+ * queues up stale work. Without workers (headless, or if the worker fails
+ * to start) jobs run on this thread.
+ */
+
+import { computeSamples } from "./samplingCore.js";
+
+let worker = null;
+let workerFailed = false;
+let pending = null; // { id, job, resolve, reject, onProgress }
+let nextId = 0;
+
+/**
+ * Start the worker and route its messages to the pending job
+ */
+function createWorker() {
+  const sampler = new Worker(new URL("./samplingWorker.js", import.meta.url), {
+    type: "module",
+  });
+
+  sampler.onmessage = ({ data }) => {
+    if (!pending || data.id !== pending.id) return;
+
+    if (data.type === "progress") {
+      pending.onProgress?.(data.progress);
+      return;
+    }
+
+    const { resolve, reject } = pending;
+    pending = null;
+    if (data.type === "done") resolve(data.buffer);
+    else reject(new Error(data.message));
+  };
+
+  // The worker script didn't load - sample on this thread from now on
+  sampler.onerror = (event) => {
+    event.preventDefault();
+    console.warn("Sampling worker unavailable, sampling on the main thread");
+
+    sampler.terminate();
+    worker = null;
+    workerFailed = true;
+
+    if (!pending) return;
+    const { job, resolve, reject, onProgress } = pending;
+    pending = null;
+    try {
+      resolve(computeSamples(job, onProgress));
+    } catch (error) {
+      reject(error);
+    }
+  };
+
+  return sampler;
+}
+
+/**
+ * Cancel the job in flight, if any
+ */
+function cancelPending() {
+  if (!pending) return;
+
+  worker.terminate();
+  worker = null;
+  pending.reject(new DOMException("Sampling cancelled", "AbortError"));
+  pending = null;
+}
+
+/**
+ * Run a sampling job (see computeSamples) in the worker
+ *
+ * @param {Object} job - Plain-data job from sampling.js
+ * @param {Function} [onProgress] - Called with the fraction done
+ * @returns {Promise<Object>} Sample buffer; rejects with an AbortError if a
+ *   newer job replaced this one
+ */
+export function runSamplingJob(job, onProgress) {
+  if (typeof Worker === "undefined" || workerFailed) {
+    return Promise.resolve().then(() => computeSamples(job, onProgress));
+  }
+
+  cancelPending();
+  worker ??= createWorker();
+
+  return new Promise((resolve, reject) => {
+    pending = { id: ++nextId, job, resolve, reject, onProgress };
+    worker.postMessage({ id: pending.id, job });
+  });
+}
@@ -0,0 +1,30 @@
+/**
+ * Sampling worker - runs the sampling core off the main thread
+ * Jobs come from samplingJobs.js; the sample buffer goes back transferred.
+ *
+ * Import maps don't reach workers - everything imported here must be
+ * three.js-free.
+ */
+
+import { computeSamples } from "./samplingCore.js";
+import { getSampleBufferTransferables } from "./sampleBuffer.js";
+
+self.onmessage = ({ data: { id, job } }) => {
+  try {
+    // Whole percents only - plenty for a progress bar
+    let reported = -1;
+    const buffer = computeSamples(job, (progress) => {
+      const percent = Math.floor(progress * 100);
+      if (percent === reported) return;
+      reported = percent;
+      self.postMessage({ id, type: "progress", progress });
+    });
+
+    self.postMessage(
+      { id, type: "done", buffer },
+      getSampleBufferTransferables(buffer)
+    );
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
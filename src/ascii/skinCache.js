@@ -0,0 +1,178 @@
+/**
+ * Per-frame skinned-vertex cache
+ *
+ * A vertex shared by a face center, several interior points and edge points
+ * is skinned once per frame into a Float32Array; every sample then resolves
+ * from the cache with its skin table weights. No allocations per frame.
+ */
+
+import { createBonePalette, updateBonePalette } from "./skinTable.js";
+
+/**
+ * Create a cache for every table vertex referenced by at least one sample
+ *
+ * @param {Object} table - Skin table from buildSkinTable()
+ * @returns {Object} Cache with skinned positions and evaluation stats
+ */
+export function createSkinCache(table) {
+  const isReferenced = new Uint8Array(table.vertexCount);
+  let references = 0;
+
+  for (let i = 0; i < table.sourceIndices.length; i++) {
+    if (table.sourceWeights[i] === 0) continue;
+    isReferenced[table.sourceIndices[i]] = 1;
+    references++;
+  }
+
+  let vertexCount = 0;
+  for (let v = 0; v < table.vertexCount; v++) vertexCount += isReferenced[v];
+
+  const vertices = new Uint32Array(vertexCount);
+  for (let v = 0, n = 0; v < table.vertexCount; v++) {
+    if (isReferenced[v]) vertices[n++] = v;
+  }
+
+  return {
+    table,
+    palette: createBonePalette(table),
+    vertices,
+    positions: new Float32Array(table.vertexCount * 3),
+    normals: new Float32Array(table.vertexCount * 3),
+    stats: {
+      references, // Skin evaluations the per-sample path would need
+      evaluations: vertexCount, // Skin evaluations actually done per frame
+      saved: references - vertexCount,
+    },
+  };
+}
+
+/**
+ * Skin every referenced vertex once for the current pose
+ * Call after skeleton.update() each frame
+ */
+export function updateSkinCache(cache, meshes) {
+  const { table, palette, vertices, positions } = cache;
+  const { skinIndices, skinWeights } = table;
+  const bind = table.positions;
+  const m = palette.matrices;
+
+  updateBonePalette(table, palette, meshes);
+
+  for (let n = 0; n < vertices.length; n++) {
+    const v = vertices[n];
+    const x = bind[v * 3];
+    const y = bind[v * 3 + 1];
+    const z = bind[v * 3 + 2];
+    let sx = 0;
+    let sy = 0;
+    let sz = 0;
+
+    for (let k = 0; k < 4; k++) {
+      const w = skinWeights[v * 4 + k];
+      if (w === 0) continue;
+
+      // Column-major 4x4 palette matrix
+      const e = skinIndices[v * 4 + k] * 16;
+      sx += w * (m[e] * x + m[e + 4] * y + m[e + 8] * z + m[e + 12]);
+      sy += w * (m[e + 1] * x + m[e + 5] * y + m[e + 9] * z + m[e + 13]);
+      sz += w * (m[e + 2] * x + m[e + 6] * y + m[e + 10] * z + m[e + 14]);
+    }
+
+    positions[v * 3] = sx;
+    positions[v * 3 + 1] = sy;
+    positions[v * 3 + 2] = sz;
+  }
+}
+
+/**
+ * Skin every referenced vertex normal with the palette of the last
+ * updateSkinCache() call - only for features that shade per particle
+ */
+export function updateSkinCacheNormals(cache) {
+  const { table, palette, vertices, normals } = cache;
+  const { skinIndices, skinWeights } = table;
+  const bind = table.normals;
+  const m = palette.matrices;
+
+  for (let n = 0; n < vertices.length; n++) {
+    const v = vertices[n];
+    const x = bind[v * 3];
+    const y = bind[v * 3 + 1];
+    const z = bind[v * 3 + 2];
+    let sx = 0;
+    let sy = 0;
+    let sz = 0;
+
+    for (let k = 0; k < 4; k++) {
+      const w = skinWeights[v * 4 + k];
+      if (w === 0) continue;
+
+      // Rotation part only - normalized when resolved
+      const e = skinIndices[v * 4 + k] * 16;
+      sx += w * (m[e] * x + m[e + 4] * y + m[e + 8] * z);
+      sy += w * (m[e + 1] * x + m[e + 5] * y + m[e + 9] * z);
+      sz += w * (m[e + 2] * x + m[e + 6] * y + m[e + 10] * z);
+    }
+
+    normals[v * 3] = sx;
+    normals[v * 3 + 1] = sy;
+    normals[v * 3 + 2] = sz;
+  }
+}
+
+/**
+ * Resolve a sample's world position from the cache
+ *
+ * @param {Object} cache - Skin cache updated this frame
+ * @param {number} sampleIndex - Index into sampledVertexIndices
+ * @param {THREE.Vector3} target - Vector3 to store the result
+ * @returns {THREE.Vector3} - Sample position in world space
+ */
+export function resolveCachedPosition(cache, sampleIndex, target) {
+  const { sourceIndices, sourceWeights } = cache.table;
+  const positions = cache.positions;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+
+  for (let k = sampleIndex * 3; k < sampleIndex * 3 + 3; k++) {
+    const w = sourceWeights[k];
+    if (w === 0) continue;
+
+    const v = sourceIndices[k] * 3;
+    x += positions[v] * w;
+    y += positions[v + 1] * w;
+    z += positions[v + 2] * w;
+  }
+
+  return target.set(x, y, z);
+}
+
+/**
+ * Resolve a sample's world normal from the cache
+ * Zero for samples off the surface (bone points)
+ *
+ * @param {Object} cache - Skin cache with normals updated this frame
+ * @param {number} sampleIndex - Index into sampledVertexIndices
+ * @param {THREE.Vector3} target - Vector3 to store the result
+ * @returns {THREE.Vector3} - Unit normal, or zero
+ */
+export function resolveCachedNormal(cache, sampleIndex, target) {
+  const { sourceIndices, sourceWeights } = cache.table;
+  const normals = cache.normals;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+
+  for (let k = sampleIndex * 3; k < sampleIndex * 3 + 3; k++) {
+    const w = sourceWeights[k];
+    if (w === 0) continue;
+
+    const v = sourceIndices[k] * 3;
+    x += normals[v] * w;
+    y += normals[v + 1] * w;
+    z += normals[v + 2] * w;
+  }
+
+  return target.set(x, y, z).normalize();
+}
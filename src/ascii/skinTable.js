@@ -0,0 +1,267 @@
+/**
+ * Skin table - flat skinning data shared by every sample type
+ *
+ * Each sample descriptor (vertex, faceCenter, edgePoint, interior,
+ * edgeMidpoint, bonePoint, volume) is reduced to three table vertices plus
+ * blend weights. Table vertices are the mesh vertices of every skinned
+ * mesh, followed by "virtual" vertices for points that don't sit on the
+ * surface (the bone joints used by bone points, volume points).
+ *
+ * The bone palette folds each mesh's world and bind matrices into its bone
+ * matrices, so skinning a table vertex is a plain weighted sum of palette
+ * matrices - the same math on the GPU and on the CPU.
+ */
+
+import * as THREE from "three";
+
+// Reused for palette and bind-pose calculations
+const _meshMatrix = new THREE.Matrix4();
+const _boneMatrix = new THREE.Matrix4();
+const _joint = new THREE.Vector3();
+const _tip = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+/**
+ * Bind-pose position of a bone joint in mesh-local space
+ */
+export function getJointBindPosition(mesh, boneIndex, target) {
+  _boneMatrix.copy(mesh.skeleton.boneInverses[boneIndex]).invert();
+  target.setFromMatrixPosition(_boneMatrix);
+  return target.applyMatrix4(mesh.bindMatrixInverse);
+}
+
+/**
+ * Build the skin table for the current samples
+ *
+ * @param {THREE.SkinnedMesh[]} meshes - Skinned meshes the samples refer to
+ * @param {Object[]} samples - Sample descriptors from sampling.js
+ * @returns {Object} Table with typed arrays for vertices and per-sample sources
+ */
+export function buildSkinTable(meshes, samples) {
+  // Palette slots: every bone of every mesh, plus one slot per mesh holding
+  // its world matrix for vertices without bone weights
+  const boneOffsets = [];
+  const staticSlots = [];
+  const vertexOffsets = [];
+  let slotCount = 0;
+  let meshVertexCount = 0;
+
+  meshes.forEach((mesh) => {
+    const boneCount = mesh.skeleton ? mesh.skeleton.bones.length : 0;
+    boneOffsets.push(slotCount);
+    staticSlots.push(slotCount + boneCount);
+    slotCount += boneCount + 1;
+
+    vertexOffsets.push(meshVertexCount);
+    meshVertexCount += mesh.geometry.attributes.position.count;
+  });
+
+  // One virtual vertex per bone joint used by a bone point, and one per
+  // bone point jittered off the bone axis or volume point
+  const jointKeys = new Set();
+  let offsetPoints = 0;
+  samples.forEach((s) => {
+    if (s.type === "volume") offsetPoints++;
+    if (s.type !== "bonePoint") return;
+    if (s.offset) {
+      offsetPoints++;
+      return;
+    }
+    jointKeys.add(`${s.meshIndex}:${s.parentBoneIndex}`);
+    jointKeys.add(`${s.meshIndex}:${s.boneIndex}`);
+  });
+  const vertexCount = meshVertexCount + jointKeys.size + offsetPoints;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const skinIndices = new Float32Array(vertexCount * 4);
+  const skinWeights = new Float32Array(vertexCount * 4);
+
+  // Mesh vertices
+  meshes.forEach((mesh, meshIndex) => {
+    const { position, normal, skinIndex, skinWeight } =
+      mesh.geometry.attributes;
+    const offset = vertexOffsets[meshIndex];
+    const boneOffset = boneOffsets[meshIndex];
+
+    for (let i = 0; i < position.count; i++) {
+      const v = offset + i;
+      positions[v * 3] = position.getX(i);
+      positions[v * 3 + 1] = position.getY(i);
+      positions[v * 3 + 2] = position.getZ(i);
+
+      if (normal) {
+        normals[v * 3] = normal.getX(i);
+        normals[v * 3 + 1] = normal.getY(i);
+        normals[v * 3 + 2] = normal.getZ(i);
+      }
+
+      let totalWeight = 0;
+      if (skinIndex && skinWeight && mesh.skeleton) {
+        for (let k = 0; k < 4; k++) {
+          const weight = skinWeight.getComponent(i, k);
+          skinIndices[v * 4 + k] = boneOffset + skinIndex.getComponent(i, k);
+          skinWeights[v * 4 + k] = weight;
+          totalWeight += weight;
+        }
+      }
+
+      // No bone influence - follow the mesh itself
+      if (totalWeight === 0) {
+        skinIndices.fill(0, v * 4, v * 4 + 4);
+        skinWeights.fill(0, v * 4, v * 4 + 4);
+        skinIndices[v * 4] = staticSlots[meshIndex];
+        skinWeights[v * 4] = 1;
+      }
+    }
+  });
+
+  // Per-sample sources: three table vertices + weights
+  const sourceIndices = new Float32Array(samples.length * 3);
+  const sourceWeights = new Float32Array(samples.length * 3);
+  const jointVertices = new Map();
+  let nextVirtual = meshVertexCount;
+
+  // Virtual vertex sitting on a joint, rigidly skinned to its bone
+  const getJointVertex = (meshIndex, boneIndex) => {
+    const key = `${meshIndex}:${boneIndex}`;
+    if (jointVertices.has(key)) return jointVertices.get(key);
+
+    const v = nextVirtual++;
+    getJointBindPosition(meshes[meshIndex], boneIndex, _joint);
+    _joint.toArray(positions, v * 3);
+    skinIndices[v * 4] = boneOffsets[meshIndex] + boneIndex;
+    skinWeights[v * 4] = 1;
+
+    jointVertices.set(key, v);
+    return v;
+  };
+
+  samples.forEach((sample, s) => {
+    const offset = vertexOffsets[sample.meshIndex];
+    let indices;
+    let weights;
+
+    if (sample.type === "faceCenter") {
+      indices = sample.faceVertices;
+      weights = [1 / 3, 1 / 3, 1 / 3];
+    } else if (sample.type === "interior") {
+      indices = sample.faceVertices;
+      weights = sample.bary;
+    } else if (sample.type === "edgePoint") {
+      const [a, b] = sample.edgeVertices;
+      indices = [a, b, a];
+      weights = [1 - sample.t, sample.t, 0];
+    } else if (sample.type === "edgeMidpoint") {
+      const [a, b] = sample.edgeVertices;
+      indices = [a, b, a];
+      weights = [0.5, 0.5, 0];
+    } else if (sample.type === "bonePoint" && sample.offset) {
+      // Off the axis - its own vertex, rigid with the segment's parent bone
+      const v = nextVirtual++;
+      const mesh = meshes[sample.meshIndex];
+      getJointBindPosition(mesh, sample.parentBoneIndex, _joint);
+      getJointBindPosition(mesh, sample.boneIndex, _tip);
+      _joint
+        .lerp(_tip, sample.t)
+        .add(_offset.fromArray(sample.offset))
+        .toArray(positions, v * 3);
+      skinIndices[v * 4] =
+        boneOffsets[sample.meshIndex] + sample.parentBoneIndex;
+      skinWeights[v * 4] = 1;
+
+      sourceIndices.set([v, v, v], s * 3);
+      sourceWeights.set([1, 0, 0], s * 3);
+      return;
+    } else if (sample.type === "volume") {
+      // Inside the body - its own vertex, skinned to the nearest bones
+      const v = nextVirtual++;
+      const { meshIndex } = sample;
+      positions.set(sample.position, v * 3);
+
+      if (meshes[meshIndex].skeleton && sample.skinWeight[0] > 0) {
+        for (let k = 0; k < 4; k++) {
+          skinIndices[v * 4 + k] = boneOffsets[meshIndex] + sample.skinIndex[k];
+          skinWeights[v * 4 + k] = sample.skinWeight[k];
+        }
+      } else {
+        skinIndices[v * 4] = staticSlots[meshIndex];
+        skinWeights[v * 4] = 1;
+      }
+
+      sourceIndices.set([v, v, v], s * 3);
+      sourceWeights.set([1, 0, 0], s * 3);
+      return;
+    } else if (sample.type === "bonePoint") {
+      // Lerp between the two joint vertices of the bone segment
+      const parentJoint = getJointVertex(
+        sample.meshIndex,
+        sample.parentBoneIndex
+      );
+      const boneJoint = getJointVertex(sample.meshIndex, sample.boneIndex);
+      sourceIndices.set([parentJoint, boneJoint, parentJoint], s * 3);
+      sourceWeights.set([1 - sample.t, sample.t, 0], s * 3);
+      return;
+    } else {
+      indices = [sample.vertexIndex, sample.vertexIndex, sample.vertexIndex];
+      weights = [1, 0, 0];
+    }
+
+    for (let k = 0; k < 3; k++) {
+      sourceIndices[s * 3 + k] = offset + indices[k];
+      sourceWeights[s * 3 + k] = weights[k];
+    }
+  });
+
+  return {
+    vertexCount,
+    slotCount,
+    boneOffsets,
+    staticSlots,
+    vertexOffsets,
+    positions,
+    normals, // Zero for virtual vertices - they have no surface
+    skinIndices,
+    skinWeights,
+    sourceIndices,
+    sourceWeights,
+  };
+}
+
+/**
+ * Allocate a bone palette for the table
+ * Sized as a square RGBA float texture (4 texels per matrix), like
+ * Skeleton.computeBoneTexture, so it can be uploaded directly
+ */
+export function createBonePalette(table) {
+  let size = Math.sqrt(table.slotCount * 4);
+  size = Math.max(4, THREE.MathUtils.ceilPowerOfTwo(size));
+  return { size, matrices: new Float32Array(size * size * 4) };
+}
+
+/**
+ * Write the current skinning matrices of every mesh into the palette
+ * Call after skeleton.update() each frame
+ */
+export function updateBonePalette(table, palette, meshes) {
+  meshes.forEach((mesh, meshIndex) => {
+    // meshWorld * bindMatrixInverse, shared by all bones of this mesh
+    _meshMatrix.multiplyMatrices(mesh.matrixWorld, mesh.bindMatrixInverse);
+
+    if (mesh.skeleton) {
+      const boneMatrices = mesh.skeleton.boneMatrices;
+      const boneOffset = table.boneOffsets[meshIndex];
+
+      for (let b = 0; b < mesh.skeleton.bones.length; b++) {
+        _boneMatrix.fromArray(boneMatrices, b * 16);
+        _boneMatrix.premultiply(_meshMatrix).multiply(mesh.bindMatrix);
+        _boneMatrix.toArray(palette.matrices, (boneOffset + b) * 16);
+      }
+    }
+
+    mesh.matrixWorld.toArray(
+      palette.matrices,
+      table.staticSlots[meshIndex] * 16
+    );
+  });
+}
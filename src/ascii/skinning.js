@@ -1,8 +1,19 @@
 /**
  * Manual skinned vertex position calculation
+ *
+ * Per-descriptor skinning for one-off lookups. The per-frame update resolves
+ * every sample from the shared cache in skinCache.js instead.
  */
 
 import * as THREE from "three";
+import { getJointBindPosition } from "./skinTable.js";
+
+// Scratch objects - skinning runs for many vertices per frame, so nothing
+// here allocates
+const _vertex = new THREE.Vector3();
+const _skinned = new THREE.Vector3();
+const _boneMatrix = new THREE.Matrix4();
+const _parentPosition = new THREE.Vector3();
 
 /**
  * Apply bone skinning transformation to a vertex manually.
@@ -24,69 +35,47 @@ export function getSkinnedVertexPosition(vertexIndex, mesh, target) {
   target.set(0, 0, 0);
 
   // Get original vertex position
-  const vertex = new THREE.Vector3();
-  vertex.fromBufferAttribute(position, vertexIndex);
+  _vertex.fromBufferAttribute(position, vertexIndex);
 
   // Check if this vertex has any bone weights
-  const weights = [
-    skinWeight.getX(vertexIndex),
-    skinWeight.getY(vertexIndex),
-    skinWeight.getZ(vertexIndex),
-    skinWeight.getW(vertexIndex),
-  ];
-
-  const totalWeight = weights[0] + weights[1] + weights[2] + weights[3];
+  const totalWeight =
+    skinWeight.getX(vertexIndex) +
+    skinWeight.getY(vertexIndex) +
+    skinWeight.getZ(vertexIndex) +
+    skinWeight.getW(vertexIndex);
 
   // If no bone weights, just use the original position transformed by mesh matrix
   if (totalWeight === 0) {
-    target.copy(vertex);
+    target.copy(_vertex);
     target.applyMatrix4(mesh.matrixWorld);
     return target;
   }
 
   // Apply bind matrix (transforms from mesh local space to skeleton space)
-  vertex.applyMatrix4(mesh.bindMatrix);
-
-  // Temporary vectors for calculations
-  const tempVertex = new THREE.Vector3();
-  const tempMatrix = new THREE.Matrix4();
-
-  // Get skin indices for this vertex
-  const indices = [
-    skinIndex.getX(vertexIndex),
-    skinIndex.getY(vertexIndex),
-    skinIndex.getZ(vertexIndex),
-    skinIndex.getW(vertexIndex),
-  ];
+  _vertex.applyMatrix4(mesh.bindMatrix);
 
   // Process each bone influence (up to 4)
   for (let i = 0; i < 4; i++) {
-    const weight = weights[i];
+    const weight = skinWeight.getComponent(vertexIndex, i);
 
     // Skip if weight is zero
     if (weight === 0) continue;
 
-    const boneIndex = indices[i];
+    const boneIndex = skinIndex.getComponent(vertexIndex, i);
 
     // Ensure valid bone index
     if (boneIndex < 0 || boneIndex >= skeleton.bones.length) continue;
 
-    // Copy vertex position
-    tempVertex.copy(vertex);
-
     // Create the bone transformation matrix:
     // boneMatrix = bone.matrixWorld * boneInverse
-    tempMatrix.multiplyMatrices(
+    _boneMatrix.multiplyMatrices(
       skeleton.bones[boneIndex].matrixWorld,
       skeleton.boneInverses[boneIndex]
     );
 
-    // Apply bone transformation
-    tempVertex.applyMatrix4(tempMatrix);
-
-    // Accumulate weighted position
-    tempVertex.multiplyScalar(weight);
-    target.add(tempVertex);
+    // Apply bone transformation and accumulate weighted position
+    _skinned.copy(_vertex).applyMatrix4(_boneMatrix);
+    target.addScaledVector(_skinned, weight);
   }
 
   // Apply bind matrix inverse to go back to mesh local space
@@ -97,3 +86,42 @@ export function getSkinnedVertexPosition(vertexIndex, mesh, target) {
 
   return target;
 }
+
+/**
+ * World position of a bone-segment sample (lerp between parent and bone joint)
+ *
+ * @param {Object} sample - bonePoint sample with boneIndex, parentBoneIndex and t
+ * @param {THREE.SkinnedMesh} mesh - The skinned mesh containing skeleton
+ * @param {THREE.Vector3} target - Vector3 to store the result
+ * @returns {THREE.Vector3} - Position along the bone in world space
+ */
+export function getBonePointPosition(sample, mesh, target) {
+  const bones = mesh.skeleton.bones;
+
+  // Jittered off the axis - rigid with the parent bone, like the skin table
+  if (sample.offset) {
+    const parent = sample.parentBoneIndex;
+    getJointBindPosition(mesh, parent, _parentPosition);
+    getJointBindPosition(mesh, sample.boneIndex, target);
+    target
+      .lerpVectors(_parentPosition, target, sample.t)
+      .add(_vertex.fromArray(sample.offset))
+      .applyMatrix4(mesh.bindMatrix);
+
+    _boneMatrix.multiplyMatrices(
+      bones[parent].matrixWorld,
+      mesh.skeleton.boneInverses[parent]
+    );
+    return target
+      .applyMatrix4(_boneMatrix)
+      .applyMatrix4(mesh.bindMatrixInverse)
+      .applyMatrix4(mesh.matrixWorld);
+  }
+
+  _parentPosition.setFromMatrixPosition(
+    bones[sample.parentBoneIndex].matrixWorld
+  );
+  target.setFromMatrixPosition(bones[sample.boneIndex].matrixWorld);
+
+  return target.lerpVectors(_parentPosition, target, sample.t);
+}
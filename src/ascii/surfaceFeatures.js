@@ -0,0 +1,209 @@
+/**
+ * Surface features - where a mesh has detail worth extra points
+ *
+ * Per vertex, curvature from the angle deficit (tips, corners, noses); per
+ * edge, the dihedral angle between its two faces (creases, lips, knuckles)
+ * and, seen from a view point, whether it's on the silhouette. Vertices
+ * split along UV seams are welded first, so seams don't read as creases.
+ *
+ * samplingCore.js computes these in the sampling worker, so typed arrays
+ * in, typed arrays out - no three.js.
+ */
+
+// Positions closer than this fraction of the bounding box diagonal weld
+const WELD_TOLERANCE = 1e-6;
+
+// Open borders (hems, neck cuts) count as a moderate feature
+const BOUNDARY_SHARPNESS = 0.5;
+
+/**
+ * Welded vertex id for every vertex - split seam vertices share one
+ */
+function weldVertices(positions) {
+  const vertexCount = positions.length / 3;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < positions.length; i++) {
+    min = Math.min(min, positions[i]);
+    max = Math.max(max, positions[i]);
+  }
+  const cell = Math.max((max - min) * WELD_TOLERANCE, Number.EPSILON);
+
+  const ids = new Uint32Array(vertexCount);
+  const byPosition = new Map();
+  for (let v = 0; v < vertexCount; v++) {
+    const key = `${Math.round(positions[v * 3] / cell)},${Math.round(
+      positions[v * 3 + 1] / cell
+    )},${Math.round(positions[v * 3 + 2] / cell)}`;
+    if (!byPosition.has(key)) byPosition.set(key, v);
+    ids[v] = byPosition.get(key);
+  }
+  return ids;
+}
+
+/**
+ * Unit normal and centroid of every face
+ */
+function getFaceFrames(positions, index) {
+  const faceCount = index.length / 3;
+  const normals = new Float32Array(faceCount * 3);
+  const centroids = new Float32Array(faceCount * 3);
+
+  for (let f = 0; f < faceCount; f++) {
+    const a = index[f * 3] * 3;
+    const b = index[f * 3 + 1] * 3;
+    const c = index[f * 3 + 2] * 3;
+    const ux = positions[b] - positions[a];
+    const uy = positions[b + 1] - positions[a + 1];
+    const uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a];
+    const vy = positions[c + 1] - positions[a + 1];
+    const vz = positions[c + 2] - positions[a + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+
+    normals[f * 3] = nx / length;
+    normals[f * 3 + 1] = ny / length;
+    normals[f * 3 + 2] = nz / length;
+    for (let k = 0; k < 3; k++) {
+      centroids[f * 3 + k] =
+        (positions[a + k] + positions[b + k] + positions[c + k]) / 3;
+    }
+  }
+
+  return { normals, centroids };
+}
+
+/**
+ * Angle deficit per welded vertex, 0 (flat) to 1 (a half-turn or more) -
+ * 0 on open borders, where the deficit means nothing
+ */
+function getVertexCurvature(positions, index, welded, boundary) {
+  const angleSums = new Float64Array(positions.length / 3);
+
+  for (let f = 0; f < index.length; f += 3) {
+    for (let k = 0; k < 3; k++) {
+      const p = index[f + k] * 3;
+      const q = index[f + ((k + 1) % 3)] * 3;
+      const r = index[f + ((k + 2) % 3)] * 3;
+      const ux = positions[q] - positions[p];
+      const uy = positions[q + 1] - positions[p + 1];
+      const uz = positions[q + 2] - positions[p + 2];
+      const vx = positions[r] - positions[p];
+      const vy = positions[r + 1] - positions[p + 1];
+      const vz = positions[r + 2] - positions[p + 2];
+      const lengths = Math.hypot(ux, uy, uz) * Math.hypot(vx, vy, vz);
+      if (lengths === 0) continue;
+
+      const cos = (ux * vx + uy * vy + uz * vz) / lengths;
+      angleSums[welded[index[f + k]]] += Math.acos(
+        Math.max(-1, Math.min(1, cos))
+      );
+    }
+  }
+
+  const curvature = new Float32Array(angleSums.length);
+  for (let v = 0; v < curvature.length; v++) {
+    const id = welded[v];
+    if (boundary[id] || angleSums[id] === 0) continue;
+    curvature[v] = Math.min(1, Math.abs(2 * Math.PI - angleSums[id]) / Math.PI);
+  }
+  return curvature;
+}
+
+/**
+ * Feature strength of a mesh's faces and face edges
+ *
+ * @param {Float32Array} positions - Flat xyz positions
+ * @param {Uint32Array|Uint16Array} index - Triangle indices
+ * @param {?number[]} [viewPoint] - Camera position in the same space, for
+ *   silhouette edges (null for none)
+ * @param {number} [silhouetteBoost=0] - Added to silhouette edges
+ * @returns {{faceFeatures: Float32Array, edgeFeatures: Float32Array}}
+ *   Per face, its strongest edge or mean corner curvature; per face edge
+ *   (corner k to k + 1, at f * 3 + k), its dihedral angle over pi plus the
+ *   silhouette boost
+ */
+export function computeSurfaceFeatures(
+  positions,
+  index,
+  viewPoint = null,
+  silhouetteBoost = 0
+) {
+  const faceCount = index.length / 3;
+  const vertexCount = positions.length / 3;
+  const welded = weldVertices(positions);
+  const { normals, centroids } = getFaceFrames(positions, index);
+
+  // Faces on each welded edge
+  const edgeKey = (f, k) => {
+    const a = welded[index[f * 3 + k]];
+    const b = welded[index[f * 3 + ((k + 1) % 3)]];
+    return Math.min(a, b) * vertexCount + Math.max(a, b);
+  };
+  const edgeFaces = new Map();
+  for (let f = 0; f < faceCount; f++) {
+    for (let k = 0; k < 3; k++) {
+      const key = edgeKey(f, k);
+      const faces = edgeFaces.get(key);
+      if (faces) faces.push(f);
+      else edgeFaces.set(key, [f]);
+    }
+  }
+
+  // Facing the view point - positive toward it
+  const facing = (f) =>
+    normals[f * 3] * (viewPoint[0] - centroids[f * 3]) +
+    normals[f * 3 + 1] * (viewPoint[1] - centroids[f * 3 + 1]) +
+    normals[f * 3 + 2] * (viewPoint[2] - centroids[f * 3 + 2]);
+
+  const edgeFeatures = new Float32Array(faceCount * 3);
+  const boundary = new Uint8Array(vertexCount);
+
+  for (let f = 0; f < faceCount; f++) {
+    for (let k = 0; k < 3; k++) {
+      const faces = edgeFaces.get(edgeKey(f, k));
+
+      if (faces.length !== 2) {
+        edgeFeatures[f * 3 + k] = BOUNDARY_SHARPNESS;
+        boundary[welded[index[f * 3 + k]]] = 1;
+        boundary[welded[index[f * 3 + ((k + 1) % 3)]]] = 1;
+        continue;
+      }
+
+      const [f0, f1] = faces;
+      const cos =
+        normals[f0 * 3] * normals[f1 * 3] +
+        normals[f0 * 3 + 1] * normals[f1 * 3 + 1] +
+        normals[f0 * 3 + 2] * normals[f1 * 3 + 2];
+      let feature = Math.acos(Math.max(-1, Math.min(1, cos))) / Math.PI;
+
+      if (viewPoint && facing(f0) > 0 !== facing(f1) > 0) {
+        feature += silhouetteBoost;
+      }
+      edgeFeatures[f * 3 + k] = feature;
+    }
+  }
+
+  const curvature = getVertexCurvature(positions, index, welded, boundary);
+
+  const faceFeatures = new Float32Array(faceCount);
+  for (let f = 0; f < faceCount; f++) {
+    const corners =
+      (curvature[index[f * 3]] +
+        curvature[index[f * 3 + 1]] +
+        curvature[index[f * 3 + 2]]) /
+      3;
+    faceFeatures[f] = Math.max(
+      corners,
+      edgeFeatures[f * 3],
+      edgeFeatures[f * 3 + 1],
+      edgeFeatures[f * 3 + 2]
+    );
+  }
+
+  return { faceFeatures, edgeFeatures };
+}
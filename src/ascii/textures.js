@@ -0,0 +1,254 @@
+/**
+ * Texture lookups - each surface sample's UV and the texel under it, read
+ * from its skinned mesh's own material (diffuse map times material color)
+ *
+ * Maps are read back once through a 2D canvas. Images still loading are
+ * polled until they arrive; then the onTexturesLoad callback fires so colors
+ * and texture-biased sampling can catch up. Headless (no canvas) every
+ * lookup falls back to the material color.
+ */
+
+import * as THREE from "three";
+import { skinnedMeshes } from "../state.js";
+
+// How texels bias sampling density - off, toward bright areas, or toward
+// opaque areas of the map's alpha
+export const TEXTURE_DENSITY_MODES = ["off", "brightness", "alpha"];
+
+const POLL_INTERVAL = 250; // ms between checks for images still loading
+
+// Texture -> { width, height, data } (RGBA bytes), or null if unreadable
+const texelCache = new WeakMap();
+// Mesh -> material index per vertex, for multi-material meshes
+const vertexMaterialCache = new WeakMap();
+
+const pendingTextures = new Set();
+let pollTimer = null;
+let onTexturesLoad = null;
+
+// Reused per lookup
+const _uv = new THREE.Vector2();
+const _cornerUV = new THREE.Vector2();
+const _texel = new THREE.Color();
+const _densityColor = new THREE.Color();
+
+/**
+ * Register a callback for when pending texture images have loaded
+ */
+export function setOnTexturesLoad(callback) {
+  onTexturesLoad = callback;
+}
+
+/**
+ * Check pending textures until every image has arrived
+ */
+function pollPendingTextures() {
+  pollTimer = null;
+
+  let loaded = false;
+  pendingTextures.forEach((texture) => {
+    if (!isImageReady(texture.image)) return;
+    pendingTextures.delete(texture);
+    loaded = true;
+  });
+
+  if (pendingTextures.size > 0) {
+    pollTimer = setTimeout(pollPendingTextures, POLL_INTERVAL);
+  }
+  if (loaded && onTexturesLoad) onTexturesLoad();
+}
+
+/**
+ * Whether an image has pixels to read
+ */
+function isImageReady(image) {
+  if (!image) return false;
+  if (image.data) return true;
+  if (image.complete === false) return false;
+  return (image.naturalWidth || image.width) > 0;
+}
+
+/**
+ * RGBA bytes of a texture's image (null while loading or if unreadable)
+ */
+function getTexels(texture) {
+  if (texelCache.has(texture)) return texelCache.get(texture);
+
+  const { image } = texture;
+
+  // No canvas (headless) - nothing to read, now or later
+  if (typeof document === "undefined" && !image?.data) return null;
+
+  if (!isImageReady(image)) {
+    pendingTextures.add(texture);
+    if (!pollTimer) pollTimer = setTimeout(pollPendingTextures, POLL_INTERVAL);
+    return null;
+  }
+
+  let texels = null;
+  if (
+    image.data instanceof Uint8Array ||
+    image.data instanceof Uint8ClampedArray
+  ) {
+    // Data textures - RGBA bytes already
+    if (image.data.length === image.width * image.height * 4) {
+      texels = { width: image.width, height: image.height, data: image.data };
+    }
+  } else if (!image.data) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+
+    try {
+      context.drawImage(image, 0, 0, width, height);
+      texels = {
+        width,
+        height,
+        data: context.getImageData(0, 0, width, height).data,
+      };
+    } catch (error) {
+      console.warn(`Can't read texture ${texture.name || ""}:`, error.message);
+    }
+  }
+
+  // The renderer never uploads the hidden meshes' maps - update the UV
+  // transform it would have applied
+  if (texture.matrixAutoUpdate) texture.updateMatrix();
+
+  texelCache.set(texture, texels);
+  return texels;
+}
+
+/**
+ * Material index of every vertex, from the geometry groups
+ */
+function getVertexMaterials(mesh) {
+  if (vertexMaterialCache.has(mesh)) return vertexMaterialCache.get(mesh);
+
+  const { geometry } = mesh;
+  const materials = new Uint8Array(geometry.attributes.position.count);
+  const index = geometry.index;
+
+  geometry.groups.forEach(({ start, count, materialIndex }) => {
+    for (let i = start; i < start + count; i++) {
+      materials[index ? index.getX(i) : i] = materialIndex;
+    }
+  });
+
+  vertexMaterialCache.set(mesh, materials);
+  return materials;
+}
+
+/**
+ * Material a sample is drawn with
+ */
+function getSampleMaterial(mesh, sample) {
+  if (!Array.isArray(mesh.material)) return mesh.material;
+
+  const corners = getSampleCorners(sample);
+  const materialIndex = corners ? getVertexMaterials(mesh)[corners[0][0]] : 0;
+  return mesh.material[materialIndex] || mesh.material[0];
+}
+
+/**
+ * Surface vertices and weights a sample blends (null off the surface)
+ */
+function getSampleCorners(sample) {
+  switch (sample.type) {
+    case "vertex":
+      return [[sample.vertexIndex], [1]];
+    case "faceCenter":
+      return [sample.faceVertices, [1 / 3, 1 / 3, 1 / 3]];
+    case "interior":
+      return [sample.faceVertices, sample.bary];
+    case "edgePoint":
+      return [sample.edgeVertices, [1 - sample.t, sample.t]];
+    case "edgeMidpoint":
+      return [sample.edgeVertices, [0.5, 0.5]];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Interpolated UV of a sample (null for bone and volume points, or meshes
+ * without UVs)
+ */
+export function getSampleUV(sample, target) {
+  const { uv } = skinnedMeshes[sample.meshIndex].geometry.attributes;
+  const corners = getSampleCorners(sample);
+  if (!uv || !corners) return null;
+
+  const [vertices, weights] = corners;
+  target.set(0, 0);
+  vertices.forEach((vertex, k) => {
+    target.addScaledVector(
+      _cornerUV.fromBufferAttribute(uv, vertex),
+      weights[k]
+    );
+  });
+  return target;
+}
+
+/**
+ * Diffuse color of a sample, linear - the map's texel times the material
+ * color, or the material color alone without a readable map or UV
+ *
+ * @param {Object} sample - Sample descriptor from sampling.js
+ * @param {THREE.Color} target - Color to store the result
+ * @returns {number} Texel alpha in [0, 1] (1 without a texel)
+ */
+export function getSampleTextureColor(sample, target) {
+  const mesh = skinnedMeshes[sample.meshIndex];
+  const material = getSampleMaterial(mesh, sample);
+  target.set(material?.color ?? 0xffffff);
+
+  const map = material?.map;
+  const texels = map && getTexels(map);
+  if (!texels || !getSampleUV(sample, _uv)) return 1;
+
+  // Wrapping, repeat/offset and flipY, as the renderer would sample it
+  map.transformUv(_uv);
+  const x = THREE.MathUtils.clamp(
+    Math.floor(_uv.x * texels.width),
+    0,
+    texels.width - 1
+  );
+  const y = THREE.MathUtils.clamp(
+    Math.floor(_uv.y * texels.height),
+    0,
+    texels.height - 1
+  );
+  const t = (y * texels.width + x) * 4;
+
+  const colorSpace =
+    map.colorSpace === THREE.SRGBColorSpace
+      ? THREE.SRGBColorSpace
+      : THREE.LinearSRGBColorSpace;
+  const r = texels.data[t] / 255;
+  const g = texels.data[t + 1] / 255;
+  const b = texels.data[t + 2] / 255;
+  target.multiply(_texel.setRGB(r, g, b, colorSpace));
+
+  return texels.data[t + 3] / 255;
+}
+
+/**
+ * How strongly the texture asks for points at a sample, in [0, 1]
+ *
+ * @param {Object} sample - Sample descriptor from sampling.js
+ * @param {string} mode - One of TEXTURE_DENSITY_MODES
+ * @returns {number} Brightness or alpha under the sample (1 off the surface)
+ */
+export function getSampleTextureDensity(sample, mode) {
+  if (mode === "off" || !getSampleCorners(sample)) return 1;
+
+  const alpha = getSampleTextureColor(sample, _densityColor);
+  if (mode === "alpha") return alpha;
+
+  const { r, g, b } = _densityColor;
+  return Math.min(1, 0.2126 * r + 0.7152 * g + 0.0722 * b);
+}
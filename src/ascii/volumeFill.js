@@ -0,0 +1,321 @@
+/**
+ * Volume fill - points inside the closed body, so dispersed characters
+ * aren't hollow shells
+ *
+ * A jittered grid over the bind-pose bounds is kept where ray parity says
+ * the point is inside a mesh (majority of three axis-aligned rays, which
+ * shrugs off rays grazing an edge and small holes). Each point is skinned
+ * to the bone segments nearest to it. Cells are visited in a scattered
+ * order, so a point budget that runs out thins the whole volume evenly.
+ *
+ * Runs in the sampling worker (via samplingCore.js), on plain arrays only.
+ */
+
+const MAX_INFLUENCES = 4;
+const MAX_GRID_SIDE = 512;
+const PHI_FRACTION = 0.6180339887498949; // Golden ratio - 1
+const PROGRESS_INTERVAL = 4096; // Cells between progress reports
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Step that visits every one of n cells once (coprime to n), near the
+ * golden ratio of n so consecutive visits land far apart
+ */
+function scatterStride(n) {
+  let stride = Math.max(1, Math.round(n * PHI_FRACTION));
+  while (gcd(stride, n) !== 1) stride++;
+  return stride;
+}
+
+/**
+ * Triangles of a mesh bucketed by their projection along one axis
+ * The ray test for a point then only visits one bucket
+ */
+function buildRayGrid(positions, index, axis) {
+  const u = (axis + 1) % 3;
+  const v = (axis + 2) % 3;
+  const faceCount = Math.floor(
+    (index ? index.length : positions.length / 3) / 3
+  );
+  const corner = (f, k) => (index ? index[f * 3 + k] : f * 3 + k);
+
+  let minU = Infinity;
+  let minV = Infinity;
+  let maxU = -Infinity;
+  let maxV = -Infinity;
+  for (let i = 0; i < positions.length; i += 3) {
+    minU = Math.min(minU, positions[i + u]);
+    maxU = Math.max(maxU, positions[i + u]);
+    minV = Math.min(minV, positions[i + v]);
+    maxV = Math.max(maxV, positions[i + v]);
+  }
+
+  const side = Math.min(
+    MAX_GRID_SIDE,
+    Math.max(1, Math.ceil(Math.sqrt(faceCount)))
+  );
+  const sizeU = (maxU - minU) / side || 1;
+  const sizeV = (maxV - minV) / side || 1;
+  const cellU = (x) => Math.min(side - 1, Math.floor((x - minU) / sizeU));
+  const cellV = (x) => Math.min(side - 1, Math.floor((x - minV) / sizeV));
+
+  const cells = Array.from({ length: side * side }, () => []);
+  for (let f = 0; f < faceCount; f++) {
+    let lowU = Infinity;
+    let lowV = Infinity;
+    let highU = -Infinity;
+    let highV = -Infinity;
+    for (let k = 0; k < 3; k++) {
+      const p = corner(f, k) * 3;
+      lowU = Math.min(lowU, positions[p + u]);
+      highU = Math.max(highU, positions[p + u]);
+      lowV = Math.min(lowV, positions[p + v]);
+      highV = Math.max(highV, positions[p + v]);
+    }
+
+    for (let cv = cellV(lowV); cv <= cellV(highV); cv++) {
+      for (let cu = cellU(lowU); cu <= cellU(highU); cu++) {
+        cells[cv * side + cu].push(f);
+      }
+    }
+  }
+
+  return {
+    axis,
+    u,
+    v,
+    minU,
+    minV,
+    maxU,
+    maxV,
+    cellU,
+    cellV,
+    side,
+    cells,
+    corner,
+  };
+}
+
+/**
+ * Count triangles crossed by a ray from the point along +axis
+ */
+function countCrossings(positions, grid, point) {
+  const { axis, u, v, side, cells, corner } = grid;
+  const pu = point[u];
+  const pv = point[v];
+  if (pu < grid.minU || pu > grid.maxU || pv < grid.minV || pv > grid.maxV) {
+    return 0;
+  }
+
+  let crossings = 0;
+  for (const f of cells[grid.cellV(pv) * side + grid.cellU(pu)]) {
+    const a = corner(f, 0) * 3;
+    const b = corner(f, 1) * 3;
+    const c = corner(f, 2) * 3;
+
+    // Barycentric coordinates of the ray in the triangle's projection
+    const d =
+      (positions[b + v] - positions[c + v]) *
+        (positions[a + u] - positions[c + u]) +
+      (positions[c + u] - positions[b + u]) *
+        (positions[a + v] - positions[c + v]);
+    if (d === 0) continue; // Parallel to the ray
+
+    const l0 =
+      ((positions[b + v] - positions[c + v]) * (pu - positions[c + u]) +
+        (positions[c + u] - positions[b + u]) * (pv - positions[c + v])) /
+      d;
+    const l1 =
+      ((positions[c + v] - positions[a + v]) * (pu - positions[c + u]) +
+        (positions[a + u] - positions[c + u]) * (pv - positions[c + v])) /
+      d;
+    const l2 = 1 - l0 - l1;
+    if (l0 < 0 || l1 < 0 || l2 < 0) continue;
+
+    const hit =
+      l0 * positions[a + axis] +
+      l1 * positions[b + axis] +
+      l2 * positions[c + axis];
+    if (hit > point[axis]) crossings++;
+  }
+
+  return crossings;
+}
+
+/**
+ * Inside test - at least two of the three axis rays cross an odd number
+ * of triangles
+ */
+function isInside(positions, grids, point) {
+  let votes = 0;
+  for (const grid of grids) {
+    if (countCrossings(positions, grid, point) % 2 === 1) votes++;
+  }
+  return votes >= 2;
+}
+
+/**
+ * Squared distance from a point to a segment
+ */
+function segmentDistanceSq(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const dz = end[2] - start[2];
+  const lengthSq = dx * dx + dy * dy + dz * dz;
+
+  let t = 0;
+  if (lengthSq > 0) {
+    t =
+      ((point[0] - start[0]) * dx +
+        (point[1] - start[1]) * dy +
+        (point[2] - start[2]) * dz) /
+      lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  const x = start[0] + dx * t - point[0];
+  const y = start[1] + dy * t - point[1];
+  const z = start[2] + dz * t - point[2];
+  return x * x + y * y + z * z;
+}
+
+/**
+ * Skin a point to its nearest bone segments (inverse distance^4, up to
+ * four bones), written into the output arrays at slot s
+ */
+function skinToSegments(point, segments, falloff, skinIndices, skinWeights, s) {
+  const weights = new Map();
+
+  for (const segment of segments) {
+    const d2 = segmentDistanceSq(point, segment.start, segment.end);
+    const weight = 1 / (d2 * d2 + falloff);
+    weights.set(
+      segment.boneIndex,
+      Math.max(weights.get(segment.boneIndex) || 0, weight)
+    );
+  }
+
+  const strongest = [...weights]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_INFLUENCES);
+  const total = strongest.reduce((sum, [, w]) => sum + w, 0);
+
+  strongest.forEach(([boneIndex, weight], k) => {
+    skinIndices[s * 4 + k] = boneIndex;
+    skinWeights[s * 4 + k] = weight / total;
+  });
+}
+
+/**
+ * Fill the inside of the meshes with points
+ *
+ * @param {Array<{positions: Float32Array, index: ?ArrayLike<number>}>} meshes
+ *   Bind-pose vertex positions (one shared space) and optional index
+ * @param {Array<{meshIndex: number, boneIndex: number, start: number[],
+ *   end: number[]}>} segments - Bone segments in the same space, each
+ *   owned by the bone that moves it
+ * @param {number} spacing - Distance between grid points
+ * @param {number} maxPoints - Stop after this many points
+ * @param {Function} [random] - Uniform [0, 1) generator
+ * @param {Function} [onProgress] - Called with the fraction done, 0 to 1
+ * @returns {{count: number, meshIndices: Uint32Array, positions: Float32Array,
+ *   skinIndices: Float32Array, skinWeights: Float32Array}} Points, the mesh
+ *   each one is inside, and skinning against that mesh's skeleton
+ */
+export function fillVolume(
+  meshes,
+  segments,
+  spacing,
+  maxPoints,
+  random = Math.random,
+  onProgress = () => {}
+) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  meshes.forEach(({ positions }) => {
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], positions[i + k]);
+        max[k] = Math.max(max[k], positions[i + k]);
+      }
+    }
+  });
+
+  const dims = min.map((m, k) => Math.ceil((max[k] - m) / spacing));
+  const candidates = dims[0] * dims[1] * dims[2];
+  const capacity = Math.min(
+    maxPoints,
+    Number.isFinite(candidates) ? candidates : 0
+  );
+
+  const meshIndices = new Uint32Array(capacity);
+  const positions = new Float32Array(capacity * 3);
+  const skinIndices = new Float32Array(capacity * 4);
+  const skinWeights = new Float32Array(capacity * 4);
+  if (capacity <= 0 || !(spacing > 0)) {
+    return { count: 0, meshIndices, positions, skinIndices, skinWeights };
+  }
+
+  const grids = meshes.map(({ positions: p, index }) =>
+    [0, 1, 2].map((axis) => buildRayGrid(p, index, axis))
+  );
+  const meshSegments = meshes.map((_, m) =>
+    segments.filter((s) => s.meshIndex === m)
+  );
+  const falloff = Math.pow(spacing, 4) * 1e-3;
+
+  const point = [0, 0, 0];
+  let count = 0;
+
+  // One jittered point per grid cell, cells in a seeded scattered order -
+  // when maxPoints runs out, the points still cover the whole volume
+  const stride = scatterStride(candidates);
+  let cell = Math.floor(random() * candidates);
+  for (let n = 0; n < candidates && count < capacity; n++) {
+    if (n % PROGRESS_INTERVAL === 0) onProgress(n / candidates);
+    cell = (cell + stride) % candidates;
+
+    const x = cell % dims[0];
+    const y = Math.floor(cell / dims[0]) % dims[1];
+    const z = Math.floor(cell / (dims[0] * dims[1]));
+    point[0] = min[0] + (x + random()) * spacing;
+    point[1] = min[1] + (y + random()) * spacing;
+    point[2] = min[2] + (z + random()) * spacing;
+
+    // Inside the first mesh that contains it (clothes over a body would
+    // otherwise double up)
+    const meshIndex = meshes.findIndex(({ positions: p }, m) =>
+      isInside(p, grids[m], point)
+    );
+    if (meshIndex < 0) continue;
+
+    meshIndices[count] = meshIndex;
+    positions.set(point, count * 3);
+    if (meshSegments[meshIndex].length > 0) {
+      skinToSegments(
+        point,
+        meshSegments[meshIndex],
+        falloff,
+        skinIndices,
+        skinWeights,
+        count
+      );
+    }
+    count++;
+  }
+
+  return {
+    count,
+    meshIndices: meshIndices.subarray(0, count),
+    positions: positions.subarray(0, count * 3),
+    skinIndices: skinIndices.subarray(0, count * 4),
+    skinWeights: skinWeights.subarray(0, count * 4),
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Audio analysis - a feature track for a whole audio file
+ *
+ * The file runs through an AnalyserNode in an OfflineAudioContext, which
+ * renders faster than real time and pauses every 1/analysisRate seconds so
+ * the analyser can be read. Live playback and fixed-timestep exports then
+ * look features up in the same track by audio time - an exported video
+ * reacts exactly like playback did.
+ */
+
+import { CONFIG } from "../config.js";
+
+// What a mapping can listen to - all 0..1
+export const AUDIO_SOURCES = ["bass", "mids", "highs", "rms", "onset"];
+
+// Longest gap (seconds) read as one span - a seek reads just the new time
+const MAX_PEAK_SPAN = 0.25;
+
+/**
+ * Mean analyser level (0..1) over a frequency band
+ */
+function getBandLevel(levels, [low, high], binHz) {
+  const first = Math.max(0, Math.floor(low / binHz));
+  const last = Math.min(levels.length - 1, Math.ceil(high / binHz));
+
+  let sum = 0;
+  for (let bin = first; bin <= last; bin++) sum += levels[bin];
+  return last >= first ? sum / (last - first + 1) : 0;
+}
+
+/**
+ * Onset strength per frame from spectral flux - how far each frame's rise
+ * stands out from the flux around it
+ */
+function getOnsets(flux, rate) {
+  const { onsetWindow, onsetThreshold } = CONFIG.audio;
+  const half = Math.max(1, Math.round((onsetWindow * rate) / 2));
+  const onsets = new Float32Array(flux.length);
+
+  for (let i = 0; i < flux.length; i++) {
+    const from = Math.max(0, i - half);
+    const to = Math.min(flux.length - 1, i + half);
+    let sum = 0;
+    for (let j = from; j <= to; j++) sum += flux[j];
+    const mean = sum / (to - from + 1);
+
+    const ratio = flux[i] / (onsetThreshold * mean + 1e-6);
+    onsets[i] = Math.min(1, Math.max(0, ratio - 1));
+  }
+  return onsets;
+}
+
+/**
+ * Analyze an audio file into a feature track
+ *
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {Function} [onProgress] - Called with the fraction done
+ * @returns {Promise<Object>} { rate, duration, bass, mids, highs, rms,
+ *   onset } - one Float32Array per source, a frame every 1/rate seconds
+ */
+export async function analyzeAudio(buffer, onProgress) {
+  const { analysisRate: rate, fftSize, bands } = CONFIG.audio;
+  const { sampleRate } = buffer;
+
+  const context = new OfflineAudioContext(1, buffer.length, sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = 0; // Smoothing is per mapping
+  source.connect(analyser);
+  analyser.connect(context.destination);
+
+  // Frame i is read when the analyser window is centered on i / rate
+  const halfWindow = fftSize / 2 / sampleRate;
+  const frameCount = Math.max(
+    0,
+    Math.floor((buffer.duration - halfWindow) * rate)
+  );
+
+  const track = { rate, duration: buffer.duration };
+  AUDIO_SOURCES.forEach((name) => {
+    track[name] = new Float32Array(frameCount);
+  });
+
+  const spectrum = new Float32Array(analyser.frequencyBinCount);
+  const levels = new Float32Array(analyser.frequencyBinCount);
+  const previous = new Float32Array(analyser.frequencyBinCount);
+  const waveform = new Float32Array(fftSize);
+  const flux = new Float32Array(frameCount);
+  const binHz = sampleRate / fftSize;
+  const range = analyser.maxDecibels - analyser.minDecibels;
+
+  const readFrame = (i) => {
+    analyser.getFloatFrequencyData(spectrum);
+    analyser.getFloatTimeDomainData(waveform);
+
+    let rise = 0;
+    for (let bin = 0; bin < spectrum.length; bin++) {
+      const level = (spectrum[bin] - analyser.minDecibels) / range;
+      levels[bin] = Math.min(1, Math.max(0, level));
+      rise += Math.max(0, levels[bin] - previous[bin]);
+    }
+    previous.set(levels);
+    flux[i] = rise / levels.length;
+
+    track.bass[i] = getBandLevel(levels, bands.bass, binHz);
+    track.mids[i] = getBandLevel(levels, bands.mids, binHz);
+    track.highs[i] = getBandLevel(levels, bands.highs, binHz);
+
+    let square = 0;
+    for (let s = 0; s < waveform.length; s++) square += waveform[s] ** 2;
+    track.rms[i] = Math.min(
+      1,
+      Math.sqrt(square / waveform.length) * Math.SQRT2
+    );
+  };
+
+  for (let i = 0; i < frameCount; i++) {
+    context.suspend(i / rate + halfWindow).then(() => {
+      readFrame(i);
+      if (onProgress && i % rate === 0) onProgress(i / frameCount);
+      context.resume();
+    });
+  }
+
+  source.start(0);
+  await context.startRendering();
+
+  track.onset = getOnsets(flux, rate);
+  if (onProgress) onProgress(1);
+  return track;
+}
+
+/**
+ * Features at an audio time - the peak of each source over the analysis
+ * frames since the last read, so a one-frame onset between two slower
+ * steps isn't skipped (all 0 before the start and after the end)
+ *
+ * @param {Object} track - From analyzeAudio
+ * @param {number} time - Seconds into the audio
+ * @param {number} [since] - Audio time of the last read (time for none)
+ * @param {Object} [out] - Reused result object
+ * @returns {Object} { bass, mids, highs, rms, onset }
+ */
+export function getAudioFeatures(track, time, since = time, out = {}) {
+  const last = Math.round(time * track.rate);
+  let first = Math.round(since * track.rate) + 1;
+  if (first > last || last - first > track.rate * MAX_PEAK_SPAN) first = last;
+
+  AUDIO_SOURCES.forEach((name) => {
+    const frames = track[name];
+    let peak = 0;
+    for (
+      let i = Math.max(0, first);
+      i <= Math.min(last, frames.length - 1);
+      i++
+    ) {
+      peak = Math.max(peak, frames[i]);
+    }
+    out[name] = peak;
+  });
+  return out;
+}
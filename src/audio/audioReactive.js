@@ -0,0 +1,311 @@
+/**
+ * Audio-reactive mode - an audio file plays through Web Audio and its
+ * analysis drives the scene
+ *
+ * Each mapping in params.audioMappings reads one analysis source (see
+ * AUDIO_SOURCES), scales it by its sensitivity, smooths it and drives one
+ * target. Targets are modulated on top of whatever the scene computed this
+ * step - effects, chaos mix or the GUI - and put back at the start of the
+ * next, so the modulation never compounds and the base values stay editable.
+ *
+ * Audio time follows the playing AudioContext live; during a fixed-timestep
+ * export it advances by the export's steps instead (see fixedTimestep.js).
+ */
+
+import * as THREE from "three";
+import { params } from "../config.js";
+import { analyzeAudio, getAudioFeatures } from "./audioAnalysis.js";
+import {
+  setChaosEntropyBoost,
+  triggerChaosEvent,
+  isChaosReplaying,
+} from "../ascii/chaosMix.js";
+
+// What a mapping can drive
+export const AUDIO_TARGETS = [
+  "disperse", // Disperse amount (with DISPERSE on)
+  "saturation", // Color saturation - quiet washes out, loud saturates
+  "bloomStrength", // Bloom on top of its slider
+  "entropy", // Chaos mix entropy on top of its ramp
+  "chaosEvent", // Fires a chaos event when the level rises past half
+];
+
+// A chaosEvent mapping fires when its level crosses this upward
+const EVENT_LEVEL = 0.5;
+
+let context = null;
+let gainNode = null;
+let sourceNode = null;
+let buffer = null;
+let track = null;
+
+let playing = false;
+let startedAt = 0; // Context time at which audio time 0 played
+let audioTime = 0; // Seconds into the audio
+let stepping = false; // Advanced by the simulation step (exports)
+let resumeAfterStepping = false;
+let wasReacting = false;
+
+// Smoothed level and event state per mapping
+let mappingState = new WeakMap();
+const features = {};
+
+// Values modulated this step - { object, key, base, value }
+const modulated = [];
+
+// Callback to push color and bloom to the renderer
+let onAudioChange = null;
+
+const tempColor = new THREE.Color();
+const tempHSL = {};
+
+/**
+ * Set the callback that pushes modulated color and bloom to the renderer
+ */
+export function setOnAudioChange(callback) {
+  onAudioChange = callback;
+}
+
+/**
+ * Whether an audio file is loaded and analyzed
+ */
+export function hasAudio() {
+  return track !== null;
+}
+
+/**
+ * Whether the audio is playing live
+ */
+export function isAudioPlaying() {
+  return playing;
+}
+
+/**
+ * Seconds into the audio
+ */
+export function getAudioTime() {
+  return audioTime;
+}
+
+/**
+ * Length of the loaded audio in seconds (0 if none)
+ */
+export function getAudioDuration() {
+  return buffer ? buffer.duration : 0;
+}
+
+/**
+ * The shared AudioContext - created on first use (after a user gesture)
+ */
+function getContext() {
+  if (!context) {
+    context = new AudioContext();
+    gainNode = context.createGain();
+    gainNode.gain.value = params.audioVolume;
+    gainNode.connect(context.destination);
+  }
+  return context;
+}
+
+/**
+ * Decode and analyze an audio file, replacing the current one
+ *
+ * @param {File} file - Any format the browser decodes (mp3, wav, ogg...)
+ * @param {Function} [onProgress] - Called with the analysis fraction done
+ */
+export async function loadAudioFile(file, onProgress) {
+  const decoded = await getContext().decodeAudioData(await file.arrayBuffer());
+  const analyzed = await analyzeAudio(decoded, onProgress);
+
+  pauseAudio();
+  buffer = decoded;
+  track = analyzed;
+  audioTime = 0;
+
+  console.log(`🎵 Audio loaded: ${file.name} (${buffer.duration.toFixed(1)}s)`);
+}
+
+/**
+ * Play from the current audio time
+ */
+export function playAudio() {
+  if (!buffer || playing) return;
+  if (audioTime >= buffer.duration) audioTime = 0;
+
+  const ctx = getContext();
+  ctx.resume();
+  const node = ctx.createBufferSource();
+  node.buffer = buffer;
+  node.connect(gainNode);
+  node.onended = () => {
+    // Played to the end - a paused or replaced node isn't current any more
+    if (sourceNode !== node) return;
+    sourceNode = null;
+    playing = false;
+    audioTime = buffer.duration;
+  };
+  node.start(0, audioTime);
+  sourceNode = node;
+  startedAt = ctx.currentTime - audioTime;
+  playing = true;
+}
+
+/**
+ * Pause, keeping the audio time
+ */
+export function pauseAudio() {
+  if (!playing) return;
+
+  audioTime = context.currentTime - startedAt;
+  playing = false;
+  sourceNode.stop();
+  sourceNode.disconnect();
+  sourceNode = null;
+}
+
+/**
+ * Jump to an audio time, playing on if it was playing
+ */
+export function seekAudio(time) {
+  const wasPlaying = playing;
+  pauseAudio();
+  audioTime = Math.max(0, time);
+  if (wasPlaying) playAudio();
+}
+
+/**
+ * Playback volume (0..1)
+ */
+export function setAudioVolume(volume) {
+  params.audioVolume = volume;
+  if (gainNode) gainNode.gain.value = volume;
+}
+
+/**
+ * Hand the audio clock to the simulation step - for fixed-timestep
+ * exports, which read the audio from time on, one step at a time
+ */
+export function startAudioStepping(time) {
+  resumeAfterStepping = playing;
+  pauseAudio();
+  audioTime = time;
+  stepping = true;
+
+  // Start from silence, so every export of a range matches
+  mappingState = new WeakMap();
+  setChaosEntropyBoost(0);
+}
+
+/**
+ * Give the audio clock back to live playback
+ */
+export function stopAudioStepping() {
+  stepping = false;
+  if (resumeAfterStepping) playAudio();
+}
+
+/**
+ * Modulate a value on top of what the scene set, remembering the base
+ */
+function modulate(object, key, modulator) {
+  const base = object[key];
+  const value = modulator(base);
+  object[key] = value;
+  modulated.push({ object, key, base, value });
+}
+
+/**
+ * Color with its saturation scaled by an audio level
+ */
+function saturate(hex, level) {
+  tempColor.set(hex).getHSL(tempHSL);
+  const saturation = Math.min(1, tempHSL.s * (0.5 + level));
+  return `#${tempColor
+    .setHSL(tempHSL.h, saturation, tempHSL.l)
+    .getHexString()}`;
+}
+
+/**
+ * Put back what the last step modulated - unless something else has set
+ * it since (a GUI slider, chaos mix)
+ */
+export function restoreAudioTargets() {
+  modulated.forEach(({ object, key, base, value }) => {
+    if (object[key] === value) object[key] = base;
+  });
+  modulated.length = 0;
+}
+
+/**
+ * Read the music and modulate the mapped targets - once per simulation
+ * step, after everything else has moved
+ *
+ * @param {number} delta - Seconds since the last step
+ */
+export function processAudioReactive(delta) {
+  const reacting = track !== null && params.audioReactive;
+  if (!reacting) {
+    if (wasReacting) {
+      // Hand color, bloom and entropy back untouched
+      if (!isChaosReplaying()) setChaosEntropyBoost(0);
+      if (onAudioChange) onAudioChange();
+    }
+    wasReacting = false;
+    return;
+  }
+  wasReacting = true;
+
+  const since = audioTime;
+  if (stepping) {
+    audioTime += delta;
+  } else if (playing) {
+    audioTime = context.currentTime - startedAt;
+  }
+  getAudioFeatures(track, audioTime, since, features);
+
+  // A chaos replay takes the music's part in the run from its recording
+  const drivesChaos = !isChaosReplaying();
+
+  let entropyBoost = 0;
+  params.audioMappings.forEach((mapping) => {
+    const state = mappingState.get(mapping) ?? { level: 0, armed: true };
+    mappingState.set(mapping, state);
+
+    // Smoothing is per 60 fps frame, whatever the step size
+    const raw = (features[mapping.source] ?? 0) * mapping.sensitivity;
+    const keep = Math.pow(Math.min(0.99, mapping.smoothing), delta * 60);
+    state.level = raw + (state.level - raw) * keep;
+    const { level } = state;
+
+    switch (mapping.target) {
+      case "disperse":
+        modulate(params, "disperseAmount", (amount) => amount + level);
+        break;
+      case "saturation": {
+        modulate(params, "color", (hex) => saturate(hex, level));
+        const stops = params.colorGradients[params.colorMode];
+        if (params.colorMode !== "flat" && stops) {
+          stops.forEach((_, k) => {
+            modulate(stops, k, (hex) => saturate(hex, level));
+          });
+        }
+        break;
+      }
+      case "bloomStrength":
+        modulate(params, "bloomStrength", (strength) => strength + level);
+        break;
+      case "entropy":
+        entropyBoost += level;
+        break;
+      case "chaosEvent":
+        if (level > EVENT_LEVEL && state.armed && drivesChaos) {
+          triggerChaosEvent();
+        }
+        state.armed = level <= EVENT_LEVEL;
+        break;
+    }
+  });
+
+  if (drivesChaos) setChaosEntropyBoost(entropyBoost);
+  if (onAudioChange) onAudioChange();
+}
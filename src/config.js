@@ -61,16 +61,85 @@ export const CONFIG = {
   // Default settings - adjust these to change initial values on page load
   defaults: {
     character: "█",
-    samplingDensity: 1,
+    glyphMode: "single", // "single" character or a "set" of glyphs
+    glyphSet: " .:-=+*#%@",
+    glyphAssignment: "random", // See GLYPH_ASSIGNMENTS in ascii/glyphs.js
+    luminanceSource: "lighting", // Drives the ramp: lighting, depth or facing
+    sampler: "legacy", // See SAMPLERS in ascii/sampling.js
+    samplingDensity: 1, // Legacy and feature sampler stride
+    pointBudget: 20000, // Blue-noise sampler point count
+    featureBlend: 0.5, // Feature sampler: 0 = by area only, 1 = by features only
+    silhouetteBoost: 0, // Feature sampler: extra weight on silhouette edges
+    fillMode: "shell", // See FILL_MODES in ascii/sampling.js
+    volumeDensity: 100, // Volume points per 1000 cubic units (a liter in cm)
+    textureDensity: "off", // See TEXTURE_DENSITY_MODES in ascii/textures.js
+    textureBias: 0.8, // 0 = ignore the texture, 1 = black texels get no points
+    // Points along bones the surface misses (tails, ears, fingers)
+    boneFill: {
+      patterns: ["tail"], // Case-insensitive substrings or "/regex/flags"
+      bones: [], // Bone names picked in the GUI
+      pointsPerUnit: 1, // Along the bone, per model unit (cm for Mixamo)
+      jitter: 0, // Radial scatter around the bone axis, model units
+    },
     characterSize: 10.8,
     color: "#00ffff",
     animationSpeed: 1.0,
+    crossfadeDuration: 0.5, // Seconds when switching clips
+    loopMode: "repeat", // repeat, once or pingpong
+    frameStep: 1 / 30, // Seconds per frame step
     billboardMode: true,
     maxCharacters: 200000,
+    gpuSkinning: true, // Skin sampled points in the vertex shader
+    seed: 1, // Every random choice draws from it - see utils/random.js
+    chaosProfile: "CLASSIC", // See chaosProfiles below
+    colorMode: "flat", // See COLOR_MODES in ascii/colors.js
+    // Gradient stops per color mode - categorical modes get one stop per
+    // category (body regions, sample types)
+    colorGradients: {
+      height: ["#0066ff", "#00ffff", "#ff00ff"],
+      boneGroup: [
+        "#ff0066",
+        "#00ffff",
+        "#00ff66",
+        "#ffcc00",
+        "#ff00ff",
+        "#ffffff",
+      ],
+      normal: ["#0066ff", "#00ffff", "#ffffff"],
+      velocity: ["#00ffff", "#ff00ff", "#ffcc00"],
+      sampleType: [
+        "#ffffff",
+        "#00ffff",
+        "#ff00ff",
+        "#00ff66",
+        "#ffcc00",
+        "#ff0066",
+        "#0066ff",
+      ],
+    },
+    heatRange: 120, // Speed (units per second) that reaches the hottest stop
     emissiveIntensity: 0.3,
     bloomStrength: 0.8,
     bloomRadius: 0.3,
     bloomThreshold: 0.5,
+    audioVolume: 0.8,
+    bpm: 120, // Tempo clock - see core/tempo.js
+    beatsPerBar: 4,
+    // Audio-reactive mappings - an analysis source drives a target; see
+    // AUDIO_SOURCES / AUDIO_TARGETS in audio/. Sensitivity scales the level,
+    // smoothing (0-1) slows how fast it follows the music
+    audioMappings: [
+      { source: "bass", target: "disperse", sensitivity: 1, smoothing: 0.6 },
+      { source: "mids", target: "saturation", sensitivity: 1, smoothing: 0.7 },
+      {
+        source: "highs",
+        target: "bloomStrength",
+        sensitivity: 1,
+        smoothing: 0.5,
+      },
+      { source: "rms", target: "entropy", sensitivity: 1, smoothing: 0.8 },
+      { source: "onset", target: "chaosEvent", sensitivity: 1, smoothing: 0 },
+    ],
   },
 
   // Scene settings
@@ -82,6 +151,9 @@ export const CONFIG = {
   model: {
     path: "./models/SLOW_QI.fbx",
     rotationY: Math.PI / 3, // 60 degrees
+    // Dropped models are scaled to this height - character size and effect
+    // defaults are tuned for Mixamo's centimeters
+    dropHeight: 180,
   },
 
   // Camera settings
@@ -93,6 +165,178 @@ export const CONFIG = {
     lookAt: { x: 0, y: 50, z: 0 },
   },
 
+  // Frame export defaults (see export/frameExport.js)
+  export: {
+    format: "png", // Zipped PNG sequence or "webm"
+    fps: 30,
+    width: 1920,
+    height: 1080,
+  },
+
+  // Terminal text export
+  textExport: {
+    format: "plain", // Or "ansi" (24-bit color escapes)
+    columns: 120,
+    rows: 0, // 0 = fit the camera aspect
+    cellAspect: 0.5, // Terminal cell width / height
+  },
+
+  // Audio analysis (see audio/audioAnalysis.js)
+  audio: {
+    analysisRate: 60, // Feature frames per second of audio
+    fftSize: 2048,
+    // Frequency bands in Hz
+    bands: {
+      bass: [20, 250],
+      mids: [250, 2000],
+      highs: [2000, 16000],
+    },
+    onsetWindow: 0.5, // Seconds of spectral flux an onset must stand out from
+    onsetThreshold: 1.5, // How far above the local average counts as an onset
+  },
+
+  // Chaos mix personalities (see ascii/chaosMix.js) - custom ones are saved
+  // in the browser next to these (see ascii/chaosProfiles.js)
+  chaosProfiles: {
+    // The original chaos mix
+    CLASSIC: {
+      maxActiveEffects: 3,
+      activationThreshold: 0.4, // Quantum probability to switch an effect on
+      deactivationThreshold: 0.3, // ...and below which it switches off
+      entropyStart: 0.2,
+      entropyRamp: 0.02, // Entropy gained per second, up to 1
+      eventTiming: "fibonacci", // See CHAOS_EVENT_TIMINGS in ascii/chaosProfiles.js
+      eventInterval: 0.5, // Seconds per Fibonacci step (or per event)
+      beatSync: false, // Events on the tempo's beats - see core/tempo.js
+      effectPick: "interference", // See CHAOS_EFFECT_PICKS in ascii/chaosProfiles.js
+      intensityFloor: 3, // Intensity at zero entropy
+      intensityScale: 1, // Times each effect's own chaos maxIntensity
+      intensitySwing: 0.5, // Fibonacci oscillation, fraction of intensity
+      speedBase: 0.6,
+      speedSwing: 0.3, // At full entropy
+      hueSpeed: 0.3, // Golden-angle steps per second
+      hueMin: 0,
+      hueMax: 360,
+      saturationMin: 60,
+      saturationMax: 100,
+      lightnessMin: 55, // At zero entropy...
+      lightnessMax: 65, // ...and at full
+      bloomStrengthMin: 0.5,
+      bloomStrengthMax: 1.5,
+      bloomRadiusMin: 0.1,
+      bloomRadiusMax: 0.5,
+    },
+    // Slow phi evolution, one or two effects, soft pastels
+    GENTLE: {
+      maxActiveEffects: 2,
+      activationThreshold: 0.5,
+      deactivationThreshold: 0.3,
+      entropyStart: 0.1,
+      entropyRamp: 0.005,
+      eventTiming: "fibonacci",
+      eventInterval: 1.5,
+      effectPick: "interference",
+      intensityFloor: 2,
+      intensityScale: 0.5,
+      intensitySwing: 0.2,
+      speedBase: 0.4,
+      speedSwing: 0.1,
+      hueSpeed: 0.1,
+      hueMin: 0,
+      hueMax: 360,
+      saturationMin: 35,
+      saturationMax: 55,
+      lightnessMin: 72,
+      lightnessMax: 82,
+      bloomStrengthMin: 0.3,
+      bloomStrengthMax: 0.8,
+      bloomRadiusMin: 0.3,
+      bloomRadiusMax: 0.5,
+    },
+    // Fast Fibonacci events, high entropy, wild swings
+    STORM: {
+      maxActiveEffects: 5,
+      activationThreshold: 0.25,
+      deactivationThreshold: 0.15,
+      entropyStart: 0.5,
+      entropyRamp: 0.05,
+      eventTiming: "fibonacci",
+      eventInterval: 0.1,
+      effectPick: "interference",
+      intensityFloor: 5,
+      intensityScale: 1.5,
+      intensitySwing: 0.9,
+      speedBase: 1,
+      speedSwing: 0.6,
+      hueSpeed: 1.2,
+      hueMin: 0,
+      hueMax: 360,
+      saturationMin: 80,
+      saturationMax: 100,
+      lightnessMin: 50,
+      lightnessMax: 65,
+      bloomStrengthMin: 0.8,
+      bloomStrengthMax: 2.5,
+      bloomRadiusMin: 0.2,
+      bloomRadiusMax: 0.8,
+    },
+    // Steady, rhythmic events in a cool blue-violet band
+    TRANCE: {
+      maxActiveEffects: 3,
+      activationThreshold: 0.35,
+      deactivationThreshold: 0.3,
+      entropyStart: 0.4,
+      entropyRamp: 0.01,
+      eventTiming: "steady",
+      eventInterval: 2,
+      beatSync: true,
+      effectPick: "interference",
+      intensityFloor: 4,
+      intensityScale: 1,
+      intensitySwing: 0.3,
+      speedBase: 0.5,
+      speedSwing: 0.1,
+      hueSpeed: 0.15,
+      hueMin: 180,
+      hueMax: 320,
+      saturationMin: 70,
+      saturationMax: 90,
+      lightnessMin: 50,
+      lightnessMax: 60,
+      bloomStrengthMin: 0.8,
+      bloomStrengthMax: 1.4,
+      bloomRadiusMin: 0.3,
+      bloomRadiusMax: 0.5,
+    },
+    // Pure probability - random picks at random times
+    QUANTUM: {
+      maxActiveEffects: 4,
+      activationThreshold: 0.4,
+      deactivationThreshold: 0.3,
+      entropyStart: 0.3,
+      entropyRamp: 0.03,
+      eventTiming: "random",
+      eventInterval: 1,
+      effectPick: "random",
+      intensityFloor: 3,
+      intensityScale: 1.2,
+      intensitySwing: 0.7,
+      speedBase: 0.7,
+      speedSwing: 0.5,
+      hueSpeed: 0.6,
+      hueMin: 0,
+      hueMax: 360,
+      saturationMin: 50,
+      saturationMax: 100,
+      lightnessMin: 45,
+      lightnessMax: 70,
+      bloomStrengthMin: 0.4,
+      bloomStrengthMax: 2,
+      bloomRadiusMin: 0.1,
+      bloomRadiusMax: 0.7,
+    },
+  },
+
   // Font URL
   fontUrl:
     "https://cdn.jsdelivr.net/npm/three@0.182.0/examples/fonts/helvetiker_regular.typeface.json",
@@ -101,50 +345,80 @@ export const CONFIG = {
 // GUI-controlled parameters (mutable at runtime)
 export const params = {
   character: CONFIG.defaults.character,
+  glyphMode: CONFIG.defaults.glyphMode,
+  glyphSet: CONFIG.defaults.glyphSet,
+  glyphAssignment: CONFIG.defaults.glyphAssignment,
+  luminanceSource: CONFIG.defaults.luminanceSource,
+  sampler: CONFIG.defaults.sampler,
   samplingDensity: CONFIG.defaults.samplingDensity,
+  pointBudget: CONFIG.defaults.pointBudget,
+  featureBlend: CONFIG.defaults.featureBlend,
+  silhouetteBoost: CONFIG.defaults.silhouetteBoost,
+  fillMode: CONFIG.defaults.fillMode,
+  volumeDensity: CONFIG.defaults.volumeDensity,
+  textureDensity: CONFIG.defaults.textureDensity,
+  textureBias: CONFIG.defaults.textureBias,
+  boneFill: structuredClone(CONFIG.defaults.boneFill),
   characterSize: CONFIG.defaults.characterSize,
   color: CONFIG.defaults.color,
   backgroundColor: "#00000000",
   animationSpeed: CONFIG.defaults.animationSpeed,
+  currentClip: "", // Set by the clip browser (core/animationClips.js)
+  crossfadeDuration: CONFIG.defaults.crossfadeDuration,
+  loopMode: CONFIG.defaults.loopMode,
+  // Transport - pause stops all time, freeze pose only the skeleton
+  isPlaying: true,
+  freezePose: false,
   billboardMode: CONFIG.defaults.billboardMode,
+  gpuSkinning: CONFIG.defaults.gpuSkinning,
+  seed: CONFIG.defaults.seed,
+  chaosProfile: CONFIG.defaults.chaosProfile,
+  // The live chaos profile - the GUI's tuning sliders edit it in place
+  chaosSettings: structuredClone(
+    CONFIG.chaosProfiles[CONFIG.defaults.chaosProfile]
+  ),
+  colorMode: CONFIG.defaults.colorMode,
+  colorGradients: structuredClone(CONFIG.defaults.colorGradients),
+  heatRange: CONFIG.defaults.heatRange,
   emissiveIntensity: CONFIG.defaults.emissiveIntensity,
   bloomStrength: CONFIG.defaults.bloomStrength,
   bloomRadius: CONFIG.defaults.bloomRadius,
   bloomThreshold: CONFIG.defaults.bloomThreshold,
+  // Audio-reactive mode (see audio/audioReactive.js)
+  audioReactive: true,
+  audioVolume: CONFIG.defaults.audioVolume,
+  audioMappings: structuredClone(CONFIG.defaults.audioMappings),
+  // Tempo clock (see core/tempo.js) - set bpm through setTempo()
+  bpm: CONFIG.defaults.bpm,
+  beatsPerBar: CONFIG.defaults.beatsPerBar,
+  metronome: false,
 
   // Character effects - supports layering multiple effects
   effectType: "none", // Legacy - kept for dropdown
-  activeEffects: {
-    hover: false,
-    noise: false,
-    wave: false,
-    spiral: false,
-    disperse: false,
-    spiralFlow: false,
-  },
+  // Filled by registerEffect() - see src/ascii/effects/
+  activeEffects: {},
   // Currently focused effect (for parameter editing)
   _focusedEffect: null,
 
-  // Per-effect parameters - each effect stores its own settings
-  effectParams: {
-    hover: { intensity: 5.0, speed: 1.0 },
-    noise: { intensity: 5.0, speed: 1.0 },
-    wave: { intensity: 5.0, speed: 1.0 },
-    spiral: { intensity: 5.0, speed: 1.0 },
-    disperse: { intensity: 5.0, speed: 1.0 },
-    spiralFlow: { intensity: 5.0, speed: 1.0, flowSpeed: 1.0, waves: 5 },
-  },
+  // Per-effect parameters - each effect stores its own settings,
+  // initialized from its parameter schema
+  effectParams: {},
+  // How the chaos mix treats each effect - { weight, minIntensity,
+  // maxIntensity }, defaults from its chaos hints
+  chaosEffects: {},
+  // Note division each effect's oscillation is locked to ("off" for its
+  // own speed) - see NOTE_DIVISIONS in core/tempo.js
+  effectSync: {},
 
-  // Current editing values (bound to GUI)
-  effectIntensity: 5.0,
+  // Focused effect's speed - also paces the disperse animation
   effectSpeed: 1.0,
+
+  // Disperse animation
   disperseAmount: 0.0,
   _disperseTarget: 0,
 
   // Spiral Flow effect
   spiralFlowProgress: 0.0,
-  spiralFlowSpeed: 1.0,
-  spiralFlowWaves: 5,
   _spiralFlowActive: false,
 
   // Return control
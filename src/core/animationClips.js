@@ -0,0 +1,248 @@
+/**
+ * Animation clips - one clip plays at a time and switching crossfades
+ * Also owns the transport: playhead, scrubbing and frame stepping
+ *
+ * Clips come from the model file plus any animation-only files (e.g. Mixamo
+ * "without skin" FBX exports) loaded onto the current skeleton.
+ */
+
+import * as THREE from "three";
+import { CONFIG, params } from "../config.js";
+import { mixer, skinnedMeshes } from "../state.js";
+
+export const LOOP_MODES = ["repeat", "once", "pingpong"];
+
+const LOOP_CONSTANTS = {
+  repeat: THREE.LoopRepeat,
+  once: THREE.LoopOnce,
+  pingpong: THREE.LoopPingPong,
+};
+
+let clips = [];
+let currentAction = null;
+let onClipsChange = null;
+let onClipPlay = null;
+
+/**
+ * Register the model's clips and start the first one
+ * Call after creating the mixer for a new model
+ */
+export function initClips(animations = []) {
+  clips = [];
+  currentAction = null;
+  addClips(animations);
+
+  if (clips.length > 0) {
+    playClip(clips[0].name, 0);
+  } else {
+    params.currentClip = "";
+  }
+}
+
+/**
+ * Add clips under unique names
+ */
+function addClips(animations, baseName) {
+  const added = [];
+
+  animations.forEach((clip, index) => {
+    // Mixamo names every clip "mixamo.com" - prefer the file name
+    let name =
+      baseName && (clip.name === "mixamo.com" || !clip.name)
+        ? baseName + (animations.length > 1 ? ` ${index + 1}` : "")
+        : clip.name || `Clip ${clips.length + 1}`;
+
+    const taken = new Set(clips.map((c) => c.name));
+    const base = name;
+    for (let n = 2; taken.has(name); n++) name = `${base} (${n})`;
+
+    clip.name = name;
+    clips.push(clip);
+    added.push(clip);
+
+    console.log(`Animation clip: ${name}, duration: ${clip.duration}s`);
+  });
+
+  if (onClipsChange) onClipsChange(getClipNames());
+  return added;
+}
+
+/**
+ * Names of all available clips
+ */
+export function getClipNames() {
+  return clips.map((clip) => clip.name);
+}
+
+/**
+ * Action of the clip currently playing (null if none)
+ */
+export function getCurrentAction() {
+  return currentAction;
+}
+
+/**
+ * Apply params.loopMode to an action
+ */
+function applyLoopMode(action) {
+  action.setLoop(LOOP_CONSTANTS[params.loopMode], Infinity);
+  // "once" holds the last frame instead of snapping back to the bind pose
+  action.clampWhenFinished = params.loopMode === "once";
+}
+
+/**
+ * Crossfade to a clip
+ *
+ * @param {string} name - Clip name from getClipNames()
+ * @param {number} [duration] - Crossfade seconds, params.crossfadeDuration by default
+ */
+export function playClip(name, duration = params.crossfadeDuration) {
+  const clip = clips.find((c) => c.name === name);
+  if (!clip || !mixer) return;
+
+  const action = mixer.clipAction(clip);
+  if (action === currentAction && action.isRunning()) return;
+
+  applyLoopMode(action);
+  action.reset().play();
+
+  if (currentAction && currentAction !== action && duration > 0) {
+    action.crossFadeFrom(currentAction, duration, false);
+  } else if (currentAction && currentAction !== action) {
+    currentAction.stop();
+  }
+
+  currentAction = action;
+  params.currentClip = name;
+
+  if (onClipPlay) onClipPlay(clip);
+}
+
+/**
+ * Change the loop mode of the playing clip
+ */
+export function setLoopMode(mode) {
+  params.loopMode = mode;
+  if (!currentAction) return;
+
+  applyLoopMode(currentAction);
+
+  // A finished "once" clip starts over when switched back to looping
+  if (!currentAction.isRunning()) currentAction.reset().play();
+}
+
+/**
+ * Bone names without their rig prefix ("mixamorig:Hips" -> "hips")
+ * Mixamo exports vary the prefix between downloads
+ */
+function getBoneKey(name) {
+  return name.replace(/^.*[:|]/, "").toLowerCase();
+}
+
+/**
+ * Retarget clips from an animation-only file onto the current skeleton
+ * Tracks are matched by bone name (ignoring rig prefixes); tracks for bones
+ * the skeleton lacks are dropped
+ *
+ * @param {THREE.AnimationClip[]} animations - Clips from the loaded file
+ * @param {string} baseName - Name for clips Mixamo left generic
+ * @returns {THREE.AnimationClip[]} The clips added
+ */
+export function addAnimationClips(animations, baseName) {
+  const boneNames = new Map();
+  skinnedMeshes.forEach((mesh) => {
+    if (!mesh.skeleton) return;
+    mesh.skeleton.bones.forEach((bone) => {
+      boneNames.set(getBoneKey(bone.name), bone.name);
+    });
+  });
+
+  const retargeted = animations
+    .map((clip) => {
+      const tracks = [];
+
+      clip.tracks.forEach((track) => {
+        const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(
+          track.name
+        );
+        const boneName = boneNames.get(getBoneKey(nodeName));
+        if (!boneName) return;
+
+        const retargetedTrack = track.clone();
+        retargetedTrack.name = `${boneName}.${propertyName}`;
+        tracks.push(retargetedTrack);
+      });
+
+      return tracks.length > 0
+        ? new THREE.AnimationClip(clip.name, clip.duration, tracks)
+        : null;
+    })
+    .filter(Boolean);
+
+  if (retargeted.length === 0) {
+    throw new Error("Animation doesn't match the current skeleton");
+  }
+
+  return addClips(retargeted, baseName);
+}
+
+/**
+ * Set callback for clip list changes
+ */
+export function setOnClipsChange(callback) {
+  onClipsChange = callback;
+}
+
+/**
+ * Set callback for when a clip starts playing
+ */
+export function setOnClipPlay(callback) {
+  onClipPlay = callback;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRANSPORT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Duration of the playing clip in seconds (0 if none)
+ */
+export function getClipDuration() {
+  return currentAction ? currentAction.getClip().duration : 0;
+}
+
+/**
+ * Playhead of the playing clip in seconds
+ */
+export function getClipTime() {
+  return currentAction ? currentAction.time : 0;
+}
+
+/**
+ * Move the playhead and pose the skeleton there, playing or not
+ */
+export function setClipTime(time) {
+  if (!currentAction || !mixer) return;
+
+  const duration = getClipDuration();
+  if (params.loopMode === "once") {
+    time = THREE.MathUtils.clamp(time, 0, duration);
+  } else {
+    time = THREE.MathUtils.euclideanModulo(time, duration);
+  }
+
+  // A finished "once" clip is disabled - bring it back to show the pose
+  currentAction.enabled = true;
+  currentAction.time = time;
+  mixer.update(0);
+}
+
+/**
+ * Step the playhead by one frame
+ *
+ * @param {number} direction - 1 forward, -1 back
+ */
+export function stepFrame(direction) {
+  params.isPlaying = false;
+  setClipTime(getClipTime() + direction * CONFIG.defaults.frameStep);
+}
@@ -3,7 +3,8 @@
  */
 
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { camera, renderer, setControls } from "../state.js";
+import { camera } from "../state.js";
+import { renderer, setControls } from "../renderState.js";
 
 /**
  * Initialize OrbitControls for camera interaction
@@ -7,7 +7,8 @@
  */
 
 import * as THREE from "three";
-import { scene, camera, renderer, instancedMesh, fbxModel } from "../state.js";
+import { scene, camera, instancedMesh, fbxModel } from "../state.js";
+import { renderer } from "../renderState.js";
 import { params } from "../config.js";
 
 // ═══════════════════════════════════════════════════════════════
@@ -36,6 +37,7 @@ let rubixEdges = null;
 let autoRotate = true;
 let rotationSpeed = { x: 0, y: 0 };
 let isDragging = false;
+let isInteractionReady = false;
 let previousMouse = { x: 0, y: 0 };
 
 // Animation
@@ -152,12 +154,38 @@ export function initHolographicCube(options = {}) {
   // Add to scene (but invisible until incubated)
   scene.add(cubeGroup);
 
-  // Setup mouse/touch interaction
-  setupInteraction();
+  // Setup mouse/touch interaction (once - listeners outlive rebuilds)
+  if (!isInteractionReady) {
+    setupInteraction();
+    isInteractionReady = true;
+  }
 
   console.log("🔮 Holographic cube initialized, size:", size);
 }
 
+/**
+ * Rebuild the cube at the current model's bounds (after a model swap)
+ * Keeps the incubation state and mode
+ */
+export function rebuildHolographicCube() {
+  const wasIncubated = isIncubated;
+  if (wasIncubated) release();
+
+  if (cubeGroup) {
+    scene.remove(cubeGroup);
+    cubeGroup.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    cubeGroup = null;
+  }
+
+  initHolographicCube();
+  setIncubationMode(incubationMode);
+
+  if (wasIncubated) incubate();
+}
+
 /**
  * Create Rubix-style panels on each face of the cube
  */
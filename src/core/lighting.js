@@ -5,6 +5,9 @@
 import * as THREE from "three";
 import { scene } from "../state.js";
 
+// Lights added here - also read by the luminance ramp (ascii/luminance.js)
+const lights = [];
+
 /**
  * Initialize lighting for depth perception
  */
@@ -22,4 +25,13 @@ export function initLighting() {
   const fillLight = new THREE.DirectionalLight(0x00ffff, 0.3);
   fillLight.position.set(-50, -50, -50);
   scene.add(fillLight);
+
+  lights.push(ambientLight, directionalLight, fillLight);
+}
+
+/**
+ * Lights shading the scene
+ */
+export function getSceneLights() {
+  return lights;
 }
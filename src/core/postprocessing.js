@@ -7,7 +7,8 @@ import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
 import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
 import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
 import { params } from "../config.js";
-import { scene, camera, renderer, setComposer } from "../state.js";
+import { scene, camera } from "../state.js";
+import { renderer, setComposer } from "../renderState.js";
 
 /**
  * Initialize post-processing pipeline with bloom effect
@@ -4,7 +4,8 @@
 
 import * as THREE from "three";
 import { CONFIG } from "../config.js";
-import { setScene, setCamera, setRenderer } from "../state.js";
+import { setScene, setCamera } from "../state.js";
+import { setRenderer } from "../renderState.js";
 
 /**
  * Initialize the Three.js scene
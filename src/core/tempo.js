@@ -0,0 +1,127 @@
+/**
+ * Tempo clock - a beat grid laid over the effect clock
+ *
+ * Beats count from an anchor on effectTime, so everything reading them -
+ * tempo-locked effects, beat-synced chaos events, the metronome - pauses,
+ * seeks and exports exactly like the effects do. A BPM change re-anchors
+ * where it happens, so the beat count never jumps; tapping re-anchors onto
+ * the taps.
+ */
+
+import { params } from "../config.js";
+import { effectTime } from "../state.js";
+
+// Note divisions an effect's oscillation can lock to ("off" keeps its speed)
+export const NOTE_DIVISIONS = [
+  "off",
+  "1/16",
+  "1/8",
+  "1/4",
+  "1/2",
+  "bar",
+  "2 bars",
+];
+
+const MIN_BPM = 30;
+const MAX_BPM = 300;
+
+// Taps further apart than this (seconds) start a new count
+const TAP_TIMEOUT = 2;
+
+// Intervals averaged into the tapped tempo
+const TAP_HISTORY = 8;
+
+let bpm = params.bpm; // Tempo since the anchor
+let anchorTime = 0; // Effect time...
+let anchorBeat = 0; // ...and the beat count there
+let taps = []; // Wall-clock seconds of the current tap count
+
+/**
+ * Beats per minute
+ */
+export function getTempo() {
+  return bpm;
+}
+
+/**
+ * Seconds per beat
+ */
+export function getBeatLength() {
+  return 60 / bpm;
+}
+
+/**
+ * Beats since the grid's origin at an effect time - the fraction is the
+ * phase within the beat
+ */
+export function getBeatAt(time = effectTime) {
+  return anchorBeat + ((time - anchorTime) * bpm) / 60;
+}
+
+/**
+ * Length of a note division in beats (0 for "off")
+ */
+export function getDivisionBeats(division) {
+  switch (division) {
+    case "1/16":
+      return 0.25;
+    case "1/8":
+      return 0.5;
+    case "1/4":
+      return 1;
+    case "1/2":
+      return 2;
+    case "bar":
+      return params.beatsPerBar;
+    case "2 bars":
+      return params.beatsPerBar * 2;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Change the tempo from an effect time on, keeping the beat count there
+ *
+ * @param {number} value - Beats per minute (clamped to 30-300)
+ * @param {number} [time] - Effect time the change happens at
+ */
+export function setTempo(value, time = effectTime) {
+  anchorBeat = getBeatAt(time);
+  anchorTime = time;
+  bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, value));
+  params.bpm = bpm;
+}
+
+/**
+ * Put the grid at a beat count at an effect time - e.g. where a replayed
+ * run started
+ */
+export function setBeatAt(beat, time = effectTime) {
+  anchorBeat = beat;
+  anchorTime = time;
+}
+
+/**
+ * Tap tempo - the first tap of a count lands on a downbeat, later ones on
+ * the nearest beat, at the average tempo of the taps so far
+ *
+ * @param {number} [now] - Wall-clock seconds of the tap
+ * @returns {?number} The tapped BPM, null on the first tap
+ */
+export function tapTempo(now = performance.now() / 1000) {
+  if (taps.length > 0 && now - taps[taps.length - 1] > TAP_TIMEOUT) taps = [];
+  taps.push(now);
+  if (taps.length > TAP_HISTORY + 1) taps.shift();
+
+  if (taps.length === 1) {
+    const bar = params.beatsPerBar;
+    setBeatAt(Math.round(getBeatAt() / bar) * bar);
+    return null;
+  }
+
+  const interval = (now - taps[0]) / (taps.length - 1);
+  setTempo(Math.round(600 / interval) / 10);
+  setBeatAt(Math.round(getBeatAt()));
+  return bpm;
+}
@@ -0,0 +1,43 @@
+/**
+ * Chaos recording files - save a chaos mix run as JSON, or pick one to load
+ */
+
+import { parseChaosRecording } from "../ascii/chaosRecorder.js";
+import { downloadBlob } from "../utils/download.js";
+import { openFilePicker } from "../utils/filePicker.js";
+
+/**
+ * Download a recording as pretty-printed JSON
+ */
+export function exportChaosRecording(recording) {
+  const name = `${recording.seed}-${recording.profile}`.replace(
+    /[^\w-]+/g,
+    "_"
+  );
+
+  downloadBlob(
+    new Blob([JSON.stringify(recording, null, 2)], {
+      type: "application/json",
+    }),
+    `nucat-chaos-${name}.json`
+  );
+  console.log(
+    `🌀 Exported chaos recording (${recording.events.length} events, ${recording.duration.toFixed(1)}s)`
+  );
+}
+
+/**
+ * Open a file picker for a recording
+ *
+ * @param {Function} onLoad - Receives the parsed recording
+ */
+export function openChaosRecordingPicker(onLoad) {
+  openFilePicker(".json,application/json", async (file) => {
+    try {
+      onLoad(parseChaosRecording(await file.text()));
+    } catch (error) {
+      console.error("Chaos recording not loaded:", error);
+      window.alert(`Can't load ${file.name} - ${error.message}`);
+    }
+  });
+}
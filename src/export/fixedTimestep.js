@@ -0,0 +1,98 @@
+/**
+ * Fixed-timestep playback shared by the exporters
+ *
+ * While running, the realtime loop stands still and the simulation only
+ * advances here, 1/fps at a time - so every export is frame-exact.
+ */
+
+import { params } from "../config.js";
+import { setEffectTime } from "../state.js";
+import { stepSimulation } from "../simulation.js";
+import { setClipTime } from "../core/animationClips.js";
+import {
+  startAudioStepping,
+  stopAudioStepping,
+} from "../audio/audioReactive.js";
+
+let exporting = false;
+let cancelRequested = false;
+
+/**
+ * Whether an export is driving the simulation
+ */
+export function isExporting() {
+  return exporting;
+}
+
+/**
+ * Stop the running export after the current frame
+ */
+export function cancelExport() {
+  cancelRequested = true;
+}
+
+/**
+ * Wait for the given number of milliseconds - holds a frame on screen for
+ * its duration when an export plays in realtime
+ */
+export function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Step the simulation from start to end and hand every frame to onFrame
+ *
+ * @param {Object} options
+ * @param {number} options.fps - Frames per second (fixed timestep 1/fps)
+ * @param {number} options.start - Start time in seconds (clip playhead)
+ * @param {number} options.end - End time in seconds
+ * @param {Function} options.onFrame - Called with (frame, step) once the
+ *   scene is posed; may return a Promise
+ * @param {Function} [options.onProgress] - Called with (frame, totalFrames)
+ * @returns {Promise<boolean>} false if cancelled
+ */
+export async function runFixedTimestep({
+  fps,
+  start,
+  end,
+  onFrame,
+  onProgress,
+}) {
+  if (exporting) throw new Error("An export is already running");
+  if (end <= start) throw new Error("Export end must be after start");
+
+  exporting = true;
+  cancelRequested = false;
+
+  const wasPlaying = params.isPlaying;
+  const step = 1 / fps;
+  const totalFrames = Math.ceil((end - start) * fps);
+
+  // Start from a known point on the timeline - audio-reactive mappings
+  // read the audio from start too
+  params.isPlaying = true;
+  setClipTime(start);
+  setEffectTime(start);
+  startAudioStepping(start);
+
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      if (cancelRequested) {
+        console.log("⏹ Export cancelled");
+        return false;
+      }
+
+      // Pose for this frame
+      stepSimulation(frame === 0 ? 0 : step);
+      await onFrame(frame, step);
+
+      if (onProgress) onProgress(frame + 1, totalFrames);
+    }
+
+    return true;
+  } finally {
+    params.isPlaying = wasPlaying;
+    stopAudioStepping();
+    exporting = false;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Frame export - deterministic PNG sequence (zipped) or WebM video
+ *
+ * Steps the simulation on a fixed timestep instead of the
+ * requestAnimationFrame clock, so no frame is ever dropped. Each frame is
+ * rendered through the composer (bloom included) at the chosen resolution.
+ */
+
+import { zipSync } from "three/addons/libs/fflate.module.js";
+import { camera } from "../state.js";
+import { renderer, composer } from "../renderState.js";
+import { runFixedTimestep, wait } from "./fixedTimestep.js";
+import { downloadBlob } from "../utils/download.js";
+import { onWindowResize } from "../utils/resize.js";
+
+export const EXPORT_FORMATS = ["png", "webm"];
+
+/**
+ * Canvas contents as PNG bytes
+ */
+function capturePNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Could not capture frame"));
+        return;
+      }
+      blob
+        .arrayBuffer()
+        .then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, "image/png");
+  });
+}
+
+/**
+ * Export frames from start to end
+ *
+ * @param {Object} options - Also fps, start, end and onProgress, passed on
+ *   to runFixedTimestep() (see fixedTimestep.js)
+ * @param {string} options.format - "png" (zipped sequence) or "webm"
+ * @param {number} options.width - Output width in pixels
+ * @param {number} options.height - Output height in pixels
+ * @returns {Promise<boolean>} false if cancelled
+ */
+export async function exportFrames({
+  format,
+  fps,
+  start,
+  end,
+  width,
+  height,
+  onProgress,
+}) {
+  if (
+    format === "webm" &&
+    (typeof MediaRecorder === "undefined" ||
+      !MediaRecorder.isTypeSupported("video/webm"))
+  ) {
+    throw new Error("This browser can't record WebM - export PNG instead");
+  }
+
+  const canvas = renderer.domElement;
+  const pixelRatio = renderer.getPixelRatio();
+
+  let recorder = null;
+  let track = null;
+  const chunks = [];
+  const frames = {};
+  let frameCount = 0;
+
+  try {
+    // Render at the export resolution (CSS size stays as is)
+    renderer.setPixelRatio(1);
+    composer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    composer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    if (format === "webm") {
+      // Frames are pushed by hand - captureStream(0) never grabs on its own
+      const stream = canvas.captureStream(0);
+      track = stream.getVideoTracks()[0];
+      recorder = new MediaRecorder(stream, {
+        mimeType: "video/webm",
+        videoBitsPerSecond: width * height * fps * 0.2,
+      });
+      recorder.ondataavailable = (e) => chunks.push(e.data);
+      recorder.start();
+    }
+
+    const completed = await runFixedTimestep({
+      fps,
+      start,
+      end,
+      onProgress,
+      onFrame: async (frame, step) => {
+        composer.render(step);
+        frameCount++;
+
+        if (format === "webm") {
+          track.requestFrame();
+          // MediaRecorder timestamps in wall time - hold each frame for its
+          // duration so the video plays at the chosen fps
+          await wait(step * 1000);
+        } else {
+          const name = `frame_${String(frame).padStart(5, "0")}.png`;
+          frames[name] = await capturePNG(canvas);
+        }
+      },
+    });
+
+    if (!completed) return false;
+
+    if (format === "webm") {
+      const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+      recorder.stop();
+      await stopped;
+      downloadBlob(new Blob(chunks, { type: "video/webm" }), "nucat.webm");
+    } else {
+      // PNGs are already compressed - store them as is
+      const zip = zipSync(frames, { level: 0 });
+      downloadBlob(new Blob([zip], { type: "application/zip" }), "nucat.zip");
+    }
+
+    console.log(`⏺ Exported ${frameCount} frames (${format}, ${fps} fps)`);
+    return true;
+  } finally {
+    // Cancelled or failed mid-recording
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    renderer.setPixelRatio(pixelRatio);
+    composer.setPixelRatio(pixelRatio);
+    onWindowResize();
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Point cloud export - particle positions for Blender, Houdini and
+ * TouchDesigner
+ *
+ * Positions are the final ones (skinning and effects applied), in world
+ * space. PLY carries per-point color and sample type, XYZ is bare
+ * coordinates. A frame range becomes a zip of per-frame files, or a single
+ * glTF POINTS primitive with one morph target per frame.
+ */
+
+import * as THREE from "three";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+import { zipSync, strToU8 } from "three/addons/libs/fflate.module.js";
+import { params } from "../config.js";
+import { instancedMesh, sampledVertexIndices } from "../state.js";
+import { getParticlePositions } from "../ascii/instancedMesh.js";
+import { SAMPLE_TYPES } from "../ascii/sampling.js";
+import { runFixedTimestep } from "./fixedTimestep.js";
+import { downloadBlob } from "../utils/download.js";
+
+export const POINT_FORMATS = ["ply", "xyz", "gltf"];
+
+// Reused per frame
+const _position = new THREE.Vector3();
+const _color = new THREE.Color();
+
+/**
+ * Snapshot of the current frame
+ *
+ * @returns {{positions: Float32Array, colors: Float32Array,
+ *   sampleTypes: Uint8Array}} World positions, linear RGB colors and
+ *   indices into SAMPLE_TYPES
+ */
+export function capturePointFrame() {
+  const count = instancedMesh ? instancedMesh.count : 0;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const sampleTypes = new Uint8Array(count);
+  if (count === 0) return { positions, colors, sampleTypes };
+
+  const particles = getParticlePositions();
+  instancedMesh.updateMatrixWorld();
+
+  for (let i = 0; i < count; i++) {
+    _position
+      .fromArray(particles, i * 3)
+      .applyMatrix4(instancedMesh.matrixWorld)
+      .toArray(positions, i * 3);
+
+    if (instancedMesh.instanceColor) {
+      instancedMesh.getColorAt(i, _color);
+    } else {
+      _color.set(params.color);
+    }
+    _color.toArray(colors, i * 3);
+
+    sampleTypes[i] = Math.max(
+      0,
+      SAMPLE_TYPES.indexOf(sampledVertexIndices[i]?.type)
+    );
+  }
+
+  return { positions, colors, sampleTypes };
+}
+
+/**
+ * Binary little-endian PLY with color and sample type per point
+ */
+export function encodePLY({ positions, colors, sampleTypes }) {
+  const count = sampleTypes.length;
+  const header = [
+    "ply",
+    "format binary_little_endian 1.0",
+    "comment NUCAT point cloud",
+    `comment sample_type ${SAMPLE_TYPES.map((t, i) => `${i}=${t}`).join(" ")}`,
+    `element vertex ${count}`,
+    "property float x",
+    "property float y",
+    "property float z",
+    "property uchar red",
+    "property uchar green",
+    "property uchar blue",
+    "property uchar sample_type",
+    "end_header",
+    "",
+  ].join("\n");
+
+  const head = strToU8(header);
+  const stride = 3 * 4 + 4;
+  const bytes = new Uint8Array(head.length + count * stride);
+  bytes.set(head);
+  const view = new DataView(bytes.buffer, head.length);
+
+  for (let i = 0; i < count; i++) {
+    const offset = i * stride;
+    view.setFloat32(offset, positions[i * 3], true);
+    view.setFloat32(offset + 4, positions[i * 3 + 1], true);
+    view.setFloat32(offset + 8, positions[i * 3 + 2], true);
+
+    // PLY viewers expect sRGB bytes
+    _color.fromArray(colors, i * 3).convertLinearToSRGB();
+    view.setUint8(offset + 12, Math.round(_color.r * 255));
+    view.setUint8(offset + 13, Math.round(_color.g * 255));
+    view.setUint8(offset + 14, Math.round(_color.b * 255));
+    view.setUint8(offset + 15, sampleTypes[i]);
+  }
+
+  return bytes;
+}
+
+/**
+ * XYZ text - one "x y z" line per point
+ */
+export function encodeXYZ({ positions }) {
+  const lines = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(
+      `${positions[i].toFixed(4)} ${positions[i + 1].toFixed(4)} ${positions[i + 2].toFixed(4)}`
+    );
+  }
+  return strToU8(lines.join("\n") + "\n");
+}
+
+/**
+ * THREE.Points for the glTF exporter - frames after the first become
+ * relative morph targets, stepped through by a weights animation
+ */
+export function createPointsObject(frames, fps) {
+  const [first] = frames;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(first.positions, 3)
+  );
+  geometry.setAttribute("color", new THREE.BufferAttribute(first.colors, 3));
+  geometry.setAttribute(
+    "sample_type",
+    new THREE.BufferAttribute(first.sampleTypes, 1)
+  );
+
+  const points = new THREE.Points(geometry, new THREE.PointsMaterial());
+  points.name = "nucat";
+  if (frames.length < 2) return points;
+
+  geometry.morphTargetsRelative = true;
+  geometry.morphAttributes.position = frames.slice(1).map((frame) => {
+    const delta = new Float32Array(frame.positions.length);
+    for (let i = 0; i < delta.length; i++) {
+      delta[i] = frame.positions[i] - first.positions[i];
+    }
+    return new THREE.BufferAttribute(delta, 3);
+  });
+  points.updateMorphTargets();
+
+  // One-hot weights per frame, held until the next (step interpolation)
+  const targets = frames.length - 1;
+  const times = frames.map((_, frame) => frame / fps);
+  const values = new Float32Array(frames.length * targets);
+  for (let frame = 1; frame < frames.length; frame++) {
+    values[frame * targets + frame - 1] = 1;
+  }
+
+  const track = new THREE.NumberKeyframeTrack(
+    `${points.name}.morphTargetInfluences`,
+    times,
+    values,
+    THREE.InterpolateDiscrete
+  );
+  points.animations = [new THREE.AnimationClip("nucat", -1, [track])];
+
+  return points;
+}
+
+/**
+ * Binary glTF (.glb) of the given frames
+ */
+function encodeGLTF(frames, fps) {
+  const points = createPointsObject(frames, fps);
+
+  return new GLTFExporter()
+    .parseAsync(points, { binary: true, animations: points.animations })
+    .then((glb) => new Uint8Array(glb))
+    .finally(() => {
+      points.geometry.dispose();
+      points.material.dispose();
+    });
+}
+
+/**
+ * Encode one frame in a per-frame format
+ */
+function encodeFrame(frame, format) {
+  return format === "ply" ? encodePLY(frame) : encodeXYZ(frame);
+}
+
+/**
+ * Download the current frame
+ */
+export async function exportPointFrame(format) {
+  const frame = capturePointFrame();
+  const bytes =
+    format === "gltf"
+      ? await encodeGLTF([frame], 1)
+      : encodeFrame(frame, format);
+  const extension = format === "gltf" ? "glb" : format;
+
+  downloadBlob(
+    new Blob([bytes], { type: "application/octet-stream" }),
+    `nucat.${extension}`
+  );
+  console.log(`☁️ Exported ${frame.sampleTypes.length} points (${format})`);
+}
+
+/**
+ * Export a frame range on a fixed timestep - zipped per-frame files for
+ * PLY/XYZ, one animated .glb for glTF
+ *
+ * @param {Object} options - Also fps, start, end and onProgress, passed on
+ *   to runFixedTimestep() (see fixedTimestep.js)
+ * @param {string} options.format - "ply", "xyz" or "gltf"
+ * @returns {Promise<boolean>} false if cancelled
+ */
+export async function exportPointSequence({
+  format,
+  fps,
+  start,
+  end,
+  onProgress,
+}) {
+  const frames = [];
+  const files = {};
+
+  const completed = await runFixedTimestep({
+    fps,
+    start,
+    end,
+    onProgress,
+    onFrame: (frame) => {
+      const captured = capturePointFrame();
+
+      if (format === "gltf") {
+        frames.push(captured);
+      } else {
+        const name = `frame_${String(frame).padStart(5, "0")}.${format}`;
+        files[name] = encodeFrame(captured, format);
+      }
+    },
+  });
+
+  if (!completed) return false;
+
+  if (format === "gltf") {
+    const glb = await encodeGLTF(frames, fps);
+    downloadBlob(
+      new Blob([glb], { type: "model/gltf-binary" }),
+      "nucat-points.glb"
+    );
+  } else {
+    const zip = zipSync(files);
+    downloadBlob(
+      new Blob([zip], { type: "application/zip" }),
+      "nucat-points.zip"
+    );
+  }
+
+  console.log(
+    `☁️ Exported ${frames.length || Object.keys(files).length} point frames (${format}, ${fps} fps)`
+  );
+  return true;
+}
@@ -0,0 +1,187 @@
+/**
+ * Terminal text export - the point cloud as a real character grid
+ *
+ * Every instance is projected through the camera into a cols x rows grid.
+ * When several land in one cell the nearest wins, and the cell shows that
+ * instance's own glyph - plain text, or ANSI 24-bit color escapes.
+ */
+
+import * as THREE from "three";
+import { zipSync, strToU8 } from "three/addons/libs/fflate.module.js";
+import { CONFIG, params } from "../config.js";
+import { camera, instancedMesh } from "../state.js";
+import { getParticlePositions } from "../ascii/instancedMesh.js";
+import { getInstanceGlyph } from "../ascii/glyphs.js";
+import { runFixedTimestep } from "./fixedTimestep.js";
+import { downloadBlob } from "../utils/download.js";
+
+export const TEXT_FORMATS = ["plain", "ansi"];
+
+const ANSI_RESET = "\x1b[0m";
+
+// Reused per frame
+const _position = new THREE.Vector3();
+const _color = new THREE.Color();
+
+/**
+ * Rows that keep the camera's aspect for a given column count
+ */
+export function getTextRows(cols) {
+  const { rows, cellAspect } = CONFIG.textExport;
+  if (rows > 0) return rows;
+  return Math.max(1, Math.round((cols / camera.aspect) * cellAspect));
+}
+
+/**
+ * 24-bit foreground color escape for an instance
+ */
+function ansiColor(instanceIndex) {
+  if (instancedMesh.instanceColor) {
+    instancedMesh.getColorAt(instanceIndex, _color);
+  } else {
+    _color.set(params.color);
+  }
+
+  // Colors are stored linear - terminals expect sRGB
+  _color.convertLinearToSRGB();
+  const [r, g, b] = [_color.r, _color.g, _color.b].map((c) =>
+    Math.round(THREE.MathUtils.clamp(c, 0, 1) * 255)
+  );
+  return `\x1b[38;2;${r};${g};${b}m`;
+}
+
+/**
+ * Render the current frame as text
+ *
+ * @param {Object} [options]
+ * @param {string} [options.format] - "plain" or "ansi"
+ * @param {number} [options.cols] - Grid width in characters
+ * @param {number} [options.rows] - Grid height (defaults to the camera aspect)
+ * @returns {string} Lines joined by "\n"
+ */
+export function renderTextFrame({
+  format = CONFIG.textExport.format,
+  cols = CONFIG.textExport.columns,
+  rows = getTextRows(cols),
+} = {}) {
+  const depth = new Float32Array(cols * rows).fill(Infinity);
+  const owner = new Int32Array(cols * rows).fill(-1);
+
+  if (instancedMesh) {
+    const positions = getParticlePositions();
+    instancedMesh.updateMatrixWorld();
+    camera.updateMatrixWorld();
+
+    for (let i = 0; i < instancedMesh.count; i++) {
+      _position
+        .fromArray(positions, i * 3)
+        .applyMatrix4(instancedMesh.matrixWorld)
+        .project(camera);
+
+      // Outside the view frustum
+      if (Math.abs(_position.x) > 1 || Math.abs(_position.y) > 1) continue;
+      if (Math.abs(_position.z) > 1) continue;
+
+      const x = Math.min(cols - 1, Math.floor(((_position.x + 1) / 2) * cols));
+      const y = Math.min(rows - 1, Math.floor(((1 - _position.y) / 2) * rows));
+      const cell = y * cols + x;
+
+      // Nearest instance owns the cell (NDC depth grows away from camera)
+      if (_position.z < depth[cell] && getInstanceGlyph(i).trim()) {
+        depth[cell] = _position.z;
+        owner[cell] = i;
+      }
+    }
+  }
+
+  const lines = [];
+  for (let y = 0; y < rows; y++) {
+    let line = "";
+    let lastColor = null;
+
+    for (let x = 0; x < cols; x++) {
+      const i = owner[y * cols + x];
+      if (i < 0) {
+        line += " ";
+        continue;
+      }
+
+      if (format === "ansi") {
+        const color = ansiColor(i);
+        if (color !== lastColor) line += color;
+        lastColor = color;
+      }
+      line += getInstanceGlyph(i);
+    }
+
+    if (lastColor) line += ANSI_RESET;
+    lines.push(format === "ansi" ? line : line.trimEnd());
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * File extension for a text format
+ */
+function textExtension(format) {
+  return format === "ansi" ? "ans" : "txt";
+}
+
+/**
+ * Download the current frame as a text file
+ */
+export function exportTextFrame(options = {}) {
+  const format = options.format ?? CONFIG.textExport.format;
+  const text = renderTextFrame({ ...options, format });
+
+  downloadBlob(
+    new Blob([text + "\n"], { type: "text/plain" }),
+    `nucat.${textExtension(format)}`
+  );
+  console.log(`🔤 Exported text frame (${format})`);
+}
+
+/**
+ * Export an animated text sequence on a fixed timestep, one file per frame
+ * zipped together
+ *
+ * @param {Object} options - Also fps, start, end and onProgress, passed on
+ *   to runFixedTimestep() (see fixedTimestep.js)
+ * @param {string} [options.format] - "plain" or "ansi"
+ * @param {number} [options.cols] - Grid width in characters
+ * @param {number} [options.rows] - Grid height
+ * @returns {Promise<boolean>} false if cancelled
+ */
+export async function exportTextSequence({
+  fps,
+  start,
+  end,
+  format = CONFIG.textExport.format,
+  cols = CONFIG.textExport.columns,
+  rows = getTextRows(cols),
+  onProgress,
+}) {
+  const extension = textExtension(format);
+  const files = {};
+
+  const completed = await runFixedTimestep({
+    fps,
+    start,
+    end,
+    onProgress,
+    onFrame: (frame) => {
+      const name = `frame_${String(frame).padStart(5, "0")}.${extension}`;
+      files[name] = strToU8(renderTextFrame({ format, cols, rows }) + "\n");
+    },
+  });
+
+  if (!completed) return false;
+
+  const zip = zipSync(files);
+  downloadBlob(new Blob([zip], { type: "application/zip" }), "nucat-text.zip");
+  console.log(
+    `🔤 Exported ${Object.keys(files).length} text frames (${format}, ${fps} fps)`
+  );
+  return true;
+}
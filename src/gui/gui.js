@@ -4,10 +4,18 @@
 
 import GUI from "three/addons/libs/lil-gui.module.min.js";
 import { CONFIG, params } from "../config.js";
+import { skinCache } from "../state.js";
+import { controls } from "../renderState.js";
 import {
   onCharacterChange,
+  onGlyphAssignmentChange,
   onSamplingChange,
+  onViewChange,
+  onSeedChange,
+  onTexturesLoad,
+  onSkinningModeChange,
   onColorChange,
+  onColorModeChange,
   onGlowChange,
   onBloomChange,
   onBackgroundChange,
@@ -18,7 +26,37 @@ import {
   startChaosMix,
   stopChaosMix,
   isChaosMixRunning,
+  isChaosReplaying,
+  getChaosTime,
+  getChaosRecording,
 } from "../ascii/chaosMix.js";
+import { seekChaosReplay, getChaosShareLink } from "../ascii/chaosReplay.js";
+import {
+  CHAOS_EVENT_TIMINGS,
+  CHAOS_EFFECT_PICKS,
+  getChaosProfileNames,
+  isCustomChaosProfile,
+  applyChaosProfile,
+  saveChaosProfile,
+  deleteChaosProfile,
+} from "../ascii/chaosProfiles.js";
+import { GLYPH_ASSIGNMENTS } from "../ascii/glyphs.js";
+import { LUMINANCE_SOURCES } from "../ascii/luminance.js";
+import { COLOR_MODES } from "../ascii/colors.js";
+import { BODY_REGIONS } from "../ascii/bodyRegions.js";
+import {
+  SAMPLE_TYPES,
+  SAMPLERS,
+  FILL_MODES,
+  getBoneNames,
+  setOnBonesChange,
+} from "../ascii/sampling.js";
+import { TEXTURE_DENSITY_MODES, setOnTexturesLoad } from "../ascii/textures.js";
+import {
+  getEffects,
+  getEffect,
+  setEffectActive,
+} from "../ascii/effects/index.js";
 import {
   toggleIncubation,
   isModelIncubated,
@@ -27,6 +65,53 @@ import {
   getIncubationMode,
   setOnModeChange,
 } from "../core/holographicCube.js";
+import { openModelPicker } from "../utils/modelDrop.js";
+import { randomSeed } from "../utils/random.js";
+import { openFilePicker } from "../utils/filePicker.js";
+import { AUDIO_SOURCES } from "../audio/audioAnalysis.js";
+import {
+  AUDIO_TARGETS,
+  loadAudioFile,
+  hasAudio,
+  isAudioPlaying,
+  playAudio,
+  pauseAudio,
+  seekAudio,
+  getAudioTime,
+  getAudioDuration,
+  setAudioVolume,
+  setOnAudioChange,
+} from "../audio/audioReactive.js";
+import { NOTE_DIVISIONS, setTempo, tapTempo } from "../core/tempo.js";
+import { EXPORT_FORMATS, exportFrames } from "../export/frameExport.js";
+import { cancelExport, isExporting } from "../export/fixedTimestep.js";
+import {
+  exportChaosRecording,
+  openChaosRecordingPicker,
+} from "../export/chaosExport.js";
+import {
+  TEXT_FORMATS,
+  renderTextFrame,
+  exportTextFrame,
+  exportTextSequence,
+} from "../export/textExport.js";
+import {
+  POINT_FORMATS,
+  exportPointFrame,
+  exportPointSequence,
+} from "../export/pointCloudExport.js";
+import {
+  LOOP_MODES,
+  getClipNames,
+  playClip,
+  setLoopMode,
+  setOnClipsChange,
+  setOnClipPlay,
+  getClipDuration,
+  getClipTime,
+  setClipTime,
+  stepFrame,
+} from "../core/animationClips.js";
 
 /**
  * Initialize lil-gui controls
@@ -41,6 +126,12 @@ export function initGUI() {
   // Character settings folder
   const charFolder = gui.addFolder("CHARACTER");
 
+  // FBX, GLB or glTF - dropping a file onto the page works too
+  // Animation-only FBX files are added to the clip list
+  charFolder
+    .add({ load: openModelPicker }, "load")
+    .name("📂 Load Model / Animation");
+
   // Character selection dropdown
   const charOptions = Object.keys(CONFIG.characterSets);
   const charSelection = { selected: "Block Full" };
@@ -53,11 +144,151 @@ export function initGUI() {
       onCharacterChange();
     });
 
+  // Glyph set - several characters in one draw call
+  charFolder
+    .add(params, "glyphMode", ["single", "set"])
+    .name("Glyph Mode")
+    .onChange(onCharacterChange);
+
+  charFolder
+    .add(params, "glyphSet")
+    .name("Glyph Set")
+    .onFinishChange(onCharacterChange);
+
+  charFolder
+    .add(params, "glyphAssignment", GLYPH_ASSIGNMENTS)
+    .name("Glyph By")
+    .onChange(onGlyphAssignmentChange);
+
+  // With "luminance", the glyph set is a density ramp (darkest first)
   charFolder
+    .add(params, "luminanceSource", LUMINANCE_SOURCES)
+    .name("Luminance From");
+
+  // Sampler - legacy stride, the same refined by features, or a blue-noise
+  // point budget
+  charFolder
+    .add(params, "sampler", SAMPLERS)
+    .name("Sampler")
+    .onChange(() => {
+      showSamplerControls();
+      onSamplingChange();
+    });
+
+  const densityController = charFolder
     .add(params, "samplingDensity", 1, 10, 1)
     .name("Sample Density")
     .onChange(onSamplingChange);
 
+  const budgetController = charFolder
+    .add(params, "pointBudget", 1000, CONFIG.defaults.maxCharacters, 500)
+    .name("Point Budget")
+    .onFinishChange(onSamplingChange);
+
+  // Feature sampler - area vs. features, and silhouettes from the camera
+  const featureBlendController = charFolder
+    .add(params, "featureBlend", 0, 1, 0.05)
+    .name("Feature Blend")
+    .onFinishChange(onSamplingChange);
+
+  const silhouetteController = charFolder
+    .add(params, "silhouetteBoost", 0, 4, 0.1)
+    .name("Silhouette Boost")
+    .onFinishChange(onSamplingChange);
+  controls.addEventListener("end", onViewChange);
+
+  function showSamplerControls() {
+    const blueNoise = params.sampler === "blueNoise";
+    const feature = params.sampler === "feature";
+    densityController.show(!blueNoise);
+    budgetController.show(blueNoise);
+    featureBlendController.show(feature);
+    silhouetteController.show(feature);
+  }
+  showSamplerControls();
+
+  // Volume fill - points inside the body, instead of or as well as the shell
+  charFolder
+    .add(params, "fillMode", FILL_MODES)
+    .name("Fill")
+    .onChange(() => {
+      volumeDensityController.show(params.fillMode !== "shell");
+      onSamplingChange();
+    });
+
+  const volumeDensityController = charFolder
+    .add(params, "volumeDensity", 10, 2000, 10)
+    .name("Volume Density")
+    .onFinishChange(onSamplingChange);
+  volumeDensityController.show(params.fillMode !== "shell");
+
+  // Texture density - more points where the model's map is bright or opaque
+  charFolder
+    .add(params, "textureDensity", TEXTURE_DENSITY_MODES)
+    .name("Texture Density")
+    .onChange(() => {
+      textureBiasController.show(params.textureDensity !== "off");
+      onSamplingChange();
+    });
+
+  const textureBiasController = charFolder
+    .add(params, "textureBias", 0, 1, 0.05)
+    .name("Texture Bias")
+    .onFinishChange(onSamplingChange);
+  textureBiasController.show(params.textureDensity !== "off");
+  setOnTexturesLoad(onTexturesLoad);
+
+  // Bone fill - points along bones picked by pattern or by name
+  const boneFillFolder = charFolder.addFolder("Bone Fill");
+  const boneFillPatterns = {
+    get patterns() {
+      return params.boneFill.patterns.join(", ");
+    },
+    set patterns(value) {
+      params.boneFill.patterns = value
+        .split(",")
+        .map((p) => p.trim())
+        .filter(Boolean);
+    },
+  };
+
+  boneFillFolder
+    .add(boneFillPatterns, "patterns")
+    .name("Patterns")
+    .onFinishChange(onSamplingChange);
+  boneFillFolder
+    .add(params.boneFill, "pointsPerUnit", 0.1, 10, 0.1)
+    .name("Points / Unit")
+    .onFinishChange(onSamplingChange);
+  boneFillFolder
+    .add(params.boneFill, "jitter", 0, 20, 0.5)
+    .name("Radial Jitter")
+    .onFinishChange(onSamplingChange);
+
+  const bonePickerFolder = boneFillFolder.addFolder("Bones");
+
+  // One checkbox per bone, rebuilt when the skeleton changes
+  function showBonePicker(names) {
+    [...bonePickerFolder.controllers].forEach((c) => c.destroy());
+
+    const picker = {};
+    names.forEach((name) => {
+      Object.defineProperty(picker, name, {
+        get: () => params.boneFill.bones.includes(name),
+        set: (picked) => {
+          const bones = params.boneFill.bones.filter((b) => b !== name);
+          params.boneFill.bones = picked ? [...bones, name] : bones;
+        },
+      });
+      bonePickerFolder.add(picker, name).onChange(onSamplingChange);
+    });
+  }
+
+  showBonePicker(getBoneNames());
+  setOnBonesChange(showBonePicker);
+  bonePickerFolder.close();
+  boneFillFolder.close();
+
   charFolder
     .add(params, "characterSize", 0.1, 50.0, 0.5)
     .name("Char Size")
@@ -95,32 +326,149 @@ export function initGUI() {
     });
   });
 
+  // Per-instance color modes with their gradient stops
+  colorFolder
+    .add(params, "colorMode", COLOR_MODES)
+    .name("Color Mode")
+    .onChange(() => {
+      onColorModeChange();
+      showGradientStops();
+    });
+
+  const gradientFolder = colorFolder.addFolder("Gradient");
+
+  function showGradientStops() {
+    [...gradientFolder.controllers].forEach((c) => c.destroy());
+
+    const stops = params.colorGradients[params.colorMode];
+    gradientFolder.show(!!stops);
+    if (!stops) return;
+
+    // Categorical modes get one stop per category
+    const labels = {
+      boneGroup: BODY_REGIONS,
+      sampleType: SAMPLE_TYPES,
+    }[params.colorMode];
+
+    stops.forEach((_, i) => {
+      gradientFolder
+        .addColor(stops, String(i))
+        .name(labels ? labels[i] : `Stop ${i + 1}`)
+        .onChange(onColorChange);
+    });
+
+    if (params.colorMode === "velocity") {
+      gradientFolder.add(params, "heatRange", 5, 1200, 5).name("Heat Range");
+    }
+  }
+
+  showGradientStops();
+
   colorFolder.open();
 
   // Animation settings folder
   const animFolder = gui.addFolder("Animation");
-  animFolder.add(params, "animationSpeed", 0.1, 3.0, 0.1).name("Speed");
+  // Negative speed plays in reverse
+  animFolder.add(params, "animationSpeed", -3.0, 3.0, 0.1).name("Speed");
   animFolder.add(params, "billboardMode").name("Billboard Mode");
+
+  // Clip browser - selecting a clip crossfades to it
+  const clipsFolder = animFolder.addFolder("Clips");
+
+  function showClipControls(names) {
+    [...clipsFolder.controllers].forEach((c) => c.destroy());
+
+    clipsFolder
+      .add(params, "currentClip", names)
+      .name("Clip")
+      .onChange((name) => playClip(name))
+      .listen();
+    clipsFolder
+      .add(params, "crossfadeDuration", 0, 3, 0.1)
+      .name("Crossfade (s)");
+    clipsFolder
+      .add(params, "loopMode", LOOP_MODES)
+      .name("Loop")
+      .onChange(setLoopMode);
+  }
+
+  showClipControls(getClipNames());
+  setOnClipsChange(showClipControls);
+
+  // Transport - play/pause, scrub, frame step, freeze pose
+  const transportFolder = animFolder.addFolder("Transport");
+
+  const syncPlayLabel = () => {
+    playController.name(params.isPlaying ? "⏸ Pause" : "▶ Play");
+  };
+
+  const transport = {
+    togglePlay: () => {
+      params.isPlaying = !params.isPlaying;
+      syncPlayLabel();
+    },
+    get time() {
+      return getClipTime();
+    },
+    set time(value) {
+      setClipTime(value);
+    },
+    // Frame stepping pauses playback
+    stepBack: () => {
+      stepFrame(-1);
+      syncPlayLabel();
+    },
+    stepForward: () => {
+      stepFrame(1);
+      syncPlayLabel();
+    },
+  };
+
+  const playController = transportFolder
+    .add(transport, "togglePlay")
+    .name("⏸ Pause");
+
+  const scrubber = transportFolder
+    .add(transport, "time", 0, Math.max(getClipDuration(), 0.01), 0.001)
+    .name("Position (s)")
+    .listen();
+
+  transportFolder.add(transport, "stepBack").name("◀ Frame");
+  transportFolder.add(transport, "stepForward").name("Frame ▶");
+  transportFolder.add(params, "freezePose").name("Freeze Pose");
+
+  setOnClipPlay((clip) => {
+    scrubber.max(Math.max(clip.duration, 0.01)).updateDisplay();
+  });
+  animFolder
+    .add(params, "gpuSkinning")
+    .name("GPU Skinning")
+    .onChange(onSkinningModeChange);
+
+  // Skin evaluations the per-frame cache saves over per-sample skinning
+  const skinStats = {
+    get saved() {
+      return skinCache ? skinCache.stats.saved : 0;
+    },
+  };
+  animFolder.add(skinStats, "saved").name("Skins Saved").disable().listen();
   animFolder.open();
 
   // Character Effects folder
   const effectsFolder = gui.addFolder("EFFECTS");
 
   effectsFolder
-    .add(params, "effectType", [
-      "none",
-      "hover",
-      "disperse",
-      "noise",
-      "wave",
-      "spiral",
-      "spiralFlow",
-    ])
+    .add(params, "effectType", ["none", ...getEffects().map((e) => e.name)])
     .name("Effect Type")
     .onChange(() => {
       // Sync auto-triggers when manually switching
-      params._disperseTarget = params.effectType === "disperse" ? 1 : 0;
-      params._spiralFlowActive = params.effectType === "spiralFlow";
+      getEffects().forEach((effect) => {
+        const hook =
+          effect.name === params.effectType
+            ? effect.onActivate
+            : effect.onDeactivate;
+        if (hook) hook();
+      });
     });
 
   effectsFolder.open();
@@ -128,15 +476,6 @@ export function initGUI() {
   // Quick Actions folder - toggle buttons for layered effects
   const actionsFolder = gui.addFolder("QUICK ACTIONS");
 
-  // Effect colors - unique for each effect
-  const EFFECT_COLORS = {
-    hover: { bright: "#3b82f6", dim: "#1e3a5f" }, // Blue
-    noise: { bright: "#eab308", dim: "#5c4a0a" }, // Yellow
-    wave: { bright: "#06b6d4", dim: "#0a4a54" }, // Cyan
-    spiral: { bright: "#a855f7", dim: "#4a2270" }, // Purple
-    disperse: { bright: "#f97316", dim: "#5c2d0a" }, // Orange
-    spiralFlow: { bright: "#ec4899", dim: "#5c1a3a" }, // Magenta
-  };
   const INACTIVE_COLOR = "#333";
 
   // Store button elements and controllers
@@ -151,7 +490,7 @@ export function initGUI() {
     const el = buttonElements[effectName];
     if (!el) return;
 
-    const colors = EFFECT_COLORS[effectName];
+    const colors = getEffect(effectName).color;
     const stopBtn = el.querySelector(".stop-btn");
 
     if (state === "inactive") {
@@ -173,8 +512,8 @@ export function initGUI() {
   }
 
   function updateParamsBorder(effectName) {
-    if (effectParamsFolderEl && effectName && EFFECT_COLORS[effectName]) {
-      const color = EFFECT_COLORS[effectName].bright;
+    if (effectParamsFolderEl && effectName && getEffect(effectName)) {
+      const color = getEffect(effectName).color.bright;
       effectParamsFolderEl.style.borderLeft = `3px solid ${color}`;
       // Update label colors (lil-gui uses .name class)
       effectParamsFolderEl
@@ -232,94 +571,67 @@ export function initGUI() {
       updateButtonStyle(name, "inactive");
     });
     params._focusedEffect = null;
-    updateParamsBorder(null);
+    showEffectParams(null);
   }
 
-  // Save current params to focused effect
-  function saveParamsToEffect(effectName) {
-    if (!effectName || !params.effectParams[effectName]) return;
-    params.effectParams[effectName].intensity = params.effectIntensity;
-    params.effectParams[effectName].speed = params.effectSpeed;
-    if (effectName === "spiralFlow") {
-      params.effectParams[effectName].flowSpeed = params.spiralFlowSpeed;
-      params.effectParams[effectName].waves = params.spiralFlowWaves;
+  // Show the focused effect's parameter sliders, built from its schema
+  function showEffectParams(effectName) {
+    effectParamsFolder.controllers
+      .slice()
+      .forEach((controller) => controller.destroy());
+
+    const effect = getEffect(effectName);
+    if (effect) {
+      Object.entries(effect.params).forEach(([key, schema]) => {
+        const controller = effectParamsFolder
+          .add(
+            params.effectParams[effectName],
+            key,
+            schema.min,
+            schema.max,
+            schema.step
+          )
+          .name(schema.label || key);
+        // The focused effect's speed is the global effect speed
+        if (key === "speed") {
+          controller.onChange((value) => (params.effectSpeed = value));
+        }
+      });
     }
-  }
 
-  // Load effect params to GUI
-  function loadParamsFromEffect(effectName) {
-    if (!effectName || !params.effectParams[effectName]) return;
-    params.effectIntensity = params.effectParams[effectName].intensity;
-    params.effectSpeed = params.effectParams[effectName].speed;
-    if (effectName === "spiralFlow") {
-      params.spiralFlowSpeed = params.effectParams[effectName].flowSpeed;
-      params.spiralFlowWaves = params.effectParams[effectName].waves;
-    }
-    // Update GUI display
-    gui.controllersRecursive().forEach((c) => c.updateDisplay());
+    updateParamsBorder(effectName);
   }
 
   // Focus an effect (for parameter editing)
-  function focusEffect(effectName, loadParams = false) {
-    // Save current focused effect params before switching
-    if (params._focusedEffect && params._focusedEffect !== effectName) {
-      saveParamsToEffect(params._focusedEffect);
-    }
-    // Set new focus
+  function focusEffect(effectName) {
     params._focusedEffect = effectName;
-    // Only load params if explicitly requested (clicking already-focused button)
-    if (loadParams) {
-      loadParamsFromEffect(effectName);
-    }
+    showEffectParams(effectName);
     // Update all button styles
     updateAllButtonStyles();
   }
 
-  // Toggle effect on/off and focus
-  function toggleEffect(effectName) {
-    params._isReturning = false;
-    const isActive = params.activeEffects[effectName];
-
-    if (isActive && params._focusedEffect === effectName) {
-      // Already focused and active - load its params to edit them
-      loadParamsFromEffect(effectName);
-      return;
-    } else if (isActive) {
-      // Active but not focused - just focus it (don't load params)
-      focusEffect(effectName, false);
-    } else {
-      // Not active - turn on and focus (don't load params, keep current)
-      params.activeEffects[effectName] = true;
-      focusEffect(effectName, false);
-
-      // Special handling for disperse
-      if (effectName === "disperse") {
-        params._disperseTarget = 1;
-      }
-      // Special handling for spiralFlow
-      if (effectName === "spiralFlow") {
-        params._spiralFlowActive = true;
-        params.spiralFlowProgress = 0;
-      }
-    }
-
-    // Update legacy effectType
+  // Update legacy effectType
+  function syncEffectType() {
     const activeList = Object.entries(params.activeEffects)
       .filter(([_, v]) => v)
       .map(([k]) => k);
     params.effectType = activeList.length > 0 ? activeList[0] : "none";
   }
 
-  // Stop a specific effect
-  function stopEffect(effectName) {
-    params.activeEffects[effectName] = false;
+  // Toggle effect on and focus it
+  function toggleEffect(effectName) {
+    params._isReturning = false;
 
-    if (effectName === "disperse") {
-      params._disperseTarget = 0;
-    }
-    if (effectName === "spiralFlow") {
-      params._spiralFlowActive = false;
+    if (!params.activeEffects[effectName]) {
+      setEffectActive(effectName, true);
     }
+    focusEffect(effectName);
+    syncEffectType();
+  }
+
+  // Stop a specific effect
+  function stopEffect(effectName) {
+    setEffectActive(effectName, false);
 
     // If this was focused, focus another active effect or none
     if (params._focusedEffect === effectName) {
@@ -330,17 +642,12 @@ export function initGUI() {
         focusEffect(otherActive[0]);
       } else {
         params._focusedEffect = null;
-        updateParamsBorder(null);
+        showEffectParams(null);
       }
     }
 
     updateAllButtonStyles();
-
-    // Update legacy effectType
-    const activeList = Object.entries(params.activeEffects)
-      .filter(([_, v]) => v)
-      .map(([k]) => k);
-    params.effectType = activeList.length > 0 ? activeList[0] : "none";
+    syncEffectType();
   }
 
   // Create effect buttons with stop icon
@@ -399,12 +706,9 @@ export function initGUI() {
     return controller;
   }
 
-  createEffectButton("hover", "HOVER");
-  createEffectButton("noise", "NOISE");
-  createEffectButton("wave", "WAVE");
-  createEffectButton("spiral", "SPIRAL");
-  createEffectButton("disperse", "DISPERSE");
-  createEffectButton("spiralFlow", "FLOW");
+  getEffects().forEach((effect) => {
+    createEffectButton(effect.name, effect.label);
+  });
 
   // Return button - gradually fades effects back to default
   actionsFolder
@@ -432,12 +736,10 @@ export function initGUI() {
       {
         stop: () => {
           params._isReturning = false;
-          Object.keys(params.activeEffects).forEach((key) => {
-            params.activeEffects[key] = false;
+          getEffects().forEach((effect) => {
+            setEffectActive(effect.name, false);
           });
           params.effectType = "none";
-          params._disperseTarget = 0;
-          params._spiralFlowActive = false;
           params._focusedEffect = null;
           resetAllButtons();
         },
@@ -450,24 +752,28 @@ export function initGUI() {
   let chaosMixBtn = null;
   let chaosMixEl = null;
 
+  // Animated while a run (or replay) is going - set from chaos callbacks
+  function styleChaosButton(running) {
+    if (!chaosMixEl) return;
+    if (running) {
+      chaosMixEl.style.background =
+        "linear-gradient(90deg, #ff00ff, #00ffff, #ff00ff)";
+      chaosMixEl.style.backgroundSize = "200% 100%";
+      chaosMixEl.style.animation = "chaosGradient 2s linear infinite";
+    } else {
+      chaosMixEl.style.background = "";
+      chaosMixEl.style.animation = "";
+    }
+  }
+
   const chaosAction = {
     chaosMix: () => {
       if (isChaosMixRunning()) {
         stopChaosMix();
-        if (chaosMixEl) {
-          chaosMixEl.style.background = "";
-          chaosMixEl.style.animation = "";
-        }
       } else {
         // Stop any returning state
         params._isReturning = false;
         startChaosMix();
-        if (chaosMixEl) {
-          chaosMixEl.style.background =
-            "linear-gradient(90deg, #ff00ff, #00ffff, #ff00ff)";
-          chaosMixEl.style.backgroundSize = "200% 100%";
-          chaosMixEl.style.animation = "chaosGradient 2s linear infinite";
-        }
       }
     },
   };
@@ -484,16 +790,232 @@ export function initGUI() {
     }
   }, 0);
 
+  // Chaos profile - the chaos mix's personality, switchable mid-run
+  const chaosProfileFolder = actionsFolder.addFolder("Chaos Profile");
+
+  function showChaosProfileControls() {
+    [...chaosProfileFolder.controllers].forEach((c) => c.destroy());
+
+    chaosProfileFolder
+      .add(params, "chaosProfile", getChaosProfileNames())
+      .name("Profile")
+      .onChange((name) => {
+        applyChaosProfile(name);
+        chaosTuningFolder.controllers.forEach((c) => c.updateDisplay());
+        showChaosProfileControls();
+        console.log(`🌀 Chaos profile: ${name}`);
+      });
+
+    chaosProfileFolder
+      .add(
+        {
+          save: () => {
+            const name = window.prompt("Save chaos profile as:", "MY MIX");
+            if (!name) return;
+            if (!saveChaosProfile(name.trim())) {
+              window.alert(`Can't save "${name}" - built-in names are taken`);
+              return;
+            }
+            showChaosProfileControls();
+            console.log(`💾 Chaos profile saved: ${params.chaosProfile}`);
+          },
+        },
+        "save"
+      )
+      .name("💾 Save As…");
+
+    if (isCustomChaosProfile(params.chaosProfile)) {
+      chaosProfileFolder
+        .add(
+          {
+            delete: () => {
+              const name = params.chaosProfile;
+              deleteChaosProfile(name);
+              applyChaosProfile(CONFIG.defaults.chaosProfile);
+              chaosTuningFolder.controllers.forEach((c) => c.updateDisplay());
+              showChaosProfileControls();
+              console.log(`🗑️ Chaos profile deleted: ${name}`);
+            },
+          },
+          "delete"
+        )
+        .name("🗑️ Delete Profile");
+    }
+  }
+
+  // Tuning - edits the live profile; save it to keep it
+  const chaosTuningFolder = actionsFolder.addFolder("Chaos Tuning");
+  const chaos = params.chaosSettings;
+  chaosTuningFolder.add(chaos, "maxActiveEffects", 1, 6, 1).name("Max Effects");
+  chaosTuningFolder
+    .add(chaos, "activationThreshold", 0, 1, 0.05)
+    .name("Activate Above");
+  chaosTuningFolder
+    .add(chaos, "deactivationThreshold", 0, 1, 0.05)
+    .name("Deactivate Below");
+  chaosTuningFolder
+    .add(chaos, "entropyStart", 0, 1, 0.05)
+    .name("Entropy Start");
+  chaosTuningFolder
+    .add(chaos, "entropyRamp", 0, 0.1, 0.005)
+    .name("Entropy / Second");
+  chaosTuningFolder
+    .add(chaos, "eventTiming", CHAOS_EVENT_TIMINGS)
+    .name("Event Timing");
+  chaosTuningFolder
+    .add(chaos, "eventInterval", 0.1, 5, 0.1)
+    .name("Event Interval (s)");
+  chaosTuningFolder.add(chaos, "beatSync").name("Beat Sync");
+  chaosTuningFolder
+    .add(chaos, "effectPick", CHAOS_EFFECT_PICKS)
+    .name("Effect Pick");
+  [
+    ["intensityFloor", 0, 20, 0.5, "Intensity Floor"],
+    ["intensityScale", 0, 3, 0.1, "Intensity Scale"],
+    ["intensitySwing", 0, 1, 0.05, "Intensity Swing"],
+    ["speedBase", 0, 2, 0.05, "Speed"],
+    ["speedSwing", 0, 1, 0.05, "Speed Swing"],
+    ["hueSpeed", 0, 3, 0.05, "Hue Speed"],
+    ["hueMin", 0, 360, 1, "Hue Min"],
+    ["hueMax", 0, 360, 1, "Hue Max"],
+    ["saturationMin", 0, 100, 1, "Saturation Min"],
+    ["saturationMax", 0, 100, 1, "Saturation Max"],
+    ["lightnessMin", 0, 100, 1, "Lightness Min"],
+    ["lightnessMax", 0, 100, 1, "Lightness Max"],
+    ["bloomStrengthMin", 0, 3, 0.05, "Bloom Min"],
+    ["bloomStrengthMax", 0, 3, 0.05, "Bloom Max"],
+    ["bloomRadiusMin", 0, 1, 0.05, "Bloom Radius Min"],
+    ["bloomRadiusMax", 0, 1, 0.05, "Bloom Radius Max"],
+  ].forEach(([key, min, max, step, name]) => {
+    chaosTuningFolder.add(chaos, key, min, max, step).name(name);
+  });
+  chaosTuningFolder.close();
+
+  // Per-effect weighting - how often chaos picks each effect (0 leaves it
+  // out) and the intensity range it keeps it in
+  const chaosEffectsFolder = actionsFolder.addFolder("Chaos Effects");
+  getEffects().forEach((effect) => {
+    const folder = chaosEffectsFolder.addFolder(effect.label);
+    const settings = params.chaosEffects[effect.name];
+    folder.add(settings, "weight", 0, 100, 1).name("Weight (%)");
+    // Min never passes max - moving one past the other pushes it along
+    const minController = folder
+      .add(settings, "minIntensity", 0, 100, 0.5)
+      .name("Min Intensity")
+      .onChange((value) => {
+        if (settings.maxIntensity < value) {
+          settings.maxIntensity = value;
+          maxController.updateDisplay();
+        }
+      });
+    const maxController = folder
+      .add(settings, "maxIntensity", 0, 100, 0.5)
+      .name("Max Intensity")
+      .onChange((value) => {
+        if (settings.minIntensity > value) {
+          settings.minIntensity = value;
+          minController.updateDisplay();
+        }
+      });
+    folder.close();
+  });
+  chaosEffectsFolder.close();
+
+  showChaosProfileControls();
+
+  // Chaos session - every run is recorded; replay it, scrub it, save it
+  // as JSON or share it as a link
+  const chaosSessionFolder = actionsFolder.addFolder("Chaos Session");
+
+  // Replays under the recording's seed - resamples first if it differs, so
+  // the replay runs on the new samples and disperse directions
+  async function replayRecording(recording, time = 0) {
+    if (recording.seed !== params.seed) {
+      params.seed = recording.seed;
+      seedController.updateDisplay();
+      await onSeedChange();
+    }
+    seekChaosReplay(time, recording);
+  }
+
+  const chaosSession = {
+    get time() {
+      return isChaosReplaying() ? getChaosTime() : 0;
+    },
+    set time(value) {
+      const recording = getChaosRecording();
+      if (recording) replayRecording(recording, value);
+    },
+    replay: () => {
+      const recording = getChaosRecording();
+      if (recording) replayRecording(recording);
+    },
+    exportJSON: () => {
+      const recording = getChaosRecording();
+      if (recording) exportChaosRecording(recording);
+    },
+    loadJSON: () => {
+      openChaosRecordingPicker((recording) => {
+        console.log(`📂 Chaos recording loaded (seed ${recording.seed})`);
+        replayRecording(recording);
+      });
+    },
+    copyLink: async () => {
+      if (!getChaosRecording()) return;
+      const link = getChaosShareLink();
+      try {
+        await navigator.clipboard.writeText(link);
+        console.log(`🔗 Chaos link copied: ${link}`);
+      } catch (error) {
+        window.prompt("Chaos link:", link);
+      }
+    },
+  };
+
+  chaosSessionFolder.add(chaosSession, "replay").name("⏯ Replay");
+  const chaosScrubber = chaosSessionFolder
+    .add(chaosSession, "time", 0, 1, 0.01)
+    .name("Replay Time (s)")
+    .listen();
+  chaosSessionFolder.add(chaosSession, "exportJSON").name("💾 Export JSON");
+  chaosSessionFolder.add(chaosSession, "loadJSON").name("📂 Load JSON");
+  chaosSessionFolder.add(chaosSession, "copyLink").name("🔗 Copy Link");
+  chaosSessionFolder.close();
+
+  // The scrubber spans the recording
+  function updateChaosScrubber() {
+    const recording = getChaosRecording();
+    chaosScrubber.max(Math.max(1, recording ? recording.duration : 0));
+  }
+
   // Initialize chaos mix with callbacks
   initChaosMix(
     // Effect change callback - update button visuals
     (effectName, action) => {
-      if (action === "reset") {
+      if (action === "start") {
+        // A run or replay (re)started - sync everything it may have set
+        const focused = params._focusedEffect;
         resetAllButtons();
-        if (chaosMixEl) {
-          chaosMixEl.style.background = "";
-          chaosMixEl.style.animation = "";
-        }
+        Object.keys(params.activeEffects).forEach((name) => {
+          if (params.activeEffects[name]) {
+            updateButtonStyle(
+              name,
+              name === focused ? "active-focused" : "active-dimmed"
+            );
+          }
+        });
+        if (params.activeEffects[focused]) showEffectParams(focused);
+        styleChaosButton(true);
+        showChaosProfileControls();
+        chaosTuningFolder.controllers.forEach((c) => c.updateDisplay());
+        chaosEffectsFolder
+          .controllersRecursive()
+          .forEach((c) => c.updateDisplay());
+        updateChaosScrubber();
+      } else if (action === "reset") {
+        resetAllButtons();
+        styleChaosButton(false);
+        updateChaosScrubber();
       } else if (action === "activate") {
         updateButtonStyle(effectName, "active-focused");
         // Update other active effects to dimmed
@@ -502,7 +1024,7 @@ export function initGUI() {
             updateButtonStyle(name, "active-dimmed");
           }
         });
-        updateParamsBorder(effectName);
+        showEffectParams(effectName);
       } else if (action === "deactivate") {
         updateButtonStyle(effectName, "inactive");
       }
@@ -511,6 +1033,7 @@ export function initGUI() {
     (newColor) => {
       onColorChange();
       onBloomChange(); // Update bloom in real-time
+      gradientFolder.controllers.forEach((c) => c.updateDisplay());
       gui.controllersRecursive().forEach((c) => {
         if (
           c.property === "color" ||
@@ -523,13 +1046,9 @@ export function initGUI() {
     },
     // Params change callback - sync GUI sliders with evolving params
     () => {
+      effectParamsFolder.controllers.forEach((c) => c.updateDisplay());
       gui.controllersRecursive().forEach((c) => {
-        if (
-          c.property === "effectIntensity" ||
-          c.property === "effectSpeed" ||
-          c.property === "bloomStrength" ||
-          c.property === "bloomRadius"
-        ) {
+        if (c.property === "bloomStrength" || c.property === "bloomRadius") {
           c.updateDisplay();
         }
       });
@@ -625,39 +1144,6 @@ export function initGUI() {
     }
   }, 0);
 
-  effectParamsFolder
-    .add(params, "effectIntensity", 0, 300, 1)
-    .name("Intensity")
-    .onChange(() => {
-      if (params._focusedEffect) {
-        saveParamsToEffect(params._focusedEffect);
-      }
-    });
-  effectParamsFolder
-    .add(params, "effectSpeed", 0.1, 5, 0.1)
-    .name("Effect Speed")
-    .onChange(() => {
-      if (params._focusedEffect) {
-        saveParamsToEffect(params._focusedEffect);
-      }
-    });
-  effectParamsFolder
-    .add(params, "spiralFlowSpeed", 0.1, 3, 0.1)
-    .name("Flow Speed")
-    .onChange(() => {
-      if (params._focusedEffect === "spiralFlow") {
-        saveParamsToEffect("spiralFlow");
-      }
-    });
-  effectParamsFolder
-    .add(params, "spiralFlowWaves", 1, 10, 1)
-    .name("Wave Groups")
-    .onChange(() => {
-      if (params._focusedEffect === "spiralFlow") {
-        saveParamsToEffect("spiralFlow");
-      }
-    });
-
   effectParamsFolder.open();
 
   // Bloom settings folder
@@ -680,6 +1166,277 @@ export function initGUI() {
 
   bloomFolder.open();
 
+  // Audio folder - load a track, play it, map the music to the scene
+  const audioFolder = gui.addFolder("AUDIO");
+
+  const audioTransport = {
+    load: () => {
+      openFilePicker("audio/*", async (file) => {
+        try {
+          await loadAudioFile(file, (fraction) =>
+            loadAudioButton.name(`🎵 Analyzing ${Math.round(fraction * 100)}%`)
+          );
+          audioTimeController.max(getAudioDuration());
+        } catch (error) {
+          console.error("Audio load failed:", error);
+          window.alert(`Can't load ${file.name} - ${error.message}`);
+        } finally {
+          loadAudioButton.name("🎵 Load Audio");
+          playAudioButton.name("▶️ Play");
+        }
+      });
+    },
+    play: () => {
+      if (isAudioPlaying()) {
+        pauseAudio();
+        playAudioButton.name("▶️ Play");
+      } else if (hasAudio()) {
+        playAudio();
+        playAudioButton.name("⏸ Pause");
+      }
+    },
+    restart: () => seekAudio(0),
+    get time() {
+      return getAudioTime();
+    },
+    set time(value) {
+      seekAudio(value);
+    },
+  };
+
+  const loadAudioButton = audioFolder
+    .add(audioTransport, "load")
+    .name("🎵 Load Audio");
+  const playAudioButton = audioFolder
+    .add(audioTransport, "play")
+    .name("▶️ Play");
+  audioFolder.add(audioTransport, "restart").name("⏮ Restart");
+  const audioTimeController = audioFolder
+    .add(audioTransport, "time", 0, 1, 0.01)
+    .name("Audio Time (s)")
+    .listen();
+  audioFolder
+    .add(params, "audioVolume", 0, 1, 0.05)
+    .name("Volume")
+    .onChange(setAudioVolume);
+  audioFolder.add(params, "audioReactive").name("Audio Reactive");
+
+  // Mapping editor - one subfolder per mapping, rebuilt on add/remove
+  const audioMappingsFolder = audioFolder.addFolder("Mappings");
+
+  function showAudioMappings() {
+    [...audioMappingsFolder.folders].forEach((f) => f.destroy());
+    [...audioMappingsFolder.controllers].forEach((c) => c.destroy());
+
+    params.audioMappings.forEach((mapping, i) => {
+      const folder = audioMappingsFolder.addFolder(`Mapping ${i + 1}`);
+      folder.add(mapping, "source", AUDIO_SOURCES).name("Source");
+      folder.add(mapping, "target", AUDIO_TARGETS).name("Target");
+      folder.add(mapping, "sensitivity", 0, 3, 0.05).name("Sensitivity");
+      folder.add(mapping, "smoothing", 0, 0.99, 0.01).name("Smoothing");
+      folder
+        .add(
+          {
+            remove: () => {
+              params.audioMappings.splice(i, 1);
+              showAudioMappings();
+            },
+          },
+          "remove"
+        )
+        .name("🗑️ Remove");
+    });
+
+    audioMappingsFolder
+      .add(
+        {
+          add: () => {
+            params.audioMappings.push({
+              source: "bass",
+              target: "bloomStrength",
+              sensitivity: 1,
+              smoothing: 0.5,
+            });
+            showAudioMappings();
+          },
+        },
+        "add"
+      )
+      .name("➕ Add Mapping");
+  }
+
+  showAudioMappings();
+  audioMappingsFolder.close();
+  audioFolder.close();
+
+  // Modulated color and bloom reach the renderer every step
+  setOnAudioChange(() => {
+    onColorChange();
+    onBloomChange();
+  });
+
+  // Tempo folder - the beat clock for beat-synced chaos and locked effects
+  const tempoFolder = gui.addFolder("TEMPO");
+
+  tempoFolder
+    .add(params, "bpm", 30, 300, 0.1)
+    .name("BPM")
+    .onChange(setTempo)
+    .listen();
+  const tapButton = tempoFolder
+    .add(
+      {
+        tap: () => {
+          const bpm = tapTempo();
+          tapButton.name(bpm ? `👆 Tap Tempo (${bpm})` : "👆 Tap Tempo...");
+        },
+      },
+      "tap"
+    )
+    .name("👆 Tap Tempo");
+  tempoFolder.add(params, "beatsPerBar", 2, 7, 1).name("Beats / Bar");
+  tempoFolder.add(params, "metronome").name("Metronome");
+
+  // Lock each effect's oscillation period to a note division
+  const effectSyncFolder = tempoFolder.addFolder("Effect Sync");
+  getEffects()
+    .filter((effect) => effect.period)
+    .forEach((effect) => {
+      effectSyncFolder
+        .add(params.effectSync, effect.name, NOTE_DIVISIONS)
+        .name(effect.label);
+    });
+
+  tempoFolder.close();
+
+  // Export folder - fixed-timestep PNG sequence or WebM
+  const exportFolder = gui.addFolder("EXPORT");
+
+  const exportSettings = {
+    ...CONFIG.export,
+    start: 0,
+    end: Math.max(getClipDuration(), 1),
+    run: async () => {
+      if (isExporting()) return;
+      try {
+        await exportFrames({
+          ...exportSettings,
+          onProgress: (frame, total) => {
+            exportButton.name(`⏺ Exporting ${frame} / ${total}`);
+          },
+        });
+      } catch (error) {
+        console.error("Export failed:", error);
+      }
+      exportButton.name("⏺ Export");
+    },
+    cancel: cancelExport,
+  };
+
+  exportFolder.add(exportSettings, "format", EXPORT_FORMATS).name("Format");
+  exportFolder.add(exportSettings, "fps", [24, 30, 60]).name("FPS");
+  exportFolder.add(exportSettings, "width", 64, 7680, 1).name("Width");
+  exportFolder.add(exportSettings, "height", 64, 4320, 1).name("Height");
+  exportFolder.add(exportSettings, "start", 0, 600, 0.01).name("Start (s)");
+  exportFolder.add(exportSettings, "end", 0, 600, 0.01).name("End (s)");
+  const exportButton = exportFolder.add(exportSettings, "run").name("⏺ Export");
+  exportFolder.add(exportSettings, "cancel").name("⏹ Cancel");
+
+  // Terminal text - same range and fps as above
+  const textFolder = exportFolder.addFolder("Text");
+  const textSettings = {
+    format: CONFIG.textExport.format,
+    cols: CONFIG.textExport.columns,
+    copy: () => {
+      const text = renderTextFrame(textSettings);
+      navigator.clipboard
+        .writeText(text)
+        .then(() => console.log("📋 Text frame copied"))
+        .catch((error) => console.error("Copy failed:", error));
+    },
+    save: () => exportTextFrame(textSettings),
+    sequence: async () => {
+      if (isExporting()) return;
+      try {
+        await exportTextSequence({
+          ...textSettings,
+          fps: exportSettings.fps,
+          start: exportSettings.start,
+          end: exportSettings.end,
+          onProgress: (frame, total) => {
+            sequenceButton.name(`🔤 Exporting ${frame} / ${total}`);
+          },
+        });
+      } catch (error) {
+        console.error("Text export failed:", error);
+      }
+      sequenceButton.name("🔤 Export Sequence");
+    },
+  };
+
+  textFolder.add(textSettings, "format", TEXT_FORMATS).name("Format");
+  textFolder.add(textSettings, "cols", 20, 400, 1).name("Columns");
+  textFolder.add(textSettings, "copy").name("📋 Copy Frame");
+  textFolder.add(textSettings, "save").name("💾 Save Frame");
+  const sequenceButton = textFolder
+    .add(textSettings, "sequence")
+    .name("🔤 Export Sequence");
+
+  // Point cloud - same range and fps as above
+  const pointsFolder = exportFolder.addFolder("Point Cloud");
+  const pointSettings = {
+    format: POINT_FORMATS[0],
+    save: () =>
+      exportPointFrame(pointSettings.format).catch((error) =>
+        console.error("Point export failed:", error)
+      ),
+    sequence: async () => {
+      if (isExporting()) return;
+      try {
+        await exportPointSequence({
+          format: pointSettings.format,
+          fps: exportSettings.fps,
+          start: exportSettings.start,
+          end: exportSettings.end,
+          onProgress: (frame, total) => {
+            pointsButton.name(`☁️ Exporting ${frame} / ${total}`);
+          },
+        });
+      } catch (error) {
+        console.error("Point export failed:", error);
+      }
+      pointsButton.name("☁️ Export Range");
+    },
+  };
+
+  pointsFolder.add(pointSettings, "format", POINT_FORMATS).name("Format");
+  pointsFolder.add(pointSettings, "save").name("💾 Save Frame");
+  const pointsButton = pointsFolder
+    .add(pointSettings, "sequence")
+    .name("☁️ Export Range");
+  exportFolder.close();
+
+  // Seed - sampling, disperse, glyphs and chaos mix all draw from it, so
+  // the same seed, model and settings give the same frames
+  const seedController = gui
+    .add(params, "seed")
+    .name("Seed")
+    .step(1)
+    .onFinishChange(onSeedChange);
+
+  gui
+    .add(
+      {
+        reseed: () => {
+          params.seed = randomSeed();
+          seedController.updateDisplay();
+          onSeedChange();
+        },
+      },
+      "reseed"
+    )
+    .name("🎲 New Seed");
+
   // Reset button
   gui
     .add({ reset: () => resetDefaults(gui) }, "reset")
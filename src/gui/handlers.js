@@ -4,10 +4,21 @@
 
 import * as THREE from "three";
 import { CONFIG, params } from "../config.js";
-import { instancedMesh, composer, scene } from "../state.js";
-import { sampleVertices } from "../ascii/sampling.js";
+import { instancedMesh, scene } from "../state.js";
+import { composer } from "../renderState.js";
+import { sampleVerticesAsync, sampleSkeletonBones } from "../ascii/sampling.js";
 import { createCharacterGeometry } from "../ascii/geometry.js";
 import { createInstancedMesh } from "../ascii/instancedMesh.js";
+import { assignGlyphs } from "../ascii/glyphs.js";
+import {
+  applyColorMode,
+  assignInstanceColors,
+  usesInstanceColors,
+} from "../ascii/colors.js";
+import { getDefaultChaosEffect } from "../ascii/effects/index.js";
+import { applyChaosProfile } from "../ascii/chaosProfiles.js";
+import { setTempo } from "../core/tempo.js";
+import { showProgress, hideProgress } from "../utils/ui.js";
 
 /**
  * Handle character or size change
@@ -21,10 +32,80 @@ export function onCharacterChange() {
 }
 
 /**
- * Handle sampling density change
+ * Handle glyph assignment change - no rebuild needed, only the
+ * per-instance glyph indices change
  */
-export function onSamplingChange() {
-  sampleVertices();
+export function onGlyphAssignmentChange() {
+  assignGlyphs();
+}
+
+/**
+ * Handle seed change - resample and rebuild, so sampling, disperse
+ * directions and glyphs all follow the new seed (chaos mix picks it up on
+ * its next start)
+ *
+ * @returns {Promise} Settles once the new samples are in
+ */
+export function onSeedChange() {
+  params.seed = Math.max(0, Math.round(params.seed)) || 0;
+  console.log(`🎲 Seed: ${params.seed}`);
+  return onSamplingChange();
+}
+
+/**
+ * Handle the camera coming to rest - silhouette sampling depends on the view
+ */
+export function onViewChange() {
+  if (
+    params.sampler === "feature" &&
+    params.silhouetteBoost > 0 &&
+    params.fillMode !== "volume"
+  ) {
+    onSamplingChange();
+  }
+}
+
+/**
+ * Handle sampler, density, fill mode or bone fill change
+ * Samples in the worker - the current points stay up until the new ones
+ * are in
+ */
+export async function onSamplingChange() {
+  let applied;
+  try {
+    applied = await sampleVerticesAsync({
+      onProgress: (fraction) => showProgress("Sampling", fraction),
+    });
+  } catch (error) {
+    hideProgress();
+    console.error("Sampling failed:", error);
+    return;
+  }
+
+  // A newer change is sampling - it hides the progress bar when done
+  if (!applied) return;
+
+  hideProgress();
+  sampleSkeletonBones();
+  createInstancedMesh();
+}
+
+/**
+ * Handle model textures finishing loading - texture colors and
+ * texture-biased sampling were using the material color until now
+ */
+export function onTexturesLoad() {
+  if (params.textureDensity !== "off") {
+    onSamplingChange();
+  } else if (params.colorMode === "texture") {
+    assignInstanceColors();
+  }
+}
+
+/**
+ * Handle switching between GPU and CPU skinning
+ */
+export function onSkinningModeChange() {
   createInstancedMesh();
 }
 
@@ -33,12 +114,25 @@ export function onSamplingChange() {
  */
 export function onColorChange() {
   if (instancedMesh && instancedMesh.material) {
+    if (usesInstanceColors()) {
+      // Gradient stops changed - moving modes pick them up next frame
+      assignInstanceColors();
+      return;
+    }
+
     const color = new THREE.Color(params.color);
     instancedMesh.material.color = color;
     instancedMesh.material.emissive = color;
   }
 }
 
+/**
+ * Handle switching between flat and per-instance color modes
+ */
+export function onColorModeChange() {
+  applyColorMode();
+}
+
 /**
  * Handle glow intensity change
  */
@@ -73,15 +167,46 @@ export function onBackgroundChange() {
  */
 export function resetDefaults(gui) {
   params.character = CONFIG.defaults.character;
+  params.glyphMode = CONFIG.defaults.glyphMode;
+  params.glyphSet = CONFIG.defaults.glyphSet;
+  params.glyphAssignment = CONFIG.defaults.glyphAssignment;
+  params.luminanceSource = CONFIG.defaults.luminanceSource;
+  params.sampler = CONFIG.defaults.sampler;
   params.samplingDensity = 1;
+  params.pointBudget = CONFIG.defaults.pointBudget;
+  params.featureBlend = CONFIG.defaults.featureBlend;
+  params.silhouetteBoost = CONFIG.defaults.silhouetteBoost;
+  params.fillMode = CONFIG.defaults.fillMode;
+  params.volumeDensity = CONFIG.defaults.volumeDensity;
+  params.textureDensity = CONFIG.defaults.textureDensity;
+  params.textureBias = CONFIG.defaults.textureBias;
+  // In place - the GUI's bone fill controllers hold this object
+  Object.assign(params.boneFill, structuredClone(CONFIG.defaults.boneFill));
   params.characterSize = 0.8;
   params.color = CONFIG.defaults.color;
+  params.colorMode = CONFIG.defaults.colorMode;
+  // In place - the GUI's gradient controllers hold these arrays
+  Object.entries(CONFIG.defaults.colorGradients).forEach(([mode, stops]) => {
+    params.colorGradients[mode].splice(0, stops.length, ...stops);
+  });
+  params.heatRange = CONFIG.defaults.heatRange;
   params.animationSpeed = CONFIG.defaults.animationSpeed;
   params.billboardMode = CONFIG.defaults.billboardMode;
   params.bloomStrength = 1.5;
   params.bloomRadius = 0.4;
   params.bloomThreshold = 0.1;
+  params.seed = CONFIG.defaults.seed;
+  applyChaosProfile(CONFIG.defaults.chaosProfile);
+  setTempo(CONFIG.defaults.bpm);
+  params.beatsPerBar = CONFIG.defaults.beatsPerBar;
+  Object.keys(params.effectSync).forEach((name) => {
+    params.effectSync[name] = "off";
+  });
+  Object.keys(params.chaosEffects).forEach((name) => {
+    Object.assign(params.chaosEffects[name], getDefaultChaosEffect(name));
+  });
 
+  createCharacterGeometry();
   onSamplingChange();
   onColorChange();
   onBloomChange();
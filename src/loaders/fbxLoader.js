@@ -7,11 +7,14 @@ import { FBXLoader } from "three/addons/loaders/FBXLoader.js";
 import { CONFIG } from "../config.js";
 import {
   scene,
+  mixer,
+  fbxModel,
   setFbxModel,
   setMixer,
   addSkinnedMesh,
-  skinnedMeshes,
+  clearSkinnedMeshes,
 } from "../state.js";
+import { initClips } from "../core/animationClips.js";
 
 /**
  * Load the FBX model with Mixamo animation
@@ -28,53 +31,14 @@ export function loadFBXModel() {
         // Keep original scale - we'll adjust camera to fit
         fbx.scale.setScalar(1);
 
-        // Find all SkinnedMesh objects in the FBX
-        fbx.traverse((child) => {
-          if (child.isSkinnedMesh) {
-            addSkinnedMesh(child);
-            console.log("Found SkinnedMesh:", child.name);
-            console.log(
-              "Vertex count:",
-              child.geometry.attributes.position.count
-            );
-            // Hide original mesh - only show ASCII characters
-            child.visible = false;
-
-            // Log skeleton bones for debugging
-            if (child.skeleton) {
-              console.log("Skeleton bones:", child.skeleton.bones.length);
-              child.skeleton.bones.forEach((bone, i) => {
-                console.log(`  Bone ${i}: ${bone.name}`);
-              });
-            }
-          } else if (child.isMesh) {
-            console.log(
-              "Found regular Mesh:",
-              child.name,
-              "vertices:",
-              child.geometry.attributes.position.count
-            );
-          }
-        });
-
-        if (skinnedMeshes.length === 0) {
-          reject(new Error("No SkinnedMesh found in FBX file"));
-          return;
-        }
-
-        // Store FBX reference
-        setFbxModel(fbx);
-
         // Apply rotation
         fbx.rotation.y = CONFIG.model.rotationY;
 
-        // Add FBX to scene
-        scene.add(fbx);
-
-        // Setup animation mixer
-        setupAnimationMixer(fbx);
-
-        resolve(fbx);
+        try {
+          resolve(installModel(fbx));
+        } catch (error) {
+          reject(error);
+        }
       },
       (progress) => {
         const percent = ((progress.loaded / progress.total) * 100).toFixed(0);
@@ -93,23 +57,131 @@ export function loadFBXModel() {
 }
 
 /**
- * Setup AnimationMixer for Mixamo animation playback
+ * Find all SkinnedMesh objects in a loaded model
  */
-export function setupAnimationMixer(fbx) {
-  const mixer = new THREE.AnimationMixer(fbx);
+function findSkinnedMeshes(model) {
+  const meshes = [];
 
-  if (fbx.animations && fbx.animations.length > 0) {
-    fbx.animations.forEach((clip, index) => {
+  model.traverse((child) => {
+    if (child.isSkinnedMesh) {
+      meshes.push(child);
+      console.log("Found SkinnedMesh:", child.name);
+      console.log("Vertex count:", child.geometry.attributes.position.count);
+
+      // Log skeleton bones for debugging
+      if (child.skeleton) {
+        console.log("Skeleton bones:", child.skeleton.bones.length);
+        child.skeleton.bones.forEach((bone, i) => {
+          console.log(`  Bone ${i}: ${bone.name}`);
+        });
+      }
+    } else if (child.isMesh) {
       console.log(
-        `Animation clip ${index}: ${clip.name}, duration: ${clip.duration}s`
+        "Found regular Mesh:",
+        child.name,
+        "vertices:",
+        child.geometry.attributes.position.count
       );
-      const action = mixer.clipAction(clip);
-      action.play();
+    }
+  });
+
+  return meshes;
+}
+
+/**
+ * Make a loaded model (FBX, GLB or glTF root) the current one
+ * Replaces the previous model, if any
+ *
+ * @param {THREE.Object3D} model - Root with its clips in `model.animations`
+ * @returns {THREE.Object3D} The installed model
+ */
+export function installModel(model) {
+  const meshes = findSkinnedMeshes(model);
+
+  if (meshes.length === 0) {
+    throw new Error("No SkinnedMesh found in model file");
+  }
+
+  unloadModel();
+
+  meshes.forEach((mesh) => {
+    addSkinnedMesh(mesh);
+    // Hide original mesh - only show ASCII characters
+    mesh.visible = false;
+  });
+
+  // Store model reference
+  setFbxModel(model);
+
+  // Add model to scene
+  scene.add(model);
+
+  // Setup animation mixer
+  setupAnimationMixer(model);
+
+  return model;
+}
+
+/**
+ * Tear down the current model - stops its animation, removes it from the
+ * scene and frees its GPU resources
+ */
+export function unloadModel() {
+  if (mixer) {
+    mixer.stopAllAction();
+    if (fbxModel) mixer.uncacheRoot(fbxModel);
+    setMixer(null);
+  }
+
+  if (fbxModel) {
+    scene.remove(fbxModel);
+
+    fbxModel.traverse((child) => {
+      if (child.isSkinnedMesh && child.skeleton) child.skeleton.dispose();
+      if (child.geometry) child.geometry.dispose();
+
+      const materials = Array.isArray(child.material)
+        ? child.material
+        : [child.material];
+      materials.forEach((material) => {
+        if (!material) return;
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
     });
-  } else {
-    console.warn("No animations found in FBX file");
+
+    setFbxModel(null);
   }
 
+  clearSkinnedMeshes();
+}
+
+/**
+ * Whether a loaded file only carries animation (no skinned mesh)
+ * e.g. Mixamo downloads exported "without skin"
+ */
+export function isAnimationOnly(model) {
+  let hasSkinnedMesh = false;
+  model.traverse((child) => {
+    if (child.isSkinnedMesh) hasSkinnedMesh = true;
+  });
+  return !hasSkinnedMesh && model.animations.length > 0;
+}
+
+/**
+ * Setup AnimationMixer for Mixamo animation playback
+ * Only the first clip plays - the clip browser crossfades between them
+ */
+export function setupAnimationMixer(fbx) {
+  const mixer = new THREE.AnimationMixer(fbx);
   setMixer(mixer);
+
+  if (!fbx.animations || fbx.animations.length === 0) {
+    console.warn("No animations found in FBX file");
+  }
+
+  initClips(fbx.animations);
   return mixer;
 }
@@ -0,0 +1,132 @@
+/**
+ * Model loading from local files (drag-and-drop or file picker)
+ * Supports FBX, GLB and glTF - a glTF can be dropped together with its
+ * .bin and texture files
+ */
+
+import * as THREE from "three";
+import { FBXLoader } from "three/addons/loaders/FBXLoader.js";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { CONFIG } from "../config.js";
+
+export const MODEL_EXTENSIONS = ["fbx", "glb", "gltf"];
+
+/**
+ * File extension, lower case
+ */
+function getExtension(name) {
+  return name.split(".").pop().toLowerCase();
+}
+
+/**
+ * Loading manager resolving external resources (textures, .bin buffers)
+ * to the other dropped files, matched by file name
+ *
+ * Call release() once the model is parsed - the blob URLs are freed then,
+ * or when the resources still loading are done
+ */
+function createFileManager(files) {
+  const urls = new Map();
+  files.forEach((file) => urls.set(file.name, URL.createObjectURL(file)));
+
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    const name = decodeURIComponent(url.split(/[\\/]/).pop());
+    return urls.get(name) || url;
+  });
+
+  const revoke = () => urls.forEach((url) => URL.revokeObjectURL(url));
+
+  let loading = false;
+  let released = false;
+  manager.onStart = () => (loading = true);
+  manager.onLoad = () => {
+    loading = false;
+    if (released) revoke();
+  };
+
+  const release = () => {
+    released = true;
+    // Self-contained files (GLB, most FBX) never start a resource load
+    if (!loading) revoke();
+  };
+
+  return { manager, release };
+}
+
+/**
+ * Parse the model file with the loader for its format
+ * Resolves to a root object with its clips in `animations`
+ */
+function parseModel(file, buffer, manager) {
+  const extension = getExtension(file.name);
+
+  if (extension === "fbx") {
+    return Promise.resolve(new FBXLoader(manager).parse(buffer, ""));
+  }
+
+  return new Promise((resolve, reject) => {
+    new GLTFLoader(manager).parse(
+      buffer,
+      "",
+      (gltf) => {
+        gltf.scene.animations = gltf.animations;
+        resolve(gltf.scene);
+      },
+      reject
+    );
+  });
+}
+
+/**
+ * Scale a model uniformly so its bounds are CONFIG.model.dropHeight tall
+ */
+function normalizeModelHeight(model) {
+  model.updateMatrixWorld(true);
+  const height = new THREE.Box3()
+    .setFromObject(model)
+    .getSize(new THREE.Vector3()).y;
+
+  if (height > 0) {
+    model.scale.multiplyScalar(CONFIG.model.dropHeight / height);
+    model.updateMatrixWorld(true);
+  }
+}
+
+/**
+ * Load a model from dropped or picked files
+ *
+ * @param {File[]} files - One FBX, GLB or glTF file plus optional resources
+ * @returns {Promise<THREE.Object3D>} Model root, not yet added to the scene
+ */
+export async function loadModelFiles(files) {
+  const file = files.find((f) =>
+    MODEL_EXTENSIONS.includes(getExtension(f.name))
+  );
+
+  if (!file) {
+    throw new Error(
+      `No model file found - drop a ${MODEL_EXTENSIONS.map((e) => `.${e}`).join(", ")} file`
+    );
+  }
+
+  console.log(`Loading model file: ${file.name}`);
+
+  const { manager, release } = createFileManager(files);
+
+  try {
+    const buffer = await file.arrayBuffer();
+    const model = await parseModel(file, buffer, manager);
+    model.name = model.name || file.name;
+    model.userData.fileName = file.name;
+    normalizeModelHeight(model);
+    return model;
+  } catch (error) {
+    console.error("Model file loading failed:", error);
+    throw new Error(
+      `Failed to load ${file.name}: ${error.message || "Unknown error"}`
+    );
+  } finally {
+    release();
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Node loaders for the headless CLI (bin/nucat.js)
+ * Read the FBX and the font from disk - textures are skipped, nothing
+ * headless looks at them
+ */
+
+import { readFile } from "node:fs/promises";
+import { basename, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import * as THREE from "three";
+import { FBXLoader } from "three/addons/loaders/FBXLoader.js";
+import { FontLoader } from "three/addons/loaders/FontLoader.js";
+import { CONFIG } from "../config.js";
+import { setFont } from "../state.js";
+
+const IMAGE_FILES = /\.(png|jpe?g|gif|bmp|tiff?|tga|webp|psd|dds)$/i;
+
+/**
+ * Texture loader that hands out empty textures instead of decoding images
+ * (Node has no Image or canvas)
+ */
+class EmptyTextureLoader extends THREE.Loader {
+  load(url, onLoad) {
+    const texture = new THREE.Texture();
+    texture.name = url;
+    if (onLoad) onLoad(texture);
+    return texture;
+  }
+}
+
+/**
+ * Node Buffer as a standalone ArrayBuffer
+ */
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength
+  );
+}
+
+/**
+ * Load an FBX file from disk, rotated like loadFBXModel()
+ *
+ * @param {string} path - File path
+ * @returns {Promise<THREE.Group>} Model root, not yet added to the scene
+ */
+export async function loadFBXFile(path) {
+  const manager = new THREE.LoadingManager();
+  manager.addHandler(IMAGE_FILES, new EmptyTextureLoader(manager));
+
+  // FBXLoader turns embedded images into blob URLs through window.URL
+  globalThis.window ??= { URL, innerWidth: 1, innerHeight: 1 };
+
+  let buffer;
+  try {
+    buffer = await readFile(path);
+  } catch (error) {
+    throw new Error(`Cannot read ${path}: ${error.message}`);
+  }
+
+  const fbx = new FBXLoader(manager).parse(
+    toArrayBuffer(buffer),
+    `${dirname(path)}/`
+  );
+  fbx.name = fbx.name || basename(path);
+  fbx.userData.fileName = basename(path);
+  fbx.rotation.y = CONFIG.model.rotationY;
+
+  console.log(`FBX loaded: ${path}`);
+  return fbx;
+}
+
+/**
+ * Load the TextGeometry font from the three package on disk
+ * (same typeface as CONFIG.fontUrl)
+ */
+export async function loadFontFile() {
+  const url = import.meta.resolve(
+    `three/examples/fonts/${basename(CONFIG.fontUrl)}`
+  );
+  const json = JSON.parse(await readFile(fileURLToPath(url), "utf8"));
+  const font = new FontLoader().parse(json);
+
+  setFont(font);
+  console.log("Font loaded successfully");
+  return font;
+}
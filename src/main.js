@@ -6,15 +6,9 @@
 
 import * as THREE from "three";
 import { params } from "./config.js";
-import {
-  setClock,
-  clock,
-  mixer,
-  skinnedMeshes,
-  controls,
-  composer,
-  updateEffectTime,
-} from "./state.js";
+import { font, skinnedMeshes, setSampledVertexIndices } from "./state.js";
+import { setClock, clock, controls, composer } from "./renderState.js";
+import { stepSimulation } from "./simulation.js";
 
 // Core setup
 import { initScene, initCamera, initRenderer } from "./core/scene.js";
@@ -23,34 +17,48 @@ import { initControls } from "./core/controls.js";
 import { initPostProcessing } from "./core/postprocessing.js";
 import {
   initHolographicCube,
-  updateHolographicCube,
+  rebuildHolographicCube,
 } from "./core/holographicCube.js";
 
 // Loaders
 import { loadFont } from "./loaders/fontLoader.js";
-import { loadFBXModel } from "./loaders/fbxLoader.js";
+import {
+  loadFBXModel,
+  installModel,
+  isAnimationOnly,
+} from "./loaders/fbxLoader.js";
+import { addAnimationClips, playClip } from "./core/animationClips.js";
+import { loadModelFiles } from "./loaders/modelFileLoader.js";
 
 // ASCII system
-import {
-  initializeASCIIPointCloud,
-  updateASCIIPositions,
-} from "./ascii/index.js";
-import { processMystiqueFade } from "./ascii/mystiqueFade.js";
-import { processChaosMix } from "./ascii/chaosMix.js";
+import { loadASCIIPointCloud, removeInstancedMesh } from "./ascii/index.js";
+import { getSharedChaosRecording, replayChaos } from "./ascii/chaosReplay.js";
+
+// Export
+import { isExporting } from "./export/fixedTimestep.js";
 
 // GUI
 import { initGUI } from "./gui/gui.js";
 
 // Utils
 import { autoFrameCamera } from "./utils/camera.js";
-import { hideLoading, showError } from "./utils/ui.js";
+import { hideLoading, showLoading, showError, clearError } from "./utils/ui.js";
+import { initModelDrop } from "./utils/modelDrop.js";
 import { onWindowResize } from "./utils/resize.js";
+import { updateMetronome } from "./utils/metronome.js";
+
+// Chaos run shared in the URL (?chaos=...) - replayed once the model is up
+let sharedChaos = null;
 
 /**
  * Main initialization function
  */
 async function init() {
   try {
+    // A shared run's seed also drives sampling - set it before sampling
+    sharedChaos = getSharedChaosRecording();
+    if (sharedChaos) params.seed = sharedChaos.seed;
+
     // Initialize core Three.js components
     initScene();
     initCamera();
@@ -62,29 +70,111 @@ async function init() {
     // Window resize handler
     window.addEventListener("resize", onWindowResize);
 
-    // Load assets
-    await loadFont();
-    const fbx = await loadFBXModel();
+    // Load assets - dropped models replace the current one, even if the
+    // default failed, but only once it settled (or it would replace them)
+    let fbx;
+    try {
+      await loadFont();
+      fbx = await loadFBXModel();
+    } finally {
+      initModelDrop(swapModel);
+    }
 
-    // Initialize ASCII point cloud
-    initializeASCIIPointCloud();
+    await startWithModel(fbx);
+  } catch (error) {
+    console.error("Initialization failed:", error);
+    showError(error.message);
+  }
+}
 
-    // Initialize holographic cube (incubation chamber)
-    // Size is calculated automatically from the FBX model bounds
-    initHolographicCube();
+/**
+ * Sample the model (in the worker, or from the sample cache) with progress
+ * on the loading screen
+ *
+ * @returns {Promise<boolean>} false if a newer sampling run replaced this one
+ */
+function sampleModel() {
+  return loadASCIIPointCloud({
+    onProgress: (fraction) =>
+      showLoading(`Sampling... ${Math.round(fraction * 100)}%`),
+  });
+}
+
+/**
+ * Build everything that depends on the model, then start the loop
+ */
+async function startWithModel(model) {
+  // Initialize ASCII point cloud
+  if (!(await sampleModel())) return;
 
-    // Auto-frame camera
-    autoFrameCamera(fbx);
+  // Initialize holographic cube (incubation chamber)
+  // Size is calculated automatically from the FBX model bounds
+  initHolographicCube();
 
-    // Setup GUI
-    initGUI();
+  // Auto-frame camera
+  autoFrameCamera(model);
 
-    // Hide loading, start animation
-    hideLoading();
+  // Hide loading
+  hideLoading();
+
+  // Setup GUI and start animation - once, whichever model got here first
+  if (!clock) {
+    initGUI();
     setClock(new THREE.Clock());
     animate();
+  }
+
+  if (sharedChaos) {
+    replayChaos(sharedChaos);
+    sharedChaos = null;
+  }
+}
+
+/**
+ * Replace the current model with dropped or picked files - no reload
+ * Animation-only files are added to the clip list instead
+ */
+async function swapModel(files) {
+  try {
+    if (!font) await loadFont();
+
+    showLoading("Loading Model...");
+    const model = await loadModelFiles(files);
+
+    // Animation-only files add clips to the current skeleton
+    if (isAnimationOnly(model) && skinnedMeshes.length > 0) {
+      const name = model.userData.fileName.replace(/\.[^.]+$/, "");
+      const added = addAnimationClips(model.animations, name);
+      playClip(added[0].name);
+      hideLoading();
+      return;
+    }
+
+    // Tears down the previous model, its skinned meshes and mixer
+    installModel(model);
+
+    // The old characters index the old meshes - drop them too, so no frame
+    // skins them against the new model while it resamples (or if it fails)
+    removeInstancedMesh();
+    setSampledVertexIndices([]);
+
+    clearError();
+
+    if (!clock) {
+      // The default model never loaded - this is the first one
+      await startWithModel(model);
+      return;
+    }
+
+    // Resample, rebuild the instanced mesh and the cube at the new bounds
+    if (!(await sampleModel())) return;
+    rebuildHolographicCube();
+    autoFrameCamera(model);
+
+    hideLoading();
+    console.log(`🔄 Model swapped: ${model.name}`);
   } catch (error) {
-    console.error("Initialization failed:", error);
+    console.error("Model swap failed:", error);
     showError(error.message);
   }
 }
@@ -97,49 +187,11 @@ function animate() {
 
   const delta = clock.getDelta();
 
-  // Update animation mixer
-  if (mixer) {
-    mixer.update(delta * params.animationSpeed);
-  }
-
-  // Update skinned meshes
-  skinnedMeshes.forEach((mesh) => {
-    mesh.skeleton.update();
-  });
-
-  // Update effect time
-  updateEffectTime(delta);
-
-  // Handle gradual return with mystique fade
-  processMystiqueFade();
-
-  // Process chaos mix evolution
-  processChaosMix(delta);
-
-  // Animate disperse effect (works with button OR activeEffects)
-  const disperseActive =
-    params.activeEffects?.disperse || params.effectType === "disperse";
-  const disperseTarget = params._disperseTarget ?? (disperseActive ? 1 : 0);
-  params.disperseAmount +=
-    (disperseTarget - params.disperseAmount) * 0.02 * params.effectSpeed;
-
-  // Animate spiral flow effect
-  const spiralFlowActive =
-    params.activeEffects?.spiralFlow || params.effectType === "spiralFlow";
-  if (params._spiralFlowActive || spiralFlowActive) {
-    params.spiralFlowProgress += delta * params.spiralFlowSpeed;
-    if (params.spiralFlowProgress > 5.0) {
-      params.spiralFlowProgress = 0;
-    }
-  } else {
-    params.spiralFlowProgress *= 0.95; // Smooth fade out
-  }
-
-  // Update ASCII positions
-  updateASCIIPositions();
+  // The exporter drives the simulation on its own fixed timestep
+  if (isExporting()) return;
 
-  // Update holographic cube (when incubated)
-  updateHolographicCube(delta, clock.elapsedTime);
+  stepSimulation(delta);
+  updateMetronome();
 
   // Update controls and render
   controls.update();
@@ -0,0 +1,24 @@
+/**
+ * Render State
+ * Browser-only objects - the WebGL renderer, post-processing, orbit controls
+ * and the realtime clock. The simulation never imports this, so it runs
+ * headless (see bin/nucat.js).
+ */
+
+export let renderer = null;
+export let composer = null;
+export let controls = null;
+export let clock = null;
+
+export function setRenderer(r) {
+  renderer = r;
+}
+export function setComposer(c) {
+  composer = c;
+}
+export function setControls(c) {
+  controls = c;
+}
+export function setClock(c) {
+  clock = c;
+}
@@ -0,0 +1,89 @@
+/**
+ * Simulation step - everything that advances with time
+ *
+ * Shared by the realtime loop (variable delta) and the exporter (fixed
+ * timestep), so an export evolves exactly like playback.
+ */
+
+import { params } from "./config.js";
+import { mixer, fbxModel, skinnedMeshes, updateEffectTime } from "./state.js";
+import { updateASCIIPositions } from "./ascii/index.js";
+import { updateEffects } from "./ascii/effects/index.js";
+import { processMystiqueFade } from "./ascii/mystiqueFade.js";
+import { processChaosMix } from "./ascii/chaosMix.js";
+import {
+  restoreAudioTargets,
+  processAudioReactive,
+} from "./audio/audioReactive.js";
+import { updateHolographicCube } from "./core/holographicCube.js";
+
+// Seconds simulated so far (keeps running while paused, like a wall clock)
+let simulationTime = 0;
+
+/**
+ * Seconds simulated so far
+ */
+export function getSimulationTime() {
+  return simulationTime;
+}
+
+/**
+ * Advance the whole scene by one step
+ *
+ * @param {number} frameDelta - Seconds since the last step
+ */
+export function stepSimulation(frameDelta) {
+  // Paused: everything holds, only the cube stays live
+  const delta = params.isPlaying ? frameDelta : 0;
+  simulationTime += frameDelta;
+
+  // Update animation mixer (frozen pose keeps effects running)
+  if (mixer && !params.freezePose) {
+    mixer.update(delta * params.animationSpeed);
+  }
+
+  // Pose the bones now - the renderer would only get to it after the
+  // characters are placed, and headless (CLI) there is no renderer at all
+  if (fbxModel) fbxModel.updateMatrixWorld(true);
+
+  // Update skinned meshes
+  skinnedMeshes.forEach((mesh) => {
+    mesh.skeleton.update();
+  });
+
+  stepEffects(delta);
+
+  // Update ASCII positions
+  updateASCIIPositions(delta);
+
+  // Update holographic cube (when incubated)
+  updateHolographicCube(frameDelta, simulationTime);
+}
+
+/**
+ * Advance effect time, the fade, chaos mix and effect state - but pose
+ * nothing, so a chaos replay can fast-forward through it cheaply
+ *
+ * @param {number} delta - Seconds to advance (0 while paused)
+ */
+export function stepEffects(delta) {
+  // Start from the scene's own values - audio modulation goes on top again
+  restoreAudioTargets();
+
+  // Update effect time
+  updateEffectTime(delta);
+
+  if (params.isPlaying) {
+    // Handle gradual return with mystique fade
+    processMystiqueFade(delta);
+
+    // Process chaos mix evolution
+    processChaosMix(delta);
+  }
+
+  // Per-frame effect state (disperse easing, flow progress)
+  updateEffects(delta);
+
+  // Music drives mapped params on top of all that
+  processAudioReactive(delta);
+}
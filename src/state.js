@@ -5,13 +5,9 @@
 
 import * as THREE from "three";
 
-// Core Three.js objects
+// Core Three.js objects (renderer, composer, controls: see renderState.js)
 export let scene = null;
 export let camera = null;
-export let renderer = null;
-export let composer = null;
-export let controls = null;
-export let clock = null;
 
 // Animation
 export let mixer = null;
@@ -27,8 +23,8 @@ export let currentGeometry = null;
 
 // Vertex sampling data
 export let sampledVertexIndices = [];
-export let vertexWeights = [];
-export let vertexBoneIndices = [];
+export let skinTable = null; // Flattened skinning data (see ascii/skinTable.js)
+export let skinCache = null; // Per-frame skinned vertices (see ascii/skinCache.js)
 
 // Effect state
 export let effectTime = 0;
@@ -41,6 +37,10 @@ export function updateEffectTime(delta) {
   effectTime += delta;
 }
 
+export function setEffectTime(time) {
+  effectTime = time;
+}
+
 export function setDisperseDirections(dirs) {
   disperseDirections = dirs;
 }
@@ -72,18 +72,6 @@ export function setScene(s) {
 export function setCamera(c) {
   camera = c;
 }
-export function setRenderer(r) {
-  renderer = r;
-}
-export function setComposer(c) {
-  composer = c;
-}
-export function setControls(c) {
-  controls = c;
-}
-export function setClock(c) {
-  clock = c;
-}
 export function setMixer(m) {
   mixer = m;
 }
@@ -112,22 +100,14 @@ export function setSampledVertexIndices(arr) {
   sampledVertexIndices = arr;
 }
 
-export function setVertexWeights(arr) {
-  vertexWeights = arr;
+export function setSkinTable(table) {
+  skinTable = table;
 }
 
-export function setVertexBoneIndices(arr) {
-  vertexBoneIndices = arr;
+export function setSkinCache(cache) {
+  skinCache = cache;
 }
 
 export function pushSampledVertex(sample) {
   sampledVertexIndices.push(sample);
 }
-
-export function pushVertexWeight(weight) {
-  vertexWeights.push(weight);
-}
-
-export function pushVertexBoneIndex(index) {
-  vertexBoneIndices.push(index);
-}
@@ -3,7 +3,8 @@
  */
 
 import * as THREE from "three";
-import { camera, controls, setModelCenter } from "../state.js";
+import { camera, setModelCenter } from "../state.js";
+import { controls } from "../renderState.js";
 
 /**
  * Auto-frame camera to fit the loaded model
@@ -31,11 +32,13 @@ export function autoFrameCamera(fbx) {
   );
   camera.lookAt(center);
 
-  // Update controls
-  controls.target.copy(center);
-  controls.minDistance = cameraDistance * 0.3;
-  controls.maxDistance = cameraDistance * 5;
-  controls.update();
+  // Update controls (none when running headless)
+  if (controls) {
+    controls.target.copy(center);
+    controls.minDistance = cameraDistance * 0.3;
+    controls.maxDistance = cameraDistance * 5;
+    controls.update();
+  }
 
   // Update near/far planes
   camera.near = maxDim * 0.01;
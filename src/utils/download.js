@@ -0,0 +1,17 @@
+/**
+ * File download helper
+ */
+
+/**
+ * Save a Blob as a file through a temporary link
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
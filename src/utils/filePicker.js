@@ -0,0 +1,20 @@
+/**
+ * File picker - a one-off hidden file input
+ */
+
+/**
+ * Open the browser's file picker
+ *
+ * @param {string} accept - Accepted types, e.g. ".json" or "audio/*"
+ * @param {Function} onFile - Receives the picked File (not called on cancel)
+ */
+export function openFilePicker(accept, onFile) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = accept;
+  input.addEventListener("change", () => {
+    const [file] = input.files;
+    if (file) onFile(file);
+  });
+  input.click();
+}
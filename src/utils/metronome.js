@@ -0,0 +1,32 @@
+/**
+ * Visual metronome - a dot per beat of the bar, the current one lit and
+ * fading over the beat (see core/tempo.js)
+ */
+
+import { params } from "../config.js";
+import { getBeatAt } from "../core/tempo.js";
+
+/**
+ * Show the beat, or hide with params.metronome off - call once per frame
+ */
+export function updateMetronome() {
+  const metronome = document.getElementById("metronome");
+  if (!metronome) return;
+
+  metronome.classList.toggle("hidden", !params.metronome);
+  if (!params.metronome) return;
+
+  const bar = params.beatsPerBar;
+  if (metronome.children.length !== bar) {
+    metronome.replaceChildren(
+      ...Array.from({ length: bar }, () => document.createElement("span"))
+    );
+  }
+
+  const beat = getBeatAt();
+  const current = ((Math.floor(beat) % bar) + bar) % bar;
+  [...metronome.children].forEach((dot, i) => {
+    dot.classList.toggle("on", i === current);
+  });
+  metronome.style.setProperty("--pulse", 1 - (beat - Math.floor(beat)));
+}
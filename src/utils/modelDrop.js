@@ -0,0 +1,57 @@
+/**
+ * Model drop zone - drag-and-drop onto the page, or pick files
+ */
+
+import { MODEL_EXTENSIONS } from "../loaders/modelFileLoader.js";
+
+let onModelFiles = null;
+let fileInput = null;
+
+/**
+ * Listen for dropped model files
+ *
+ * @param {Function} callback - Receives the dropped File[]
+ */
+export function initModelDrop(callback) {
+  onModelFiles = callback;
+
+  window.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    document.body.classList.add("drop-active");
+  });
+
+  window.addEventListener("dragleave", (e) => {
+    // Only when leaving the window, not when crossing child elements
+    if (!e.relatedTarget) document.body.classList.remove("drop-active");
+  });
+
+  window.addEventListener("drop", (e) => {
+    e.preventDefault();
+    document.body.classList.remove("drop-active");
+
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length > 0) onModelFiles(files);
+  });
+
+  // Hidden file input for the GUI's load button
+  fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.multiple = true; // glTF + .bin + textures
+  fileInput.accept = [...MODEL_EXTENSIONS, "bin", "png", "jpg", "jpeg"]
+    .map((e) => `.${e}`)
+    .join(",");
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", () => {
+    const files = Array.from(fileInput.files);
+    fileInput.value = ""; // Allow picking the same file again
+    if (files.length > 0) onModelFiles(files);
+  });
+  document.body.appendChild(fileInput);
+}
+
+/**
+ * Open the file picker
+ */
+export function openModelPicker() {
+  if (fileInput) fileInput.click();
+}
@@ -0,0 +1,46 @@
+/**
+ * Seeded randomness - every random choice draws from a stream seeded by
+ * params.seed, so the same seed, model and settings give the same frames
+ *
+ * Each consumer opens its own named stream when it starts over (a new
+ * instanced mesh, a chaos mix run, a sampling pass), so one consumer drawing
+ * more numbers never shifts another. No imports - it also runs in the
+ * sampling worker.
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random number generator (mulberry32) for a seed and a stream name
+ *
+ * @param {number} seed - The user's seed (params.seed)
+ * @param {string} [stream] - Consumer name, e.g. "disperse" or "chaosMix"
+ * @returns {Function} Drop-in for Math.random - numbers in [0, 1)
+ */
+export function createRandom(seed, stream = "") {
+  let state = hashString(`${seed}/${stream}`);
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A new seed for the GUI's dice button - the only unseeded draw
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
@@ -2,7 +2,8 @@
  * Window resize handler
  */
 
-import { camera, renderer, composer } from "../state.js";
+import { camera } from "../state.js";
+import { renderer, composer } from "../renderState.js";
 
 /**
  * Handle window resize
@@ -1,7 +1,9 @@
 /**
- * UI helpers (loading, errors)
+ * UI helpers (loading, progress, errors)
  */
 
+import { CONFIG } from "../config.js";
+
 /**
  * Hide the loading indicator
  */
@@ -12,19 +14,59 @@ export function hideLoading() {
   }
 }
 
+/**
+ * Show the loading indicator with a message
+ */
+export function showLoading(message) {
+  const loading = document.getElementById("loading");
+  if (loading) {
+    loading.querySelector("p").textContent = message;
+    loading.classList.remove("hidden");
+  }
+}
+
+/**
+ * Show the progress bar for background work, at fraction 0 to 1
+ */
+export function showProgress(label, fraction) {
+  const progress = document.getElementById("progress");
+  if (!progress) return;
+
+  const percent = Math.round(fraction * 100);
+  progress.querySelector("span").textContent = `${label} ${percent}%`;
+  progress.querySelector(".progress-fill").style.width = `${percent}%`;
+  progress.classList.remove("hidden");
+}
+
+/**
+ * Hide the progress bar
+ */
+export function hideProgress() {
+  const progress = document.getElementById("progress");
+  if (progress) progress.classList.add("hidden");
+}
+
 /**
  * Show error message
  */
 export function showError(message) {
   hideLoading();
+  clearError();
 
   const errorDiv = document.createElement("div");
   errorDiv.className = "error-message";
   errorDiv.innerHTML = `
     <h2>⚠️ Error Loading Model</h2>
     <p>${message}</p>
-    <p>Make sure the FBX file exists at:</p>
-    <p><code>./models/SLOW_QI.fbx</code></p>
+    <p>Drop an FBX, GLB or glTF file onto the page, or place the default model at:</p>
+    <p><code>${CONFIG.model.path}</code></p>
   `;
   document.body.appendChild(errorDiv);
 }
+
+/**
+ * Remove the error message, if shown
+ */
+export function clearError() {
+  document.querySelectorAll(".error-message").forEach((el) => el.remove());
+}